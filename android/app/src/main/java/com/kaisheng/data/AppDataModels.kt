@@ -1,10 +1,24 @@
 package com.kaisheng.data
 
+import com.google.gson.Gson
+import com.google.gson.GsonBuilder
+import com.google.gson.JsonArray
+import com.google.gson.JsonDeserializer
+import com.google.gson.JsonElement
+import com.google.gson.JsonObject
+import com.google.gson.JsonParseException
+import com.google.gson.JsonPrimitive
+import com.google.gson.JsonSerializer
+import java.text.SimpleDateFormat
+import java.util.Calendar
 import java.util.Date
+import java.util.Locale
 import java.util.UUID
 
 // Data models for app limits and usage tracking
 // These mirror the iOS implementation for cross-platform consistency
+// They encode to the JSON shapes defined in web/app-data-models.schema.json,
+// which web/tests/fixtures/native-models.json gives an example of
 
 data class AppLimit(
     val id: String,
@@ -58,7 +72,7 @@ data class AppUsage(
 data class DowntimeSchedule(
     val id: UUID,
     var name: String,
-    var startTime: Date,
+    var startTime: Date, // Only the local hour and minute count
     var endTime: Date,
     var isRecurring: Boolean,
     var recurringDays: Set<String>, // e.g., ["Mon", "Tue", "Wed"]
@@ -66,6 +80,127 @@ data class DowntimeSchedule(
     var blockEntireDevice: Boolean
 )
 
+// Canonical JSON: Gson's defaults write Dates in a locale format, so these
+// adapters write days as local "yyyy-MM-dd", times of day as local "HH:mm"
+// and schedule ids as lowercase UUIDs. Reading also accepts what earlier
+// versions saved with the defaults.
+object AppDataJson {
+    private val CLOCK_TIME = Regex("^([01]\\d|2[0-3]):[0-5]\\d$")
+    private val legacyGson = Gson()
+    
+    private fun formatter(pattern: String) = SimpleDateFormat(pattern, Locale.US).apply { isLenient = false }
+    
+    fun dayKey(date: Date): String = formatter("yyyy-MM-dd").format(date)
+    
+    fun clockTime(date: Date): String = formatter("HH:mm").format(date)
+    
+    // Local midnight of the day
+    fun dateFromDayKey(text: String): Date? = try {
+        formatter("yyyy-MM-dd").parse(text)
+    } catch (e: java.text.ParseException) {
+        null
+    }
+    
+    // The time on the current local day
+    fun dateFromClockTime(text: String, day: Date = Date()): Date? {
+        if (!CLOCK_TIME.matches(text)) return null
+        val (hours, minutes) = text.split(":").map { it.toInt() }
+        return Calendar.getInstance().apply {
+            time = day
+            set(Calendar.HOUR_OF_DAY, hours)
+            set(Calendar.MINUTE, minutes)
+            set(Calendar.SECOND, 0)
+            set(Calendar.MILLISECOND, 0)
+        }.time
+    }
+    
+    private fun legacyDate(element: JsonElement): Date? = try {
+        legacyGson.fromJson(element, Date::class.java)
+    } catch (e: JsonParseException) {
+        null
+    }
+    
+    private val categoryAdapter = object : JsonSerializer<AppLimit.AppCategory>, JsonDeserializer<AppLimit.AppCategory> {
+        override fun serialize(src: AppLimit.AppCategory, type: java.lang.reflect.Type, context: com.google.gson.JsonSerializationContext) =
+            JsonPrimitive(src.name)
+        
+        override fun deserialize(json: JsonElement, type: java.lang.reflect.Type, context: com.google.gson.JsonDeserializationContext) =
+            AppLimit.AppCategory.values().firstOrNull { it.name == json.asString }
+                ?: AppLimit.AppCategory.fromString(json.asString)
+    }
+    
+    private val usageAdapter = object : JsonSerializer<AppUsage>, JsonDeserializer<AppUsage> {
+        override fun serialize(src: AppUsage, type: java.lang.reflect.Type, context: com.google.gson.JsonSerializationContext) =
+            JsonObject().apply {
+                addProperty("id", src.id)
+                addProperty("appName", src.appName)
+                addProperty("date", dayKey(src.date))
+                addProperty("usageTime", src.usageTime)
+                add("category", context.serialize(src.category))
+                addProperty("isLimitExceeded", src.isLimitExceeded)
+            }
+        
+        override fun deserialize(json: JsonElement, type: java.lang.reflect.Type, context: com.google.gson.JsonDeserializationContext): AppUsage {
+            val entry = json.asJsonObject
+            val dateElement = entry.get("date")
+            val date = dateFromDayKey(dateElement.asString) ?: legacyDate(dateElement)
+                ?: throw JsonParseException("Invalid date ${dateElement}")
+            return AppUsage(
+                id = entry.get("id").asString,
+                appName = entry.get("appName").asString,
+                date = date,
+                usageTime = entry.get("usageTime").asLong,
+                category = context.deserialize(entry.get("category"), AppLimit.AppCategory::class.java),
+                isLimitExceeded = entry.get("isLimitExceeded")?.asBoolean ?: false
+            )
+        }
+    }
+    
+    private val scheduleAdapter = object : JsonSerializer<DowntimeSchedule>, JsonDeserializer<DowntimeSchedule> {
+        override fun serialize(src: DowntimeSchedule, type: java.lang.reflect.Type, context: com.google.gson.JsonSerializationContext) =
+            JsonObject().apply {
+                addProperty("id", src.id.toString())
+                addProperty("name", src.name)
+                addProperty("startTime", clockTime(src.startTime))
+                addProperty("endTime", clockTime(src.endTime))
+                addProperty("isRecurring", src.isRecurring)
+                add("recurringDays", JsonArray().apply { src.recurringDays.sorted().forEach { add(it) } })
+                add("blockedApps", JsonArray().apply { src.blockedApps.forEach { add(it) } })
+                addProperty("blockEntireDevice", src.blockEntireDevice)
+            }
+        
+        override fun deserialize(json: JsonElement, type: java.lang.reflect.Type, context: com.google.gson.JsonDeserializationContext): DowntimeSchedule {
+            val entry = json.asJsonObject
+            fun time(field: String): Date {
+                val element = entry.get(field)
+                return dateFromClockTime(element.asString) ?: legacyDate(element)
+                    ?: throw JsonParseException("Invalid $field ${element}")
+            }
+            
+            return DowntimeSchedule(
+                id = try {
+                    UUID.fromString(entry.get("id").asString)
+                } catch (e: IllegalArgumentException) {
+                    throw JsonParseException("Invalid id ${entry.get("id")}")
+                },
+                name = entry.get("name").asString,
+                startTime = time("startTime"),
+                endTime = time("endTime"),
+                isRecurring = entry.get("isRecurring").asBoolean,
+                recurringDays = entry.getAsJsonArray("recurringDays").map { it.asString }.toSet(),
+                blockedApps = entry.getAsJsonArray("blockedApps").map { it.asString },
+                blockEntireDevice = entry.get("blockEntireDevice").asBoolean
+            )
+        }
+    }
+    
+    val gson: Gson = GsonBuilder()
+        .registerTypeAdapter(AppLimit.AppCategory::class.java, categoryAdapter)
+        .registerTypeAdapter(AppUsage::class.java, usageAdapter)
+        .registerTypeAdapter(DowntimeSchedule::class.java, scheduleAdapter)
+        .create()
+}
+
 interface AppDataStorage {
     fun saveAppLimits(limits: List<AppLimit>)
     fun loadAppLimits(): List<AppLimit>
@@ -89,7 +224,7 @@ class LocalAppDataStorage(
     }
     
     private val sharedPreferences = context.getSharedPreferences(PREFS_NAME, android.content.Context.MODE_PRIVATE)
-    private val gson = com.google.gson.Gson()
+    private val gson = AppDataJson.gson
     
     override fun saveAppLimits(limits: List<AppLimit>) {
         val json = gson.toJson(limits)
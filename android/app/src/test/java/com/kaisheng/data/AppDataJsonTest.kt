@@ -0,0 +1,65 @@
+package com.kaisheng.data
+
+import com.google.gson.JsonElement
+import com.google.gson.JsonObject
+import com.google.gson.JsonParser
+import org.junit.Assert.assertEquals
+import org.junit.Test
+import java.io.File
+import java.util.Calendar
+import java.util.Date
+import java.util.UUID
+
+// The models encode to the same JSON as the shared fixture, which the web
+// tests check against app-data-models.schema.json
+class AppDataJsonTest {
+    private val fixture: JsonObject =
+        JsonParser.parseString(File("../../web/tests/fixtures/native-models.json").readText()).asJsonObject
+    
+    private fun localDate(year: Int, month: Int, day: Int, hours: Int = 0, minutes: Int = 0): Date =
+        Calendar.getInstance().apply {
+            clear()
+            set(year, month - 1, day, hours, minutes)
+        }.time
+    
+    private fun encode(value: Any): JsonElement = AppDataJson.gson.toJsonTree(value)
+    
+    private val limit = AppLimit("limit-1", "YouTube", 3600, AppLimit.AppCategory.ENTERTAINMENT)
+    private val usage = AppUsage("2024-03-04-YouTube", "YouTube", localDate(2024, 3, 4, 23, 45), 1800, AppLimit.AppCategory.ENTERTAINMENT)
+    private val schedule = DowntimeSchedule(
+        id = UUID.fromString("9F86D081-884C-4D63-9B2F-0A1E5C7D3B42"),
+        name = "Bedtime",
+        startTime = localDate(2023, 7, 1, 21, 30),
+        endTime = localDate(2023, 7, 2, 7, 0),
+        isRecurring = true,
+        recurringDays = setOf("Mon", "Fri"),
+        blockedApps = listOf("YouTube"),
+        blockEntireDevice = false
+    )
+    
+    @Test
+    fun encodesTheSharedShape() {
+        assertEquals(fixture.get("AppLimit"), encode(limit))
+        assertEquals(fixture.get("AppUsage"), encode(usage))
+        assertEquals(fixture.get("DowntimeSchedule"), encode(schedule))
+    }
+    
+    @Test
+    fun decodesTheSharedShape() {
+        val decodedUsage = AppDataJson.gson.fromJson(fixture.get("AppUsage"), AppUsage::class.java)
+        assertEquals(localDate(2024, 3, 4), decodedUsage.date)
+        
+        val decoded = AppDataJson.gson.fromJson(fixture.get("DowntimeSchedule"), DowntimeSchedule::class.java)
+        assertEquals(schedule.id, decoded.id)
+        assertEquals("21:30", AppDataJson.clockTime(decoded.startTime))
+        assertEquals(AppDataJson.dayKey(Date()), AppDataJson.dayKey(decoded.startTime))
+        assertEquals(fixture.get("DowntimeSchedule"), encode(decoded))
+    }
+    
+    @Test
+    fun readsWhatEarlierVersionsSaved() {
+        val legacy = com.google.gson.Gson().toJsonTree(usage)
+        val decoded = AppDataJson.gson.fromJson(legacy, AppUsage::class.java)
+        assertEquals(usage.date, decoded.date)
+    }
+}
@@ -3,6 +3,8 @@
 //  KaiSheng
 //
 //  Data models for app limits and usage tracking
+//  They encode to the JSON shapes defined in web/app-data-models.schema.json,
+//  which web/tests/fixtures/native-models.json gives an example of
 //
 
 import Foundation
@@ -39,7 +41,7 @@ struct AppUsage: Codable, Identifiable {
 struct DowntimeSchedule: Codable, Identifiable {
     let id: UUID
     var name: String
-    var startTime: Date
+    var startTime: Date // Only the local hour and minute count
     var endTime: Date
     var isRecurring: Bool
     var recurringDays: Set<String> // e.g., ["Mon", "Tue", "Wed"]
@@ -60,6 +62,145 @@ struct DowntimeSchedule: Codable, Identifiable {
     }
 }
 
+// MARK: - Canonical JSON
+
+// Encoding follows the shared schema rather than Swift's defaults:
+// categories by case name, days as local "yyyy-MM-dd", times of day as
+// local "HH:mm" and schedule ids as lowercase UUIDs. Decoding also accepts
+// what earlier versions saved: display labels and ISO 8601 dates.
+enum SyncedFormat {
+    private static func formatter(_ format: String) -> DateFormatter {
+        let formatter = DateFormatter()
+        formatter.locale = Locale(identifier: "en_US_POSIX")
+        formatter.calendar = Calendar(identifier: .gregorian)
+        formatter.timeZone = .current
+        formatter.isLenient = false
+        formatter.dateFormat = format
+        return formatter
+    }
+    
+    static func dayKey(from date: Date) -> String {
+        return formatter("yyyy-MM-dd").string(from: date)
+    }
+    
+    // Local midnight of the day
+    static func date(fromDayKey text: String) -> Date? {
+        return formatter("yyyy-MM-dd").date(from: text)
+    }
+    
+    static func clockTime(from date: Date) -> String {
+        return formatter("HH:mm").string(from: date)
+    }
+    
+    // The time on the current local day
+    static func date(fromClockTime text: String, on day: Date = Date()) -> Date? {
+        guard text.count == 5, let time = formatter("HH:mm").date(from: text) else { return nil }
+        let calendar = Calendar.current
+        let parts = calendar.dateComponents([.hour, .minute], from: time)
+        return calendar.date(bySettingHour: parts.hour ?? 0, minute: parts.minute ?? 0, second: 0, of: day)
+    }
+    
+    static func legacyDate(_ text: String) -> Date? {
+        return ISO8601DateFormatter().date(from: text)
+    }
+}
+
+extension AppLimit.AppCategory {
+    // The schema's name for the category, e.g. "SOCIAL"
+    var schemaName: String {
+        return String(describing: self).uppercased()
+    }
+    
+    init(from decoder: Decoder) throws {
+        let container = try decoder.singleValueContainer()
+        let value = try container.decode(String.self)
+        guard let category = Self.allCases.first(where: { $0.schemaName == value || $0.rawValue == value }) else {
+            throw DecodingError.dataCorruptedError(in: container, debugDescription: "Unknown category \(value)")
+        }
+        self = category
+    }
+    
+    func encode(to encoder: Encoder) throws {
+        var container = encoder.singleValueContainer()
+        try container.encode(schemaName)
+    }
+}
+
+extension AppUsage {
+    enum CodingKeys: String, CodingKey {
+        case id, appName, date, usageTime, category, isLimitExceeded
+    }
+    
+    init(from decoder: Decoder) throws {
+        let container = try decoder.container(keyedBy: CodingKeys.self)
+        let dateText = try container.decode(String.self, forKey: .date)
+        guard let date = SyncedFormat.date(fromDayKey: dateText) ?? SyncedFormat.legacyDate(dateText) else {
+            throw DecodingError.dataCorruptedError(forKey: .date, in: container, debugDescription: "Invalid date \(dateText)")
+        }
+        self.init(
+            id: try container.decode(String.self, forKey: .id),
+            appName: try container.decode(String.self, forKey: .appName),
+            date: date,
+            usageTime: try container.decode(TimeInterval.self, forKey: .usageTime),
+            category: try container.decode(AppLimit.AppCategory.self, forKey: .category)
+        )
+    }
+    
+    func encode(to encoder: Encoder) throws {
+        var container = encoder.container(keyedBy: CodingKeys.self)
+        try container.encode(id, forKey: .id)
+        try container.encode(appName, forKey: .appName)
+        try container.encode(SyncedFormat.dayKey(from: date), forKey: .date)
+        try container.encode(usageTime, forKey: .usageTime)
+        try container.encode(category, forKey: .category)
+        try container.encode(isLimitExceeded, forKey: .isLimitExceeded)
+    }
+}
+
+extension DowntimeSchedule {
+    enum CodingKeys: String, CodingKey {
+        case id, name, startTime, endTime, isRecurring, recurringDays, blockedApps, blockEntireDevice
+    }
+    
+    init(from decoder: Decoder) throws {
+        let container = try decoder.container(keyedBy: CodingKeys.self)
+        let idText = try container.decode(String.self, forKey: .id)
+        guard let id = UUID(uuidString: idText) else {
+            throw DecodingError.dataCorruptedError(forKey: .id, in: container, debugDescription: "Invalid id \(idText)")
+        }
+        func time(_ key: CodingKeys) throws -> Date {
+            let text = try container.decode(String.self, forKey: key)
+            guard let date = SyncedFormat.date(fromClockTime: text) ?? SyncedFormat.legacyDate(text) else {
+                throw DecodingError.dataCorruptedError(forKey: key, in: container, debugDescription: "Invalid time \(text)")
+            }
+            return date
+        }
+        
+        self.init(
+            id: id,
+            name: try container.decode(String.self, forKey: .name),
+            startTime: try time(.startTime),
+            endTime: try time(.endTime),
+            isRecurring: try container.decode(Bool.self, forKey: .isRecurring),
+            recurringDays: try container.decode(Set<String>.self, forKey: .recurringDays),
+            blockedApps: try container.decode([String].self, forKey: .blockedApps),
+            blockEntireDevice: try container.decode(Bool.self, forKey: .blockEntireDevice)
+        )
+    }
+    
+    func encode(to encoder: Encoder) throws {
+        var container = encoder.container(keyedBy: CodingKeys.self)
+        try container.encode(id.uuidString.lowercased(), forKey: .id)
+        try container.encode(name, forKey: .name)
+        try container.encode(SyncedFormat.clockTime(from: startTime), forKey: .startTime)
+        try container.encode(SyncedFormat.clockTime(from: endTime), forKey: .endTime)
+        try container.encode(isRecurring, forKey: .isRecurring)
+        try container.encode(recurringDays.sorted(), forKey: .recurringDays)
+        try container.encode(blockedApps, forKey: .blockedApps)
+        try container.encode(blockEntireDevice, forKey: .blockEntireDevice)
+    }
+}
+
 // Local storage protocol
 protocol AppDataStorage {
     func saveAppLimits(_ limits: [AppLimit])
@@ -0,0 +1,398 @@
+//
+//  KaiSheng Sync Server
+//  Self-hostable REST API that keeps limits, schedules and usage in step across devices
+//
+//  Run with Node 18 or later, no dependencies:
+//    node server/sync-server.js
+//  Environment:
+//    PORT                  port to listen on (8787)
+//    HOST                  address to bind (127.0.0.1)
+//    KAISHENG_SYNC_DATA    JSON file the records are kept in (server/sync-data.json)
+//    KAISHENG_SYNC_TOKEN   shared secret clients send as a Bearer token; required
+//                          to bind any address other than loopback
+//    KAISHENG_SYNC_ORIGINS comma-separated origins the dashboard is served from,
+//                          e.g. http://localhost:8000; without a token, browsers
+//                          may only call the server from these
+//
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { SchemaValidator } = require('../web/schema-validator.js');
+
+class SyncServerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SyncServerError';
+    this.status = status;
+  }
+}
+
+// Payloads must match the shared models in web/app-data-models.schema.json.
+// Each collection keys its records the way every device can agree on
+// without coordinating ids: limits by app, schedules by id. Usage is keyed
+// by day, app and the device that recorded it, so each device's totals
+// stay separate and clients add them up.
+const COLLECTIONS = {
+  limits: { model: 'AppLimit', keyOf: (data) => data.appName },
+  schedules: { model: 'DowntimeSchedule', keyOf: (data) => data.id },
+  usage: { model: 'AppUsage', keyOf: (data, deviceId) => `${data.date}|${data.appName}|${deviceId}` }
+};
+
+const schema = new SchemaValidator(
+  JSON.parse(fs.readFileSync(path.join(__dirname, '../web/app-data-models.schema.json'), 'utf8'))
+);
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Only own keys, so names like 'constructor' are not collections
+function getCollection(name) {
+  return typeof name === 'string' && Object.hasOwn(COLLECTIONS, name) ? COLLECTIONS[name] : null;
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+// The host a request was addressed to, without its port
+function requestHost(request) {
+  const host = request.headers.host || '';
+  const bracketed = /^\[([^\]]+)\]/.exec(host);
+  return bracketed ? bracketed[1] : host.replace(/:\d+$/, '');
+}
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new SyncServerError(400, `missing ${field}`);
+  }
+}
+
+// Every record the server has seen, deleted ones included, as
+//   { collection, key, data, deleted, updatedAt, deviceId, revision }
+// revision counts up across all collections, so a client asks for
+// "everything after revision N" to catch up.
+//
+// Conflicts are last-writer-wins per record: a change replaces the stored
+// record when its updatedAt is later, with the device id breaking ties so
+// every server and client picks the same winner. Deletes are kept as
+// tombstones so they win over older edits from devices that were offline.
+class SyncStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.revision = 0;
+    this.records = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+  
+  static recordId(collection, key) {
+    return `${collection}/${key}`;
+  }
+  
+  static isNewer(change, record) {
+    if (!record) return true;
+    if (change.updatedAt !== record.updatedAt) return change.updatedAt > record.updatedAt;
+    return change.deviceId > record.deviceId;
+  }
+  
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    if (saved) {
+      this.revision = saved.revision || 0;
+      (saved.records || []).forEach(record => {
+        this.records.set(SyncStore.recordId(record.collection, record.key), record);
+      });
+    }
+    return this;
+  }
+  
+  // Writes go to a temporary file first, so a crash never leaves half a file
+  persist() {
+    const snapshot = JSON.stringify({ revision: this.revision, records: Array.from(this.records.values()) });
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot);
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => console.warn('Failed to save sync data:', error));
+    return this.writeQueue;
+  }
+  
+  get(collection, key) {
+    return this.records.get(SyncStore.recordId(collection, key)) || null;
+  }
+  
+  // Records changed after revision since, oldest first; tombstones are
+  // only of interest to clients that already have the record
+  list(collection, since = 0) {
+    return Array.from(this.records.values())
+      .filter(record => (!collection || record.collection === collection) && record.revision > since)
+      .filter(record => since > 0 || !record.deleted)
+      .sort((a, b) => a.revision - b.revision);
+  }
+  
+  // Apply one change; returns { applied, record } with the stored record
+  // either way. Does not persist, so a batch is written once.
+  apply(collection, change) {
+    const config = getCollection(collection);
+    if (!config) {
+      throw new SyncServerError(404, `Unknown collection ${collection}`);
+    }
+    if (typeof change.updatedAt !== 'string' || isNaN(Date.parse(change.updatedAt))) {
+      throw new SyncServerError(400, 'updatedAt must be an ISO date');
+    }
+    requireString(change.deviceId, 'deviceId');
+    
+    let key = change.key;
+    if (!change.deleted) {
+      if (!isObject(change.data)) {
+        throw new SyncServerError(400, 'data must be an object');
+      }
+      const errors = schema.validate(config.model, change.data);
+      if (errors.length > 0) {
+        throw new SyncServerError(400, errors.join('; '));
+      }
+      key = config.keyOf(change.data, change.deviceId);
+      if (change.key !== undefined && change.key !== key) {
+        throw new SyncServerError(400, `key ${change.key} does not match the record (${key})`);
+      }
+    }
+    requireString(key, 'key');
+    
+    // Compare as instants, so offsets and precision don't decide the winner
+    const updatedAt = new Date(change.updatedAt).toISOString();
+    const existing = this.get(collection, key);
+    if (!SyncStore.isNewer({ updatedAt, deviceId: change.deviceId }, existing)) {
+      return { applied: false, record: existing };
+    }
+    
+    this.revision += 1;
+    const record = {
+      collection,
+      key,
+      data: change.deleted ? null : change.data,
+      deleted: Boolean(change.deleted),
+      updatedAt,
+      deviceId: change.deviceId,
+      revision: this.revision
+    };
+    this.records.set(SyncStore.recordId(collection, key), record);
+    return { applied: true, record };
+  }
+}
+
+// HTTP
+
+function sendJSON(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+function readJSON(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new SyncServerError(413, 'Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (size === 0) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        reject(new SyncServerError(400, 'Request body is not valid JSON'));
+        return;
+      }
+      if (!isObject(body)) {
+        reject(new SyncServerError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+    request.on('error', reject);
+  });
+}
+
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error;
+    throw new SyncServerError(400, 'Malformed URL');
+  }
+}
+
+function parseSince(value) {
+  if (value === null) return 0;
+  const since = Number(value);
+  if (!Number.isInteger(since) || since < 0) {
+    throw new SyncServerError(400, 'since must be a revision number');
+  }
+  return since;
+}
+
+// Routes:
+//   GET    /api/health                   { status, revision }
+//   GET    /api/:collection[?since=N]    { revision, records }
+//   GET    /api/:collection/:key         record
+//   PUT    /api/:collection/:key         { data, updatedAt, deviceId } -> { applied, record }
+//   DELETE /api/:collection/:key         { updatedAt, deviceId } -> { applied, record }
+//   POST   /api/sync                     { deviceId, since, changes } -> { revision, results, changes }
+// /api/sync is what the dashboard uses: it applies a batch of queued
+// changes, then returns every record changed after since that another
+// device wrote last.
+//
+// A token guards every request. Without one, loopback is the only guard, so
+// browsers may only call the server from the listed origins: any other page
+// the user visits must not be able to read or change the data. Requests
+// naming a host other than loopback are refused too, against DNS rebinding.
+function createSyncServer({ store, token = null, origins = [] }) {
+  // With a token and no list, any origin may try; the token decides
+  const allowOrigin = (origin) => {
+    if (origins.includes(origin)) return origin;
+    return token && origins.length === 0 ? '*' : null;
+  };
+  
+  
+  const routes = async (request, url) => {
+    const parts = url.pathname.split('/').filter(Boolean).map(decodePathPart);
+    if (parts[0] !== 'api') {
+      throw new SyncServerError(404, 'Not found');
+    }
+    const [, collection, key] = parts;
+    
+    if (collection === 'health' && request.method === 'GET') {
+      return [200, { status: 'ok', revision: store.revision }];
+    }
+    
+    if (collection === 'sync' && request.method === 'POST') {
+      const body = await readJSON(request);
+      requireString(body.deviceId, 'deviceId');
+      if (!Array.isArray(body.changes) || !body.changes.every(isObject)) {
+        throw new SyncServerError(400, 'changes must be a list of objects');
+      }
+      const since = parseSince(body.since ?? 0);
+      
+      const results = body.changes.map(change => {
+        try {
+          const { applied, record } = store.apply(change.collection, { ...change, deviceId: body.deviceId });
+          return { collection: change.collection, key: record.key, applied, record: applied ? undefined : record };
+        } catch (error) {
+          if (!(error instanceof SyncServerError)) throw error;
+          return { collection: change.collection, key: change.key, applied: false, error: error.message };
+        }
+      });
+      if (results.some(result => result.applied)) store.persist();
+      
+      return [200, {
+        revision: store.revision,
+        results,
+        changes: store.list(null, since).filter(record => record.deviceId !== body.deviceId)
+      }];
+    }
+    
+    if (!getCollection(collection)) {
+      throw new SyncServerError(404, `Unknown collection ${collection}`);
+    }
+    
+    if (key === undefined) {
+      if (request.method !== 'GET') throw new SyncServerError(405, 'Method not allowed');
+      const since = parseSince(url.searchParams.get('since'));
+      return [200, { revision: store.revision, records: store.list(collection, since) }];
+    }
+    
+    if (request.method === 'GET') {
+      const record = store.get(collection, key);
+      if (!record || record.deleted) throw new SyncServerError(404, `No ${collection} record ${key}`);
+      return [200, record];
+    }
+    
+    if (request.method === 'PUT' || request.method === 'DELETE') {
+      const body = await readJSON(request);
+      const result = store.apply(collection, { ...body, key, deleted: request.method === 'DELETE' });
+      if (result.applied) store.persist();
+      return [200, result];
+    }
+    
+    throw new SyncServerError(405, 'Method not allowed');
+  };
+  
+  return http.createServer(async (request, response) => {
+    // The dashboard is usually served from another origin
+    const origin = request.headers.origin;
+    const allowed = origin ? allowOrigin(origin) : null;
+    response.setHeader('Vary', 'Origin');
+    if (allowed) {
+      response.setHeader('Access-Control-Allow-Origin', allowed);
+      response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    }
+    
+    try {
+      if (origin && !allowed) {
+        throw new SyncServerError(403, `Origin ${origin} is not allowed`);
+      }
+      if (!token && !isLoopback(requestHost(request))) {
+        throw new SyncServerError(403, 'Requests must be addressed to localhost without a sync token');
+      }
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+      }
+      if (token && request.headers.authorization !== `Bearer ${token}`) {
+        throw new SyncServerError(401, 'Missing or wrong sync token');
+      }
+      const [status, body] = await routes(request, new URL(request.url, 'http://localhost'));
+      sendJSON(response, status, body);
+    } catch (error) {
+      if (!(error instanceof SyncServerError)) {
+        console.warn('Sync request failed:', error);
+        sendJSON(response, 500, { error: 'Internal server error' });
+        return;
+      }
+      sendJSON(response, error.status, { error: error.message });
+    }
+  });
+}
+
+module.exports = { COLLECTIONS, SyncServerError, SyncStore, createSyncServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  const host = process.env.HOST || '127.0.0.1';
+  const token = process.env.KAISHENG_SYNC_TOKEN || null;
+  const origins = (process.env.KAISHENG_SYNC_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  
+  // Without a token anyone who can reach the server could read and change
+  // its data, so only this machine may
+  if (!token && !isLoopback(host)) {
+    console.error(`Refusing to listen on ${host} without KAISHENG_SYNC_TOKEN; set a token or bind 127.0.0.1`);
+    process.exit(1);
+  }
+  
+  const store = new SyncStore(process.env.KAISHENG_SYNC_DATA || path.join(__dirname, 'sync-data.json')).load();
+  createSyncServer({ store, token, origins }).listen(port, host, () => {
+    console.log(`[KaiSheng] Sync server listening on http://${host}:${port} (revision ${store.revision})`);
+  });
+}
@@ -0,0 +1,270 @@
+//
+//  KaiSheng App Catalog
+//  The apps and websites the dashboard knows about, with categories and icons
+//
+
+class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+  }
+}
+
+// Entries: { id, name, kind, category, icon, domain, isBuiltIn }
+// kind is 'app' or 'website' (websites carry a domain). icon is either a
+// short text glyph or an image URL; without one the entry gets a lettered
+// badge. Built-in entries can be recategorized but not removed, and new
+// built-ins reach existing profiles on the next load.
+class AppCatalog {
+  // Labels match the Kotlin AppCategory.toString()
+  static get CATEGORY_LABELS() {
+    return {
+      SOCIAL: 'Social Media',
+      ENTERTAINMENT: 'Entertainment',
+      PRODUCTIVITY: 'Productivity',
+      GAMES: 'Games',
+      UTILITIES: 'Utilities',
+      OTHER: 'Other'
+    };
+  }
+  
+  static get BUILT_IN() {
+    const entries = {
+      SOCIAL: ['Instagram', 'TikTok', 'Facebook', 'Twitter', 'Snapchat', 'Reddit', 'WhatsApp'],
+      ENTERTAINMENT: ['YouTube', 'Netflix', 'Spotify', 'Twitch'],
+      PRODUCTIVITY: ['Gmail', 'Slack', 'Notion', 'Calendar'],
+      GAMES: ['Roblox', 'Minecraft', 'Candy Crush'],
+      UTILITIES: ['Camera', 'Maps', 'Calculator', 'Weather'],
+      OTHER: []
+    };
+    
+    return Object.entries(entries).flatMap(([category, names]) => names.map(name => ({
+      id: `builtin:${name.toLowerCase().replace(/\s+/g, '-')}`,
+      name,
+      kind: 'app',
+      category,
+      icon: null,
+      domain: null,
+      isBuiltIn: true
+    })));
+  }
+  
+  static categoryLabel(category) {
+    return AppCatalog.CATEGORY_LABELS[category] || AppCatalog.CATEGORY_LABELS.OTHER;
+  }
+  
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.entries = AppCatalog.BUILT_IN;
+    this.loadIssues = [];
+  }
+  
+  async load() {
+    this.loadIssues = [];
+    try {
+      const { items, issues } = StateSerializer.deserializeList('catalog', await this.storage.loadCatalog());
+      this.loadIssues = issues;
+      this.entries = AppCatalog.withBuiltIns(items);
+    } catch (error) {
+      console.warn('Failed to load app catalog:', error);
+    }
+    return this;
+  }
+  
+  // Saved entries win; built-ins the profile has never seen are added
+  static withBuiltIns(entries) {
+    const saved = new Map(entries.map(entry => [entry.id, entry]));
+    const builtIns = AppCatalog.BUILT_IN.map(entry => saved.get(entry.id) || entry);
+    const custom = entries.filter(entry => !entry.isBuiltIn);
+    return [...builtIns, ...custom];
+  }
+  
+  persist() {
+    if (this.storage) {
+      this.storage.saveCatalog(this.entries.map(entry => ({ ...entry })));
+    }
+  }
+  
+  getAll() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+  
+  getNames() {
+    return this.entries.map(entry => entry.name);
+  }
+  
+  find(name) {
+    const key = String(name).trim().toLowerCase();
+    return this.entries.find(entry => entry.name.toLowerCase() === key) || null;
+  }
+  
+  getCategory(name) {
+    const entry = this.find(name);
+    return entry ? entry.category : 'OTHER';
+  }
+  
+  getByCategory(category) {
+    return this.entries.filter(entry => entry.category === category).map(entry => ({ ...entry }));
+  }
+  
+  // Case-insensitive match on name or domain, optionally within one category
+  search(query = '', options = {}) {
+    const needle = query.trim().toLowerCase();
+    return this.entries
+      .filter(entry => !options.category || entry.category === options.category)
+      .filter(entry => !needle ||
+        entry.name.toLowerCase().includes(needle) ||
+        (entry.domain && entry.domain.includes(needle)))
+      .map(entry => ({ ...entry }));
+  }
+  
+  // Validate an entry, reporting problems as CatalogErrors
+  static validate(fields) {
+    try {
+      return StateSerializer.deserializeCatalogEntry(fields);
+    } catch (error) {
+      if (!(error instanceof SerializationError)) throw error;
+      throw new CatalogError(`Invalid app: ${error.message}`);
+    }
+  }
+  
+  add(fields) {
+    const entry = AppCatalog.validate({
+      ...fields,
+      id: StateSerializer.generateId(),
+      isBuiltIn: false
+    });
+    
+    const existing = this.find(entry.name);
+    if (existing) {
+      throw new CatalogError(`${existing.name} is already in the catalog`);
+    }
+    
+    this.entries.push(entry);
+    this.persist();
+    return { ...entry };
+  }
+  
+  update(id, changes) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      throw new CatalogError('Unknown app');
+    }
+    
+    const current = this.entries[index];
+    const updated = AppCatalog.validate({
+      ...current,
+      ...changes,
+      id: current.id,
+      isBuiltIn: current.isBuiltIn,
+      // Built-in names are what the native apps report; keep them
+      name: current.isBuiltIn ? current.name : (changes.name ?? current.name)
+    });
+    
+    const clash = this.find(updated.name);
+    if (clash && clash.id !== id) {
+      throw new CatalogError(`${clash.name} is already in the catalog`);
+    }
+    
+    this.entries[index] = updated;
+    this.persist();
+    return { ...updated };
+  }
+  
+  remove(id) {
+    const entry = this.entries.find(candidate => candidate.id === id);
+    if (!entry) return null;
+    if (entry.isBuiltIn) {
+      throw new CatalogError('Built-in apps cannot be removed');
+    }
+    
+    this.entries = this.entries.filter(candidate => candidate.id !== id);
+    this.persist();
+    return entry;
+  }
+  
+  // Swap every entry for entries, as after restoring a backup
+  restore(entries) {
+    this.entries = AppCatalog.withBuiltIns(entries.map(entry => ({ ...entry })));
+    this.persist();
+  }
+  
+  // The entries of a catalog file: an array of entries or { apps: [...] }
+  static parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new CatalogError('Catalog file is not valid JSON');
+    }
+    
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.apps) ? data.apps : null;
+    if (!list) {
+      throw new CatalogError('Catalog file must contain a list of apps');
+    }
+    return list;
+  }
+  
+  // Names of existing entries that importing text would move to another
+  // category, which can take them out of category limits and downtime
+  getRecategorized(text) {
+    return AppCatalog.parseImport(text).flatMap(raw => {
+      try {
+        const entry = AppCatalog.validate({ ...raw, id: 'import', isBuiltIn: false });
+        const existing = this.find(entry.name);
+        return existing && raw.category && entry.category !== existing.category ? [existing.name] : [];
+      } catch (error) {
+        if (!(error instanceof CatalogError)) throw error;
+        return [];
+      }
+    });
+  }
+  
+  // Entries matching an existing name update its category, icon and
+  // domain; the rest are added.
+  importJSON(text) {
+    const list = AppCatalog.parseImport(text);
+    const result = { added: 0, updated: 0, skipped: [] };
+    list.forEach(raw => {
+      try {
+        const entry = AppCatalog.validate({ ...raw, id: 'import', isBuiltIn: false });
+        const existing = this.find(entry.name);
+        if (existing) {
+          const index = this.entries.findIndex(candidate => candidate.id === existing.id);
+          this.entries[index] = {
+            ...existing,
+            category: raw.category ? entry.category : existing.category,
+            icon: entry.icon || existing.icon,
+            domain: entry.domain || existing.domain
+          };
+          result.updated++;
+        } else {
+          this.entries.push({ ...entry, id: StateSerializer.generateId() });
+          result.added++;
+        }
+      } catch (error) {
+        if (!(error instanceof CatalogError)) throw error;
+        result.skipped.push(`${raw && raw.name || 'unnamed entry'}: ${error.message}`);
+      }
+    });
+    
+    if (result.added > 0 || result.updated > 0) {
+      this.persist();
+    }
+    return result;
+  }
+  
+  // Lettered badge tinted by name, or the entry's own glyph or image
+  static renderIcon(entry) {
+    if (!entry) {
+      return '<span class="app-icon" aria-hidden="true">?</span>';
+    }
+    if (entry.icon && /^(https?:|data:image\/)/.test(entry.icon)) {
+      return `<img class="app-icon" src="${HTMLUtils.escape(entry.icon)}" alt="" aria-hidden="true">`;
+    }
+    
+    const hue = Array.from(entry.name).reduce((total, char) => total + char.charCodeAt(0), 0) % 360;
+    const glyph = entry.icon || entry.name.charAt(0).toUpperCase();
+    return `<span class="app-icon" style="--icon-hue: ${hue}" aria-hidden="true">${HTMLUtils.escape(glyph)}</span>`;
+  }
+}
@@ -0,0 +1,200 @@
+//
+//  KaiSheng Backup
+//  Versioned JSON export and import of the whole setup, and CSV usage export
+//
+
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+// A backup file:
+//   { format: 'kaisheng-backup', version, exportedAt, appLimits, groupLimits,
+//     downtimeSchedules, usageHistory, catalog, settings }
+// Lists are stored as StateSerializer writes them, and go through the same
+// decoders as saved state on the way back in. A section missing from the
+// file is left alone on import. usageHistory holds only the exporting
+// device's own usage; other devices' usage comes back through sync.
+//
+// Importing is planned first, without touching anything, so the dashboard
+// can show a dry-run summary:
+//   merge    keeps what is here and adds the file's entries; where both have
+//            the same entry, the file's copy wins
+//   replace  swaps each section in the file for the file's copy
+// Entries match on their natural key: limits by app, usage by day and app,
+// catalog entries by name, everything else by id. Built-in catalog apps
+// are never removed, and settings always come from the file.
+class StateBackup {
+  static get FORMAT() {
+    return 'kaisheng-backup';
+  }
+  
+  static get VERSION() {
+    return 1;
+  }
+  
+  // Sections in the order the summary lists them
+  static get SECTIONS() {
+    return [
+      { key: 'limits', field: 'appLimits', type: 'limit', label: 'App limits', keyOf: (limit) => limit.appName },
+      { key: 'groups', field: 'groupLimits', type: 'group', label: 'Shared limits', keyOf: (group) => group.id },
+      { key: 'schedules', field: 'downtimeSchedules', type: 'schedule', label: 'Downtime schedules', keyOf: (schedule) => schedule.id },
+      { key: 'usage', field: 'usageHistory', type: 'usage', label: 'Usage records', keyOf: (record) => `${record.date}|${record.appName}` },
+      {
+        key: 'catalog',
+        field: 'catalog',
+        type: 'catalog',
+        label: 'Catalog apps',
+        keyOf: (entry) => entry.name.toLowerCase(),
+        isPermanent: (entry) => entry.isBuiltIn
+      }
+    ];
+  }
+  
+  static get CSV_COLUMNS() {
+    return ['date', 'app', 'category', 'usage_seconds', 'usage_minutes', 'limit_exceeded'];
+  }
+  
+  // Export
+  
+  static create({ limits, groups, schedules, usage, catalog, settings }, now = new Date()) {
+    return {
+      format: StateBackup.FORMAT,
+      version: StateBackup.VERSION,
+      exportedAt: now.toISOString(),
+      appLimits: limits.map(StateSerializer.serializeLimit),
+      groupLimits: groups.map(StateSerializer.serializeGroupLimit),
+      downtimeSchedules: schedules.map(StateSerializer.serializeSchedule),
+      usageHistory: usage.map(StateSerializer.serializeUsage),
+      catalog: catalog.map(entry => ({ ...entry })),
+      settings
+    };
+  }
+  
+  // One row per app per day, oldest first
+  static usageToCSV(records) {
+    const cell = (value) => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const rows = records
+      .slice()
+      .sort((a, b) => a.date.localeCompare(b.date) || a.appName.localeCompare(b.appName))
+      .map(record => [
+        record.date,
+        record.appName,
+        record.category,
+        record.usageTime,
+        (record.usageTime / 60).toFixed(1),
+        record.isLimitExceeded
+      ].map(cell).join(','));
+    
+    return [StateBackup.CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+  
+  static download(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  // Import
+  
+  // Decode a backup file. Returns { exportedAt, limits, groups, schedules,
+  // usage, catalog, settings, issues } with null for missing sections;
+  // settingsDefaults gives the expected type of each setting.
+  static parse(text, settingsDefaults) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new BackupError('Backup file is not valid JSON');
+    }
+    
+    if (!data || typeof data !== 'object' || data.format !== StateBackup.FORMAT) {
+      throw new BackupError('Not a KaiSheng backup file');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new BackupError('Backup file has no valid version');
+    }
+    if (data.version > StateBackup.VERSION) {
+      throw new BackupError('This backup was made by a newer version of KaiSheng');
+    }
+    
+    const backup = { exportedAt: StateSerializer.parseDate(data.exportedAt), issues: [] };
+    StateBackup.SECTIONS.forEach(section => {
+      if (data[section.field] === undefined) {
+        backup[section.key] = null;
+        return;
+      }
+      if (!Array.isArray(data[section.field])) {
+        throw new BackupError(`${section.label} in the backup are not a list`);
+      }
+      
+      const { items, issues } = StateSerializer.deserializeList(section.type, data[section.field]);
+      backup[section.key] = items;
+      backup.issues.push(...issues);
+    });
+    
+    backup.settings = null;
+    if (data.settings !== undefined) {
+      const { settings, issues } = StateSerializer.deserializeSettings(data.settings, settingsDefaults);
+      backup.settings = settings;
+      backup.issues.push(...issues);
+    }
+    
+    return backup;
+  }
+  
+  // The state after importing backup into current with strategy 'merge' or
+  // 'replace', without changing either. Returns { strategy, result, summary }
+  // where result has the new list for each section in the file (null for
+  // the rest) and summary one { label, added, updated, removed } per section.
+  static plan(current, backup, strategy) {
+    if (strategy !== 'merge' && strategy !== 'replace') {
+      throw new BackupError(`Unknown import strategy ${strategy}`);
+    }
+    
+    const result = {};
+    const summary = [];
+    StateBackup.SECTIONS.forEach(section => {
+      const incoming = backup[section.key];
+      if (!incoming) {
+        result[section.key] = null;
+        return;
+      }
+      
+      const existing = current[section.key] || [];
+      const existingKeys = new Set(existing.map(section.keyOf));
+      const incomingByKey = new Map(incoming.map(item => [section.keyOf(item), item]));
+      const updated = Array.from(incomingByKey.keys()).filter(key => existingKeys.has(key)).length;
+      
+      if (strategy === 'replace') {
+        result[section.key] = Array.from(incomingByKey.values());
+        summary.push({
+          label: section.label,
+          added: incomingByKey.size - updated,
+          updated,
+          removed: existing.filter(item => !incomingByKey.has(section.keyOf(item)) &&
+            !(section.isPermanent && section.isPermanent(item))).length
+        });
+      } else {
+        const kept = existing.map(item => incomingByKey.get(section.keyOf(item)) || item);
+        const added = Array.from(incomingByKey.values()).filter(item => !existingKeys.has(section.keyOf(item)));
+        result[section.key] = [...kept, ...added];
+        summary.push({ label: section.label, added: added.length, updated, removed: 0 });
+      }
+    });
+    
+    result.settings = backup.settings;
+    return { strategy, result, summary };
+  }
+}
@@ -0,0 +1,144 @@
+//
+//  KaiSheng Charts
+//  Dependency-free SVG bar and line charts for the stats view
+//
+
+class UsageCharts {
+  static nextId(prefix) {
+    UsageCharts.counter = (UsageCharts.counter || 0) + 1;
+    return `${prefix}-${UsageCharts.counter}`;
+  }
+  
+  // Round the axis maximum up to a readable value
+  static niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const normalized = value / magnitude;
+    const step = [1, 2, 2.5, 5, 10].find(candidate => normalized <= candidate);
+    return step * magnitude;
+  }
+  
+  static gradient(id) {
+    return `
+      <defs>
+        <linearGradient id="${id}" x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0%" stop-color="#667eea"/>
+          <stop offset="100%" stop-color="#764ba2"/>
+        </linearGradient>
+      </defs>`;
+  }
+  
+  static gridLines(chart, max, formatValue) {
+    const lines = [];
+    for (let i = 0; i <= 4; i++) {
+      const value = (max / 4) * i;
+      const y = chart.top + chart.height - (value / max) * chart.height;
+      lines.push(`
+        <line class="chart-grid" x1="${chart.left}" x2="${chart.left + chart.width}" y1="${y}" y2="${y}"/>
+        <text class="chart-axis-label" x="${chart.left - 6}" y="${y + 4}" text-anchor="end">${HTMLUtils.escape(formatValue(value))}</text>`);
+    }
+    return lines.join('');
+  }
+  
+  // items: [{ label, value, highlight? }]
+  static barChart(items, options = {}) {
+    const {
+      width = 560,
+      height = 220,
+      formatValue = value => String(Math.round(value)),
+      referenceValue = null,
+      referenceLabel = ''
+    } = options;
+    
+    if (items.length === 0) {
+      return '<p class="chart-empty">No usage recorded yet</p>';
+    }
+    
+    const chart = { left: 48, top: 20, width: width - 60, height: height - 50 };
+    const maxValue = Math.max(...items.map(item => item.value), referenceValue || 0);
+    const max = UsageCharts.niceMax(maxValue);
+    const slot = chart.width / items.length;
+    const barWidth = Math.min(48, slot * 0.6);
+    const gradientId = UsageCharts.nextId('bar-gradient');
+    
+    const bars = items.map((item, index) => {
+      const barHeight = (item.value / max) * chart.height;
+      const x = chart.left + slot * index + (slot - barWidth) / 2;
+      const y = chart.top + chart.height - barHeight;
+      const label = HTMLUtils.escape(item.label);
+      const value = HTMLUtils.escape(formatValue(item.value));
+      
+      return `
+        <g class="chart-bar ${item.highlight ? 'highlight' : ''}">
+          <title>${label}: ${value}</title>
+          <rect x="${x}" y="${y}" width="${barWidth}" height="${Math.max(barHeight, 0)}" rx="4" fill="url(#${gradientId})"/>
+          ${item.value > 0 ? `<text class="chart-value-label" x="${x + barWidth / 2}" y="${y - 6}" text-anchor="middle">${value}</text>` : ''}
+          <text class="chart-axis-label" x="${x + barWidth / 2}" y="${chart.top + chart.height + 18}" text-anchor="middle">${label}</text>
+        </g>`;
+    }).join('');
+    
+    let reference = '';
+    if (referenceValue) {
+      const y = chart.top + chart.height - (referenceValue / max) * chart.height;
+      reference = `
+        <line class="chart-reference" x1="${chart.left}" x2="${chart.left + chart.width}" y1="${y}" y2="${y}"/>
+        <text class="chart-reference-label" x="${chart.left + chart.width}" y="${y - 6}" text-anchor="end">${HTMLUtils.escape(referenceLabel)}</text>`;
+    }
+    
+    return `
+      <svg class="chart chart-bars" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+        ${UsageCharts.gradient(gradientId)}
+        ${UsageCharts.gridLines(chart, max, formatValue)}
+        ${bars}
+        ${reference}
+      </svg>`;
+  }
+  
+  // points: [{ label, value }]
+  static lineChart(points, options = {}) {
+    const {
+      width = 560,
+      height = 220,
+      formatValue = value => String(Math.round(value))
+    } = options;
+    
+    if (points.length === 0) {
+      return '<p class="chart-empty">No usage recorded yet</p>';
+    }
+    
+    const chart = { left: 48, top: 20, width: width - 70, height: height - 50 };
+    const max = UsageCharts.niceMax(Math.max(...points.map(point => point.value)));
+    const step = points.length > 1 ? chart.width / (points.length - 1) : 0;
+    const gradientId = UsageCharts.nextId('line-gradient');
+    
+    const coordinates = points.map((point, index) => ({
+      x: chart.left + (points.length > 1 ? step * index : chart.width / 2),
+      y: chart.top + chart.height - (point.value / max) * chart.height,
+      point
+    }));
+    
+    const path = coordinates.map(({ x, y }, index) => `${index === 0 ? 'M' : 'L'}${x},${y}`).join(' ');
+    const baseline = chart.top + chart.height;
+    const area = `${path} L${coordinates[coordinates.length - 1].x},${baseline} L${coordinates[0].x},${baseline} Z`;
+    
+    const dots = coordinates.map(({ x, y, point }) => {
+      const label = HTMLUtils.escape(point.label);
+      const value = HTMLUtils.escape(formatValue(point.value));
+      return `
+        <g class="chart-point">
+          <title>${label}: ${value}</title>
+          <circle cx="${x}" cy="${y}" r="4"/>
+          <text class="chart-axis-label" x="${x}" y="${baseline + 18}" text-anchor="middle">${label}</text>
+        </g>`;
+    }).join('');
+    
+    return `
+      <svg class="chart chart-line" viewBox="0 0 ${width} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+        ${UsageCharts.gradient(gradientId)}
+        ${UsageCharts.gridLines(chart, max, formatValue)}
+        <path class="chart-area" d="${area}" fill="url(#${gradientId})"/>
+        <path class="chart-line-path" d="${path}"/>
+        ${dots}
+      </svg>`;
+  }
+}
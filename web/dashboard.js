@@ -14,16 +14,24 @@ class KaiShengDashboard {
         walkStartTime: null,
         stepThreshold: 5,
         isTracking: false,
-        currentPace: null
+        currentPace: null,
+        source: 'device'
       },
       
       // App limits
       appLimits: [],
+      groupLimits: [],
       currentUsage: [],
       isBlockingApps: false,
+      limitsPaused: false,
+      editingLimitId: null,
+      blockedApps: {},
+      openApp: null,
       
       // Downtime schedules
       downtimeSchedules: [],
+      editingScheduleId: null,
+      scheduleExceptions: [],
       isInDowntime: false,
       activeDowntime: null,
       
@@ -32,26 +40,104 @@ class KaiShengDashboard {
         motionUpdate: null,
         usageUpdate: null,
         downtimeCheck: null,
-        clockUpdate: null
+        clockUpdate: null,
+        dayRollover: null,
+        overrideCountdown: null,
+        focusCountdown: null,
+        sync: null
       },
       
+      // Focus session phase last shown, e.g. 'work:2'
+      focusPhase: null,
+      
+      // Set once the user accepts a new version, so only that reloads the page
+      updateRequested: false,
+      
       // Settings
       theme: 'dark',
-      notifications: true
+      notifications: true,
+      notificationCategories: NotificationCenter.defaultCategories(),
+      systemNotifications: false,
+      historyRetention: 30,
+      overrideDailyCap: 3,
+      warningThreshold: 80,
+      finalWarning: true
     };
     
+    // Versioned persistence (IndexedDB, or localStorage as a fallback)
+    this.storage = new KaiShengStorage({
+      onBlocked: () => {
+        this.showNotification('Close other KaiSheng tabs to finish updating saved data', 'warning');
+      },
+      // Another tab updated KaiSheng and this one can no longer save; reload
+      // into the new version, whose saved data is already up to date
+      onVersionChange: () => window.location.reload()
+    });
+    
+    // Per-day usage history, read for today's usage and stats
+    this.usageHistory = new UsageHistoryStore({ storage: this.storage });
+    this.currentDay = DateUtils.toKey(new Date());
+    this.timeZone = DateUtils.timeZone();
+    
+    // Toasts, notification history and browser notifications
+    this.notifications = new NotificationCenter({
+      container: document.getElementById('notification-stack'),
+      onChange: () => this.updateNotificationBadge()
+    });
+    
+    // Decides which apps are blocked right now
+    this.enforcement = new EnforcementEngine();
+    
+    // Escalating usage warnings, once per app per day
+    this.limitAlerts = new LimitAlerts();
+    
+    // Emergency override sessions and their audit log
+    this.overrides = new OverrideManager({ storage: this.storage });
+    
+    // Pomodoro focus sessions and their log
+    this.focus = new FocusManager({ storage: this.storage });
+    
+    // Apps and websites with their categories and icons
+    this.catalog = new AppCatalog({ storage: this.storage });
+    
+    // Cross-device sync with a self-hosted server, queued while offline
+    this.sync = new SyncClient({
+      storage: this.storage,
+      getSnapshot: () => this.getSyncSnapshot(),
+      applyChanges: (changes) => this.applySyncChanges(changes)
+    });
+    
+    // PIN for destructive actions, and requests for more time
+    this.guardian = new GuardianLock({ storage: this.storage });
+    
+    // Accelerometer step detection and its sample source
+    this.stepDetector = new StepDetector();
+    this.motionSource = null;
+    this.motionTrace = null;
+    this.motionRecorder = new MotionRecorder();
+    
+    // New service worker waiting to take over, if any
+    this.waitingWorker = null;
+    
+    // Deferred beforeinstallprompt event, while the browser offers install
+    this.installPrompt = null;
+    
     // DOM elements cache
     this.elements = {};
     this.init();
   }
   
   // Initialize dashboard
-  init() {
+  async init() {
     this.cacheDOM();
     this.setupEventListeners();
-    this.loadState();
+    await this.loadState();
     this.startAnimations();
     this.hideLoadingOverlay();
+    this.registerServiceWorker();
+    this.updateConnectionStatus();
+    this.setupLaunchHandling();
+    this.startSync();
     this.log('KaiSheng Dashboard initialized');
   }
   
@@ -69,34 +155,88 @@ class KaiShengDashboard {
     this.elements.walkDuration = document.getElementById('walk-duration');
     this.elements.stepThreshold = document.getElementById('step-threshold');
     this.elements.motionWarning = document.getElementById('motion-warning');
+    this.elements.motionSourceSelect = document.getElementById('motion-source');
+    this.elements.replayOptions = document.getElementById('motion-replay-options');
+    this.elements.motionTraceFile = document.getElementById('motion-trace-file');
+    this.elements.replaySpeed = document.getElementById('replay-speed');
+    this.elements.motionRecord = document.getElementById('motion-record');
+    this.elements.recordFormat = document.getElementById('record-format');
     
     // App limits
+    this.elements.appSearch = document.getElementById('app-search');
     this.elements.appSelector = document.getElementById('app-selector');
     this.elements.limitHours = document.getElementById('limit-hours');
     this.elements.limitMinutes = document.getElementById('limit-minutes');
+    this.elements.limitWarning = document.getElementById('limit-warning');
     this.elements.addLimitBtn = document.getElementById('add-limit-btn');
     this.elements.limitsList = document.getElementById('limits-list');
+    this.elements.addGroupBtn = document.getElementById('add-group-btn');
+    this.elements.groupLimitsList = document.getElementById('group-limits-list');
+    this.elements.manageAppsBtn = document.getElementById('manage-apps-btn');
     this.elements.limitsSummary = document.getElementById('limits-summary');
     this.elements.dailyTotal = document.getElementById('daily-total');
     this.elements.mostUsed = document.getElementById('most-used');
     
     // Downtime schedule
     this.elements.scheduleName = document.getElementById('schedule-name');
+    this.elements.scheduleRepeat = document.getElementById('schedule-repeat');
+    this.elements.scheduleOnce = document.getElementById('schedule-once');
+    this.elements.scheduleWeekly = document.getElementById('schedule-weekly');
+    this.elements.scheduleDate = document.getElementById('schedule-date');
+    this.elements.scheduleStartDate = document.getElementById('schedule-start-date');
+    this.elements.scheduleEndDate = document.getElementById('schedule-end-date');
+    this.elements.scheduleException = document.getElementById('schedule-exception');
+    this.elements.addExceptionBtn = document.getElementById('add-exception-btn');
+    this.elements.scheduleExceptions = document.getElementById('schedule-exceptions');
     this.elements.downtimeStart = document.getElementById('downtime-start');
     this.elements.downtimeEnd = document.getElementById('downtime-end');
+    this.elements.blockDevice = document.getElementById('block-device');
+    this.elements.scheduleTargets = document.getElementById('schedule-targets');
     this.elements.addScheduleBtn = document.getElementById('add-schedule-btn');
+    this.elements.cancelScheduleBtn = document.getElementById('cancel-schedule-btn');
     this.elements.schedulesList = document.getElementById('schedules-list');
+    this.elements.exportSchedulesBtn = document.getElementById('export-schedules-btn');
+    this.elements.importSchedulesFile = document.getElementById('import-schedules-file');
     this.elements.downtimeStatus = document.getElementById('downtime-status');
+    this.elements.downtimeSummary = document.getElementById('downtime-summary');
     
     // Quick actions
     this.elements.emergencyOverride = document.getElementById('emergency-override');
     this.elements.pauseAll = document.getElementById('pause-all');
     this.elements.resetDay = document.getElementById('reset-day');
     this.elements.viewStats = document.getElementById('view-stats');
+    this.elements.requestTime = document.getElementById('request-time');
+    this.elements.overrideBanner = document.getElementById('override-banner');
+    this.elements.overrideReason = document.getElementById('override-reason');
+    this.elements.overrideCountdown = document.getElementById('override-countdown');
+    this.elements.overrideEnd = document.getElementById('override-end');
+    this.elements.startFocus = document.getElementById('start-focus');
+    this.elements.focusPanel = document.getElementById('focus-panel');
+    this.elements.focusRingProgress = document.getElementById('focus-ring-progress');
+    this.elements.focusCountdown = document.getElementById('focus-countdown');
+    this.elements.focusPhase = document.getElementById('focus-phase');
+    this.elements.focusCycle = document.getElementById('focus-cycle');
+    this.elements.focusEnd = document.getElementById('focus-end');
     
     // Settings
     this.elements.themeToggle = document.getElementById('theme-toggle');
     this.elements.settingsBtn = document.getElementById('settings-btn');
+    this.elements.notificationsBtn = document.getElementById('notifications-btn');
+    this.elements.notificationBadge = document.getElementById('notification-badge');
+    this.elements.offlineIndicator = document.getElementById('offline-indicator');
+    this.elements.installBtn = document.getElementById('install-btn');
+    
+    // Offline support
+    this.elements.updateBanner = document.getElementById('update-banner');
+    this.elements.updateReload = document.getElementById('update-reload');
+    this.elements.updateDismiss = document.getElementById('update-dismiss');
+    
+    // Blocked app overlay
+    this.elements.blockOverlay = document.getElementById('block-overlay');
+    this.elements.blockOverlayApp = document.getElementById('block-overlay-app');
+    this.elements.blockOverlayReasons = document.getElementById('block-overlay-reasons');
+    this.elements.blockOverlayRequest = document.getElementById('block-overlay-request');
+    this.elements.blockOverlayClose = document.getElementById('block-overlay-close');
     
     // Glow and effects
     this.elements.cursorGlow = document.getElementById('cursor-glow');
@@ -108,23 +248,49 @@ class KaiShengDashboard {
     // Motion tracking
     this.elements.motionToggle.addEventListener('click', () => this.toggleMotionTracking());
     this.elements.stepThreshold.addEventListener('input', (e) => this.updateStepThreshold(e));
+    this.elements.motionSourceSelect.addEventListener('change', (e) => this.changeMotionSource(e));
+    this.elements.motionTraceFile.addEventListener('change', (e) => this.loadMotionTrace(e));
+    this.elements.motionRecord.addEventListener('click', () => this.toggleMotionRecording());
     
     // App limits
     this.elements.addLimitBtn.addEventListener('click', () => this.addAppLimit());
+    this.elements.addGroupBtn.addEventListener('click', () => this.openGroupLimitForm());
+    this.elements.manageAppsBtn.addEventListener('click', () => this.openAppCatalog());
+    this.elements.appSearch.addEventListener('input', () => this.renderAppSelector());
     this.elements.limitHours.addEventListener('input', (e) => this.validateTimeInput(e));
     this.elements.limitMinutes.addEventListener('input', (e) => this.validateTimeInput(e));
     
     // Downtime
-    this.elements.addScheduleBtn.addEventListener('click', () => this.addDowntimeSchedule());
+    this.elements.addScheduleBtn.addEventListener('click', () => this.saveDowntimeSchedule());
+    this.elements.cancelScheduleBtn.addEventListener('click', () => this.resetScheduleForm());
+    this.elements.blockDevice.addEventListener('change', () => this.renderScheduleTargets());
+    this.elements.scheduleRepeat.addEventListener('change', () => this.updateScheduleRepeat());
+    this.elements.addExceptionBtn.addEventListener('click', () => this.addScheduleException());
+    this.elements.exportSchedulesBtn.addEventListener('click', () => this.exportSchedules());
+    this.elements.importSchedulesFile.addEventListener('change', (e) => this.importSchedules(e));
     
     // Quick actions
     this.elements.emergencyOverride.addEventListener('click', () => this.emergencyOverride());
     this.elements.pauseAll.addEventListener('click', () => this.pauseAllLimits());
     this.elements.resetDay.addEventListener('click', () => this.resetDay());
     this.elements.viewStats.addEventListener('click', () => this.viewStats());
+    this.elements.requestTime.addEventListener('click', () => this.openTimeRequests());
+    this.elements.overrideEnd.addEventListener('click', () => this.endOverride());
+    this.elements.startFocus.addEventListener('click', () => this.openFocusSession());
+    this.elements.focusEnd.addEventListener('click', () => this.abandonFocusSession());
     
     // Settings
     this.elements.themeToggle.addEventListener('click', () => this.toggleTheme());
+    this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
+    this.elements.notificationsBtn.addEventListener('click', () => this.openNotificationHistory());
+    
+    // Blocked app overlay
+    this.elements.blockOverlayRequest.addEventListener('click', () => {
+      const appName = this.elements.blockOverlayRequest.dataset.app;
+      this.closeOpenApp();
+      this.openTimeRequests(appName);
+    });
+    this.elements.blockOverlayClose.addEventListener('click', () => this.closeOpenApp());
     
     // Cursor glow effect
     document.addEventListener('mousemove', (e) => this.updateCursorGlow(e));
@@ -135,6 +301,23 @@ class KaiShengDashboard {
     
     // Window events
     window.addEventListener('resize', this.debounce(() => this.handleResize(), 250));
+    window.addEventListener('online', () => this.handleConnectionChange());
+    window.addEventListener('offline', () => this.handleConnectionChange());
+    this.elements.updateReload.addEventListener('click', () => this.applyUpdate());
+    this.elements.installBtn.addEventListener('click', () => this.installApp());
+    window.addEventListener('beforeinstallprompt', (e) => {
+      e.preventDefault();
+      this.installPrompt = e;
+      this.elements.installBtn.hidden = false;
+    });
+    window.addEventListener('appinstalled', () => {
+      this.installPrompt = null;
+      this.elements.installBtn.hidden = true;
+      this.log('Dashboard installed as an app');
+    });
+    this.elements.updateDismiss.addEventListener('click', () => {
+      this.elements.updateBanner.hidden = true;
+    });
     window.addEventListener('scroll', this.throttle(() => this.handleScroll(), 16));
   }
   
@@ -161,13 +344,71 @@ class KaiShengDashboard {
     }
   }
   
-  startMotionDetection() {
-    // Simulate motion detection with accelerometer data
+  async startMotionDetection() {
+    this.stepDetector.reset();
+    
+    const source = this.createMotionSource(this.state.motion.source);
+    if (!source) {
+      // Replay needs a trace; go back to the paused state
+      this.toggleMotionTracking();
+      return;
+    }
+    this.motionSource = source;
+    // The source this start leaves running, once a fallback has replaced it
+    let current = source;
+    
+    await source.start({
+      onSample: (sample) => this.handleMotionSample(sample),
+      onUnavailable: (reason) => {
+        if (this.motionSource !== source) return;
+        this.showNotification(`${reason}, using simulated data`, 'warning');
+        this.log(`${reason}, falling back to simulation`);
+        current = this.motionSource = this.createMotionSource('simulator');
+        this.motionSource.start({ onSample: (sample) => this.handleMotionSample(sample) });
+      },
+      onEnd: () => {
+        if (this.motionSource !== source) return;
+        this.handleMotionEvent(this.stepDetector.tick(source.now() + this.stepDetector.options.walkingTimeout + 1));
+        this.showNotification('Motion trace replay finished', 'info');
+        this.log('Motion trace replay finished');
+        if (this.state.motion.isTracking) {
+          this.toggleMotionTracking();
+        }
+      }
+    });
+    
+    // Tracking may have stopped or restarted with another source meanwhile,
+    // and a synchronous replay may already have finished
+    if (this.motionSource !== current || !this.state.motion.isTracking) return;
+    
+    // Let walking end when samples stop arriving, and keep the duration live
+    clearInterval(this.state.timers.motionUpdate);
     this.state.timers.motionUpdate = setInterval(() => {
-      this.simulateMotionData();
+      if (!this.motionSource) return;
+      this.handleMotionEvent(this.stepDetector.tick(this.motionSource.now()));
+      if (this.state.motion.isWalking) {
+        this.updateWalkDuration();
+      }
     }, 1000);
     
-    this.log('Motion detection started');
+    this.log(`Motion detection started (${source.name})`);
+  }
+  
+  createMotionSource(type) {
+    switch (type) {
+      case 'simulator':
+        return new SimulatedMotionSource();
+      case 'replay':
+        if (!this.motionTrace) {
+          this.showNotification('Load a motion trace to replay', 'error');
+          return null;
+        }
+        return new ReplayMotionSource(this.motionTrace, {
+          speed: parseFloat(this.elements.replaySpeed.value) || 1
+        });
+      default:
+        return new DeviceMotionSource();
+    }
   }
   
   stopMotionDetection() {
@@ -175,40 +416,102 @@ class KaiShengDashboard {
       clearInterval(this.state.timers.motionUpdate);
       this.state.timers.motionUpdate = null;
     }
+    if (this.motionSource) {
+      this.motionSource.stop();
+      this.motionSource = null;
+    }
+    if (this.motionRecorder.isRecording) {
+      this.toggleMotionRecording();
+    }
+    this.stepDetector.reset();
     
     // Reset motion state
     this.state.motion.isWalking = false;
     this.state.motion.stepCount = 0;
     this.state.motion.walkStartTime = null;
+    this.state.motion.currentPace = null;
     this.updateMotionUI();
     
     this.log('Motion detection stopped');
   }
   
-  simulateMotionData() {
-    // Simulate acceleration data and walking detection
-    const acceleration = Math.random() * 2 + 0.5; // Simulated acceleration
-    const isWalkingNow = acceleration > 1.1;
+  changeMotionSource(event) {
+    this.state.motion.source = event.target.value;
+    this.elements.replayOptions.hidden = this.state.motion.source !== 'replay';
+    this.saveState();
+    
+    // Restart with the new backend
+    if (this.state.motion.isTracking) {
+      this.stopMotionDetection();
+      this.startMotionDetection();
+    }
+    
+    this.log(`Motion source changed to ${this.state.motion.source}`);
+  }
+  
+  async loadMotionTrace(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      this.motionTrace = parseMotionTrace(await file.text());
+      const seconds = Math.round(
+        (this.motionTrace.samples[this.motionTrace.samples.length - 1].t - this.motionTrace.samples[0].t) / 1000
+      );
+      this.showNotification(`Loaded ${this.motionTrace.samples.length} samples (${seconds}s) from ${file.name}`, 'success');
+      this.log(`Motion trace loaded: ${file.name}`);
+    } catch (error) {
+      this.motionTrace = null;
+      this.showNotification(`Could not read trace: ${error.message}`, 'error');
+      console.warn('Failed to parse motion trace:', error);
+    }
+  }
+  
+  toggleMotionRecording() {
+    const button = this.elements.motionRecord;
+    
+    if (!this.motionRecorder.isRecording) {
+      if (!this.state.motion.isTracking) {
+        this.showNotification('Start tracking to record motion', 'error');
+        return;
+      }
+      this.motionRecorder.start(this.motionSource);
+      button.classList.add('active');
+      button.querySelector('.btn-text').textContent = 'Stop & Save';
+      this.log('Motion recording started');
+      return;
+    }
+    
+    const trace = this.motionRecorder.stop();
+    button.classList.remove('active');
+    button.querySelector('.btn-text').textContent = 'Record';
+    
+    if (trace.samples.length === 0) {
+      this.showNotification('No motion samples recorded', 'warning');
+      return;
+    }
+    
+    MotionRecorder.download(trace, this.elements.recordFormat.value);
+    this.showNotification(`Saved ${trace.samples.length} motion samples`, 'success');
+    this.log('Motion recording saved');
+  }
+  
+  // Feed one accelerometer sample through the step detector
+  handleMotionSample(sample) {
+    this.motionRecorder.record(sample);
+    this.handleMotionEvent(this.stepDetector.process(sample));
+  }
+  
+  handleMotionEvent(event) {
+    if (!event) return;
     
-    if (isWalkingNow && !this.state.motion.isWalking) {
-      // Start walking
-      this.state.motion.isWalking = true;
-      this.state.motion.walkStartTime = Date.now();
-      this.state.motion.stepCount = 0;
+    if (event.walkingStarted) {
       this.log('Walking detected');
-    } else if (!isWalkingNow && this.state.motion.isWalking) {
-      // Stop walking
-      this.state.motion.isWalking = false;
-      this.state.motion.stepCount = 0;
-      this.state.motion.walkStartTime = null;
+    } else if (event.walkingStopped) {
       this.log('Walking stopped');
     }
     
-    if (this.state.motion.isWalking) {
-      // Simulate step counting
-      this.state.motion.stepCount += Math.floor(Math.random() * 2);
-      this.state.motion.currentPace = Math.random() * 2 + 0.5;
-    }
+    Object.assign(this.state.motion, event.state);
     
     this.updateMotionUI();
     this.checkMotionRestrictions();
@@ -226,18 +529,23 @@ class KaiShengDashboard {
     // Update step count
     this.elements.stepCount.textContent = this.state.motion.stepCount.toLocaleString();
     
-    // Update walk duration
+    this.updateWalkDuration();
+    
+    // Animate step count updates
+    this.animateStepCount();
+  }
+  
+  updateWalkDuration() {
     if (this.state.motion.walkStartTime) {
-      const duration = Date.now() - this.state.motion.walkStartTime;
+      // Measure in the source's clock so accelerated replays read correctly
+      const now = this.motionSource ? this.motionSource.now() : Date.now();
+      const duration = Math.max(0, now - this.state.motion.walkStartTime);
       const minutes = Math.floor(duration / 60000);
       const seconds = Math.floor((duration % 60000) / 1000);
       this.elements.walkDuration.textContent = `${minutes}m ${seconds}s`;
     } else {
       this.elements.walkDuration.textContent = '0m 0s';
     }
-    
-    // Animate step count updates
-    this.animateStepCount();
   }
   
   animateStepCount() {
@@ -251,22 +559,39 @@ class KaiShengDashboard {
   }
   
   checkMotionRestrictions() {
-    const shouldRestrict = this.state.motion.isWalking && 
-                          this.state.motion.stepCount >= this.state.motion.stepThreshold;
+    const shouldRestrict = this.isWalkingRestricted();
+    const wasRestricted = !this.elements.motionWarning.hidden;
     
     if (shouldRestrict) {
       this.elements.motionWarning.hidden = false;
-      this.showNotification('Social media scrolling restricted while walking', 'warning');
-      this.log('Social media restrictions applied due to walking');
+      if (!wasRestricted) {
+        this.showNotification('Social media scrolling restricted while walking', 'warning', 'walking');
+        this.log('Social media restrictions applied due to walking');
+      }
     } else {
       this.elements.motionWarning.hidden = true;
     }
+    
+    if (shouldRestrict !== wasRestricted) {
+      this.checkLimitsAndBlockApps();
+    }
+  }
+  
+  isWalkingRestricted() {
+    return StepDetector.isRestricting(this.state.motion, this.state.motion.stepThreshold);
+  }
+  
+  restoreMotionSource() {
+    const source = this.state.motion.source || 'device';
+    this.elements.motionSourceSelect.value = source;
+    this.elements.replayOptions.hidden = source !== 'replay';
   }
   
   updateStepThreshold(event) {
     this.state.motion.stepThreshold = parseInt(event.target.value);
     this.elements.stepThreshold.nextElementSibling.textContent = this.state.motion.stepThreshold;
     this.log(`Step threshold updated to ${this.state.motion.stepThreshold}`);
+    this.checkMotionRestrictions();
   }
   
   // App Limits
@@ -293,33 +618,41 @@ class KaiShengDashboard {
       return;
     }
     
-    // Create new limit
+    // Create new limit; no warningThreshold means the one from Settings
+    const warningThreshold = parseInt(this.elements.limitWarning.value) || null;
     const newLimit = {
       id: this.generateId(),
       appName,
       dailyLimit: limitSeconds,
       category: this.getAppCategory(appName),
-      usageTime: 0,
+      warningThreshold,
+      isEnabled: true,
+      weekdayLimits: {},
       createdAt: new Date()
     };
     
     this.state.appLimits.push(newLimit);
-    this.renderAppLimits();
+    this.checkLimitsAndBlockApps();
     this.updateUsageStats();
     this.saveState();
     
     // Reset form
+    this.elements.appSearch.value = '';
+    this.renderAppSelector();
     this.elements.appSelector.value = '';
     this.elements.limitHours.value = 1;
     this.elements.limitMinutes.value = 0;
+    this.elements.limitWarning.value = '';
     
     this.showNotification(`Added ${hours}h ${minutes}m limit for ${appName}`, 'success');
     this.log(`App limit added: ${appName} - ${hours}h ${minutes}m`);
   }
   
-  removeAppLimit(limitId) {
+  async removeAppLimit(limitId) {
+    if (!(await this.confirmGuardian())) return;
+    
     this.state.appLimits = this.state.appLimits.filter(limit => limit.id !== limitId);
-    this.renderAppLimits();
+    this.checkLimitsAndBlockApps();
     this.updateUsageStats();
     this.saveState();
     
@@ -331,29 +664,218 @@ class KaiShengDashboard {
     const index = this.state.appLimits.findIndex(limit => limit.id === limitId);
     if (index !== -1) {
       this.state.appLimits[index] = { ...this.state.appLimits[index], ...newLimit };
-      this.renderAppLimits();
+      this.checkLimitsAndBlockApps();
+      this.updateUsageStats();
       this.saveState();
     }
   }
   
+  // Today's allowance for a limit, after weekday overrides and any extra
+  // time the guardian approved
+  getEffectiveLimit(limit, date = new Date()) {
+    const extra = limit.appName ? this.guardian.getExtraTime(limit.appName, date) : 0;
+    return LimitPolicy.getEffectiveLimit(limit, date) + extra;
+  }
+  
+  // Turning a limit off needs the guardian PIN; turning it on never does
+  async toggleLimitEnabled(limitId, isEnabled) {
+    const limit = this.state.appLimits.find(entry => entry.id === limitId);
+    if (!limit) return;
+    if (!isEnabled && !(await this.confirmGuardian())) {
+      this.renderAppLimits();
+      return;
+    }
+    
+    this.updateAppLimit(limitId, { isEnabled });
+    this.showNotification(`${limit.appName} limit ${isEnabled ? 'enabled' : 'disabled'}`, 'success');
+    this.log(`App limit ${isEnabled ? 'enabled' : 'disabled'}: ${limit.appName}`);
+  }
+  
+  editAppLimit(limitId) {
+    this.state.editingLimitId = limitId;
+    this.renderAppLimits();
+    
+    const editor = this.elements.limitsList.querySelector('.limit-editor');
+    if (editor) editor.querySelector('input[name="daily-hours"]').focus();
+  }
+  
+  cancelLimitEdit() {
+    this.state.editingLimitId = null;
+    this.renderAppLimits();
+  }
+  
+  // Inline editor for duration, enabled state, warning threshold and weekday allowances
+  renderLimitEditor(limit) {
+    const timeInputs = (name, seconds, label) => `
+      <div class="time-input-group">
+        <input type="number" name="${name}-hours" min="0" max="23" value="${Math.floor(seconds / 3600)}"
+               class="time-input" aria-label="${label} hours">
+        <span class="time-label">h</span>
+        <input type="number" name="${name}-minutes" min="0" max="59" value="${Math.floor((seconds % 3600) / 60)}"
+               class="time-input" aria-label="${label} minutes">
+        <span class="time-label">m</span>
+      </div>
+    `;
+    
+    const weekdayLimits = limit.weekdayLimits || {};
+    const weekdayRows = LimitPolicy.WEEK_ORDER.map(day => `
+      <div class="settings-row weekday-limit-row">
+        <span>${day}</span>
+        ${timeInputs(`day-${day}`, weekdayLimits[day] || limit.dailyLimit, day)}
+      </div>
+    `).join('');
+    
+    // Keep a threshold set elsewhere selectable, so saving does not drop it
+    const thresholds = LimitAlerts.THRESHOLD_OPTIONS;
+    if (limit.warningThreshold && !thresholds.includes(limit.warningThreshold)) {
+      thresholds.push(limit.warningThreshold);
+      thresholds.sort((a, b) => a - b);
+    }
+    const warningOptions = [['', 'Warn at default threshold'], ...thresholds.map(percent => [percent, `Warn at ${percent}%`])]
+      .map(([value, label]) => `
+        <option value="${value}" ${(limit.warningThreshold || '') === value ? 'selected' : ''}>${label}</option>
+      `).join('');
+    
+    const editor = this.createElement('form', {
+      className: 'limit-item limit-editor',
+      innerHTML: `
+        <div class="limit-header">
+          <div class="limit-info">
+            <span class="limit-name">${this.escapeHTML(limit.appName)}</span>
+            <span class="limit-category">${limit.category}</span>
+          </div>
+          <label class="toggle-switch">
+            <input type="checkbox" name="enabled" ${LimitPolicy.isEnabled(limit) ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+            <span class="toggle-label">Enabled</span>
+          </label>
+        </div>
+        
+        <div class="settings-row">
+          <span>Daily limit</span>
+          ${timeInputs('daily', limit.dailyLimit, 'Daily limit')}
+        </div>
+        
+        <label class="toggle-switch settings-toggle">
+          <input type="checkbox" name="per-day" ${LimitPolicy.hasWeekdayLimits(limit) ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+          <span class="toggle-label">Different limit per day</span>
+        </label>
+        
+        <div class="weekday-limits" ${LimitPolicy.hasWeekdayLimits(limit) ? '' : 'hidden'}>${weekdayRows}</div>
+        
+        <select name="warning" class="app-select" aria-label="Warning threshold">${warningOptions}</select>
+        
+        <div class="modal-actions">
+          <button type="button" class="btn btn-secondary cancel-edit">Cancel</button>
+          <button type="submit" class="btn btn-primary">Save</button>
+        </div>
+      `
+    });
+    editor.dataset.limitId = limit.id;
+    
+    editor.querySelector('input[name="per-day"]').addEventListener('change', (e) => {
+      editor.querySelector('.weekday-limits').hidden = !e.target.checked;
+    });
+    editor.querySelectorAll('.time-input').forEach(input => {
+      input.addEventListener('input', (e) => this.validateTimeInput(e));
+    });
+    editor.querySelector('.cancel-edit').addEventListener('click', () => this.cancelLimitEdit());
+    editor.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveLimitEdit(limit.id, editor);
+    });
+    
+    return editor;
+  }
+  
+  async saveLimitEdit(limitId, editor) {
+    const readSeconds = (name) => {
+      const hours = parseInt(editor.querySelector(`input[name="${name}-hours"]`).value) || 0;
+      const minutes = parseInt(editor.querySelector(`input[name="${name}-minutes"]`).value) || 0;
+      return hours * 3600 + minutes * 60;
+    };
+    
+    const dailyLimit = readSeconds('daily');
+    if (dailyLimit === 0) {
+      this.showNotification('Please set a time limit', 'error');
+      return;
+    }
+    
+    // Only days that differ from the daily limit are stored
+    const weekdayLimits = {};
+    if (editor.querySelector('input[name="per-day"]').checked) {
+      for (const day of LimitPolicy.WEEK_ORDER) {
+        const seconds = readSeconds(`day-${day}`);
+        if (seconds === 0) {
+          this.showNotification(`Please set a time limit for ${day}`, 'error');
+          return;
+        }
+        if (seconds !== dailyLimit) {
+          weekdayLimits[day] = seconds;
+        }
+      }
+    }
+    
+    const limit = this.state.appLimits.find(entry => entry.id === limitId);
+    const changes = {
+      dailyLimit,
+      weekdayLimits,
+      isEnabled: editor.querySelector('input[name="enabled"]').checked,
+      warningThreshold: parseInt(editor.querySelector('select[name="warning"]').value) || null
+    };
+    // Only a looser limit needs the PIN; the editor stays open otherwise
+    if (LimitPolicy.isLooser(limit, { ...limit, ...changes }) && !(await this.confirmGuardian())) return;
+    
+    this.state.editingLimitId = null;
+    this.updateAppLimit(limitId, changes);
+    
+    this.showNotification(`${limit.appName} limit updated`, 'success');
+    this.log(`App limit updated: ${limit.appName}`);
+  }
+  
   renderAppLimits() {
+    // Keep an open editor (and whatever was typed into it) across re-renders
+    const openEditor = this.elements.limitsList.querySelector('.limit-editor');
     this.elements.limitsList.innerHTML = '';
     
     this.state.appLimits.forEach(limit => {
-      const usagePercentage = (limit.usageTime / limit.dailyLimit) * 100;
-      const isBlocked = usagePercentage >= 100;
-      const isWarning = usagePercentage >= 80 && usagePercentage < 100;
-      const isDanger = usagePercentage >= 90;
+      if (limit.id === this.state.editingLimitId) {
+        const editor = openEditor && openEditor.dataset.limitId === limit.id
+          ? openEditor
+          : this.renderLimitEditor(limit);
+        this.elements.limitsList.appendChild(editor);
+        return;
+      }
+      
+      const isEnabled = LimitPolicy.isEnabled(limit);
+      const dailyLimit = this.getEffectiveLimit(limit);
+      const usageTime = this.getTodayUsage(limit.appName);
+      const usagePercentage = (usageTime / dailyLimit) * 100;
+      const decision = this.state.blockedApps[limit.appName];
+      const isBlocked = Boolean(decision);
+      const isOpen = this.state.openApp === limit.appName;
+      const status = isEnabled ? this.limitAlerts.getStatus(limit, usageTime, dailyLimit) : 'ok';
+      const isWarning = status === 'warning';
+      const isDanger = status === 'danger' || status === 'exceeded';
+      const isWeekdayLimit = dailyLimit !== limit.dailyLimit;
       
       const limitItem = this.createElement('div', {
-        className: `limit-item ${isBlocked ? 'blocked' : ''}`,
+        className: `limit-item ${isBlocked ? 'blocked' : ''} ${isOpen ? 'open' : ''} ${isEnabled ? '' : 'disabled'}`,
         innerHTML: `
           <div class="limit-header">
             <div class="limit-info">
-              <span class="limit-name">${limit.appName}</span>
-              <span class="limit-category">${limit.category}</span>
+              ${AppCatalog.renderIcon(this.catalog.find(limit.appName))}
+              <span class="limit-name">${this.escapeHTML(limit.appName)}</span>
+              <span class="limit-category">${AppCatalog.categoryLabel(limit.category)}</span>
+              ${limit.warningThreshold ? `<span class="limit-threshold">Warns at ${limit.warningThreshold}%</span>` : ''}
             </div>
-            ${isBlocked ? '<svg class="lock-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/></svg>' : ''}
+            <label class="toggle-switch limit-toggle" title="${isEnabled ? 'Disable' : 'Enable'} limit">
+              <input type="checkbox" class="limit-enabled" ${isEnabled ? 'checked' : ''}
+                     aria-label="Enable ${this.escapeHTML(limit.appName)} limit">
+              <span class="toggle-slider"></span>
+            </label>
+            ${isBlocked ? `<svg class="lock-icon" viewBox="0 0 24 24" fill="currentColor"><title>${this.escapeHTML(decision.reasons.map(reason => reason.message).join('; '))}</title><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/></svg>` : ''}
           </div>
           
           <div class="limit-progress">
@@ -364,8 +886,18 @@ class KaiShengDashboard {
           </div>
           
           <div class="limit-details">
-            <span class="limit-usage">${this.formatTime(limit.usageTime)} / ${this.formatTime(limit.dailyLimit)}</span>
+            <span class="limit-usage">
+              ${this.formatTime(usageTime)} / ${this.formatTime(dailyLimit)}
+              ${isWeekdayLimit ? `<span class="limit-threshold">${DateUtils.dayName(new Date())} limit</span>` : ''}
+              ${isEnabled ? '' : '<span class="limit-threshold">Disabled</span>'}
+            </span>
             <div class="limit-actions">
+              <button class="icon-btn open-app" data-limit-id="${limit.id}" 
+                      aria-label="Open ${this.escapeHTML(limit.appName)}">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M8 5v14l11-7z"/>
+                </svg>
+              </button>
               <button class="icon-btn edit-limit" data-limit-id="${limit.id}" 
                       aria-label="Edit limit">
                 <svg viewBox="0 0 24 24" fill="currentColor">
@@ -384,14 +916,26 @@ class KaiShengDashboard {
       });
       
       // Add event listeners to buttons
+      const openBtn = limitItem.querySelector('.open-app');
+      openBtn.addEventListener('click', () => this.openApp(limit.appName));
+      
+      const editBtn = limitItem.querySelector('.edit-limit');
+      editBtn.addEventListener('click', () => this.editAppLimit(limit.id));
+      
+      const enabledToggle = limitItem.querySelector('.limit-enabled');
+      enabledToggle.addEventListener('change', (e) => this.toggleLimitEnabled(limit.id, e.target.checked));
+      
       const removeBtn = limitItem.querySelector('.remove-limit');
       removeBtn.addEventListener('click', () => this.removeAppLimit(limit.id));
       
       this.elements.limitsList.appendChild(limitItem);
     });
     
+    this.renderGroupLimits();
+    
     // Update summary
-    this.elements.limitsSummary.textContent = `${this.state.appLimits.length} active limits`;
+    const activeLimits = LimitPolicy.getEnabledLimits([...this.state.appLimits, ...this.state.groupLimits]);
+    this.elements.limitsSummary.textContent = `${activeLimits.length} active limits`;
     
     // Animate progress bars
     setTimeout(() => {
@@ -403,94 +947,849 @@ class KaiShengDashboard {
   }
   
   simulateAppUsage() {
-    // Simulate app usage over time
-    this.state.appLimits.forEach(limit => {
-      if (Math.random() < 0.3) { // 30% chance of usage
+    // Simulate app usage over time; blocked apps cannot be used
+    this.getLimitedApps().forEach(appName => {
+      if (this.state.blockedApps[appName]) return;
+      
+      const limit = this.state.appLimits.find(entry => entry.appName === appName);
+      const isOpen = this.state.openApp === appName;
+      if (isOpen || Math.random() < 0.3) { // 30% chance of usage
+        const dailyLimit = limit ? this.getEffectiveLimit(limit) : null;
         const usageIncrement = Math.floor(Math.random() * 180) + 60; // 1-4 minutes
-        limit.usageTime = Math.min(limit.usageTime + usageIncrement, limit.dailyLimit + 600);
-        
-        // Check for limit exceeded
-        if (limit.usageTime >= limit.dailyLimit) {
-          this.showNotification(`${limit.appName} time limit exceeded`, 'warning');
-        }
+        const currentUsage = this.getTodayUsage(appName);
+        const usageTime = dailyLimit
+          ? Math.min(currentUsage + usageIncrement, dailyLimit + 600)
+          : currentUsage + usageIncrement;
+        this.usageHistory.addUsage(appName, usageTime - currentUsage, {
+          category: this.getAppCategory(appName),
+          dailyLimit: limit && LimitPolicy.isEnabled(limit) ? dailyLimit : null
+        });
       }
     });
     
-    this.renderAppLimits();
+    this.checkLimitAlerts();
+    this.checkLimitsAndBlockApps();
     this.updateUsageStats();
     this.saveState();
   }
   
-  updateUsageStats() {
-    const totalUsage = this.state.appLimits.reduce((sum, limit) => sum + limit.usageTime, 0);
-    this.elements.dailyTotal.textContent = this.formatTime(totalUsage);
+  // Apps counted by a per-app or group limit
+  getLimitedApps() {
+    const apps = new Set(this.state.appLimits.map(limit => limit.appName));
+    this.getTrackedApps().forEach(appName => {
+      const category = this.getAppCategory(appName);
+      if (this.state.groupLimits.some(group => LimitPolicy.isGroupMember(group, appName, category))) {
+        apps.add(appName);
+      }
+    });
+    return Array.from(apps);
+  }
+  
+  // App Catalog
+  // Selector options grouped by category, narrowed by the search box
+  renderAppSelector() {
+    const query = this.elements.appSearch.value;
+    const selected = this.elements.appSelector.value;
+    const matches = this.catalog.search(query);
     
-    const mostUsed = this.state.appLimits.reduce((max, limit) => 
-      limit.usageTime > max.usageTime ? limit : max, this.state.appLimits[0] || { appName: 'None', usageTime: 0 });
+    const groups = StateSerializer.CATEGORIES.map(category => {
+      const options = matches.filter(entry => entry.category === category).map(entry => `
+        <option value="${this.escapeHTML(entry.name)}">${this.escapeHTML(entry.name)}${entry.domain ? ` (${this.escapeHTML(entry.domain)})` : ''}</option>
+      `).join('');
+      return options ? `<optgroup label="${AppCatalog.categoryLabel(category)}">${options}</optgroup>` : '';
+    }).join('');
     
-    this.elements.mostUsed.textContent = mostUsed.appName;
+    this.elements.appSelector.innerHTML = `
+      <option value="">${matches.length > 0 ? 'Select an app...' : 'No matching apps'}</option>
+      ${groups}
+    `;
+    
+    // Keep the selection while it still matches; a single match is picked for you
+    if (matches.some(entry => entry.name === selected)) {
+      this.elements.appSelector.value = selected;
+    } else if (query && matches.length === 1) {
+      this.elements.appSelector.value = matches[0].name;
+    }
   }
   
-  // Downtime Schedules
-  addDowntimeSchedule() {
-    const name = this.elements.scheduleName.value;
-    const startTime = this.elements.downtimeStart.value;
-    const endTime = this.elements.downtimeEnd.value;
+  openAppCatalog() {
+    const categoryOptions = (selected) => StateSerializer.CATEGORIES.map(category => `
+      <option value="${category}" ${category === selected ? 'selected' : ''}>${AppCatalog.categoryLabel(category)}</option>
+    `).join('');
     
-    if (!name) {
-      this.showNotification('Please enter a schedule name', 'error');
+    const rows = this.catalog.getAll().map(entry => `
+      <div class="catalog-item" data-entry-id="${entry.id}">
+        ${AppCatalog.renderIcon(entry)}
+        <div class="catalog-info">
+          <span class="limit-name">${this.escapeHTML(entry.name)}</span>
+          <span class="group-members">${entry.kind === 'website' ? this.escapeHTML(entry.domain) : entry.isBuiltIn ? 'Built-in app' : 'Custom app'}</span>
+        </div>
+        <input type="text" class="schedule-input catalog-icon" value="${this.escapeHTML(entry.icon || '')}"
+               placeholder="Icon" aria-label="Icon for ${this.escapeHTML(entry.name)}">
+        <select class="app-select catalog-category" aria-label="Category for ${this.escapeHTML(entry.name)}">
+          ${categoryOptions(entry.category)}
+        </select>
+        ${entry.isBuiltIn ? '' : `
+          <button class="icon-btn remove-app" aria-label="Remove ${this.escapeHTML(entry.name)}">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+            </svg>
+          </button>
+        `}
+      </div>
+    `).join('');
+    
+    const content = `
+      <div class="catalog-list">${rows}</div>
+      <form class="catalog-form">
+        <h3 class="stats-section-title">Add an App or Website</h3>
+        <div class="settings-row">
+          <select id="catalog-kind" class="app-select" aria-label="Type">
+            <option value="app">App</option>
+            <option value="website">Website</option>
+          </select>
+          <input type="text" id="catalog-name" class="schedule-input" maxlength="40"
+                 placeholder="Name" aria-label="Name" required>
+        </div>
+        <input type="text" id="catalog-domain" class="schedule-input"
+               placeholder="Domain, e.g. news.example.com" aria-label="Domain" hidden>
+        <div class="settings-row">
+          <select id="catalog-category" class="app-select" aria-label="Category">${categoryOptions('OTHER')}</select>
+          <input type="text" id="catalog-icon" class="schedule-input"
+                 placeholder="Icon: a letter or image URL" aria-label="Icon">
+        </div>
+        <div class="modal-actions">
+          <label class="btn btn-secondary catalog-import">
+            Import JSON
+            <input type="file" id="catalog-import" accept=".json,application/json" hidden>
+          </label>
+          <button type="submit" class="btn btn-primary">Add to Catalog</button>
+        </div>
+      </form>
+    `;
+    
+    const modal = this.openModal('App Catalog', content, { className: 'catalog-modal' });
+    
+    modal.querySelectorAll('.catalog-item').forEach(item => {
+      const entryId = item.dataset.entryId;
+      item.querySelector('.catalog-category').addEventListener('change', (e) => {
+        this.updateCatalogEntry(entryId, { category: e.target.value });
+      });
+      item.querySelector('.catalog-icon').addEventListener('change', (e) => {
+        this.updateCatalogEntry(entryId, { icon: e.target.value.trim() || null });
+      });
+      const removeBtn = item.querySelector('.remove-app');
+      if (removeBtn) {
+        removeBtn.addEventListener('click', () => this.removeCatalogEntry(entryId));
+      }
+    });
+    
+    const form = modal.querySelector('.catalog-form');
+    const kind = form.querySelector('#catalog-kind');
+    kind.addEventListener('change', () => {
+      form.querySelector('#catalog-domain').hidden = kind.value !== 'website';
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addCatalogEntry({
+        name: form.querySelector('#catalog-name').value,
+        kind: kind.value,
+        domain: form.querySelector('#catalog-domain').value,
+        category: form.querySelector('#catalog-category').value,
+        icon: form.querySelector('#catalog-icon').value.trim() || null
+      });
+    });
+    form.querySelector('#catalog-import').addEventListener('change', (e) => this.importCatalog(e));
+  }
+  
+  addCatalogEntry(fields) {
+    try {
+      const entry = this.catalog.add(fields);
+      this.handleCatalogChange();
+      this.openAppCatalog();
+      this.showNotification(`Added ${entry.name} to the catalog`, 'success');
+      this.log(`Catalog entry added: ${entry.name} (${entry.category})`);
+    } catch (error) {
+      if (!(error instanceof CatalogError)) throw error;
+      this.showNotification(error.message, 'error');
+    }
+  }
+  
+  // Moving an app to another category can take it out of category limits,
+  // downtime and focus blocks, so it needs the guardian PIN
+  async updateCatalogEntry(entryId, changes) {
+    const current = this.catalog.getAll().find(entry => entry.id === entryId);
+    const recategorizes = Boolean(current && changes.category && changes.category !== current.category);
+    if (recategorizes && !(await this.confirmGuardian())) {
+      this.openAppCatalog();
       return;
     }
     
-    // Get selected days
-    const selectedDays = Array.from(document.querySelectorAll('.day-checkbox input:checked'))
-      .map(cb => cb.value);
+    try {
+      const entry = this.catalog.update(entryId, changes);
+      this.handleCatalogChange();
+      // The PIN prompt replaced the catalog; bring it back
+      if (recategorizes) this.openAppCatalog();
+      this.log(`Catalog entry updated: ${entry.name}`);
+    } catch (error) {
+      if (!(error instanceof CatalogError)) throw error;
+      this.showNotification(error.message, 'error');
+      this.openAppCatalog();
+    }
+  }
+  
+  removeCatalogEntry(entryId) {
+    const entry = this.catalog.getAll().find(candidate => candidate.id === entryId);
+    if (!entry) return;
     
-    if (selectedDays.length === 0) {
-      this.showNotification('Please select at least one day', 'error');
+    // Limits and schedules name their apps; the entry goes once nothing refers to it
+    const inUse = this.state.appLimits.some(limit => limit.appName === entry.name) ||
+      this.state.groupLimits.some(group => group.apps.includes(entry.name)) ||
+      this.state.downtimeSchedules.some(schedule =>
+        schedule.blockedApps.includes(entry.name) || schedule.allowedApps.includes(entry.name));
+    if (inUse) {
+      this.showNotification(`Remove ${entry.name} from its limits and schedules first`, 'error');
       return;
     }
     
-    const isRecurring = true; // Always recurring for MVP
-    const blockEntireDevice = document.getElementById('block-device').checked;
+    try {
+      this.catalog.remove(entryId);
+      this.handleCatalogChange();
+      this.openAppCatalog();
+      this.showNotification(`Removed ${entry.name} from the catalog`, 'success');
+      this.log(`Catalog entry removed: ${entry.name}`);
+    } catch (error) {
+      if (!(error instanceof CatalogError)) throw error;
+      this.showNotification(error.message, 'error');
+    }
+  }
+  
+  async importCatalog(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      const text = await file.text();
+      if (this.catalog.getRecategorized(text).length > 0 && !(await this.confirmGuardian())) {
+        this.openAppCatalog();
+        return;
+      }
+      
+      const result = this.catalog.importJSON(text);
+      this.handleCatalogChange();
+      this.openAppCatalog();
+      
+      result.skipped.forEach(problem => console.warn(`Catalog import skipped ${problem}`));
+      const skipped = result.skipped.length > 0 ? `, ${result.skipped.length} skipped` : '';
+      this.showNotification(`Imported ${result.added} new and ${result.updated} updated apps${skipped}`,
+        result.skipped.length > 0 ? 'warning' : 'success');
+      this.log(`Catalog imported from ${file.name}: +${result.added} ~${result.updated}`);
+    } catch (error) {
+      if (!(error instanceof CatalogError)) throw error;
+      this.showNotification(error.message, 'error');
+    } finally {
+      event.target.value = '';
+    }
+  }
+  
+  // Limits keep their category in step with the catalog
+  handleCatalogChange() {
+    this.state.appLimits.forEach(limit => {
+      limit.category = this.getAppCategory(limit.appName);
+    });
+    this.renderAppSelector();
+    this.renderScheduleTargets();
+    this.checkLimitsAndBlockApps();
+    this.saveState();
+  }
+  
+  // Group Limits
+  // Category budgets follow the catalog, like stats and enforcement, rather
+  // than the category a record was written with
+  getGroupUsage(group, date = new Date()) {
+    const records = this.usageHistory.loadDailyUsage(date)
+      .map(record => ({ ...record, category: this.getAppCategory(record.appName) }));
+    return LimitPolicy.getGroupUsage(group, records);
+  }
+  
+  openGroupLimitForm() {
+    const categoryOptions = StateSerializer.CATEGORIES.map(category => `
+      <option value="category:${category}">${AppCatalog.categoryLabel(category)}</option>
+    `).join('');
+    
+    const appOptions = this.getTrackedApps().map(appName => `
+      <label class="group-app-option">
+        <input type="checkbox" value="${this.escapeHTML(appName)}">
+        <span>${this.escapeHTML(appName)}</span>
+      </label>
+    `).join('');
+    
+    const content = `
+      <form class="group-limit-form">
+        <input type="text" id="group-name" class="schedule-input" maxlength="40"
+               placeholder="Name, e.g. Social media" aria-label="Group name" required>
+        <div class="settings-row">
+          <label for="group-scope">Applies to</label>
+          <select id="group-scope" class="app-select">
+            <optgroup label="Every app in a category">${categoryOptions}</optgroup>
+            <option value="apps">Apps I choose</option>
+          </select>
+        </div>
+        <div class="group-app-picker" hidden>${appOptions}</div>
+        <div class="settings-row">
+          <span>Shared daily limit</span>
+          <div class="time-input-group">
+            <input type="number" id="group-hours" min="0" max="23" value="1" class="time-input" aria-label="Hours">
+            <span class="time-label">h</span>
+            <input type="number" id="group-minutes" min="0" max="59" value="0" class="time-input" aria-label="Minutes">
+            <span class="time-label">m</span>
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">Add Shared Limit</button>
+        </div>
+      </form>
+    `;
+    
+    const modal = this.openModal('Shared Limit', content, { className: 'group-limit-modal' });
+    const form = modal.querySelector('.group-limit-form');
+    const scope = form.querySelector('#group-scope');
     
-    // Mock blocked apps for now
-    const blockedApps = blockEntireDevice ? []
-      : ['Instagram', 'TikTok', 'Facebook', 'Twitter'];
+    scope.addEventListener('change', () => {
+      form.querySelector('.group-app-picker').hidden = scope.value !== 'apps';
+    });
+    form.querySelectorAll('.time-input').forEach(input => {
+      input.addEventListener('input', (e) => this.validateTimeInput(e));
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const hours = parseInt(form.querySelector('#group-hours').value) || 0;
+      const minutes = parseInt(form.querySelector('#group-minutes').value) || 0;
+      const [kind, category] = scope.value.split(':');
+      const added = this.addGroupLimit({
+        name: form.querySelector('#group-name').value.trim(),
+        kind,
+        category: category || null,
+        apps: Array.from(form.querySelectorAll('.group-app-picker input:checked')).map(input => input.value),
+        dailyLimit: hours * 3600 + minutes * 60
+      });
+      if (added) {
+        this.closeModal();
+      }
+    });
+  }
+  
+  addGroupLimit({ name, kind, category, apps, dailyLimit }) {
+    if (!name) {
+      this.showNotification('Please name the shared limit', 'error');
+      return null;
+    }
+    if (this.state.groupLimits.some(group => group.name.toLowerCase() === name.toLowerCase())) {
+      this.showNotification('A shared limit with this name already exists', 'error');
+      return null;
+    }
+    if (kind === 'apps' && apps.length < 2) {
+      this.showNotification('Choose at least two apps to share the limit', 'error');
+      return null;
+    }
+    if (dailyLimit === 0) {
+      this.showNotification('Please set a time limit', 'error');
+      return null;
+    }
     
-    const newSchedule = {
+    const group = {
       id: this.generateId(),
       name,
-      startTime: this.parseTime(startTime),
-      endTime: this.parseTime(endTime),
-      isRecurring,
-      recurringDays: new Set(selectedDays),
-      blockedApps,
-      blockEntireDevice,
+      kind,
+      category: kind === 'category' ? category : null,
+      apps: kind === 'apps' ? apps : [],
+      dailyLimit,
+      weekdayLimits: {},
+      warningThreshold: null,
+      isEnabled: true,
       createdAt: new Date()
     };
     
-    this.state.downtimeSchedules.push(newSchedule);
-    this.renderDowntimeSchedules();
-    this.checkDowntimeStatus();
+    this.state.groupLimits.push(group);
+    this.checkLimitsAndBlockApps();
     this.saveState();
     
-    // Reset form
+    this.showNotification(`Added ${this.formatTime(dailyLimit)} shared limit "${name}"`, 'success');
+    this.log(`Group limit added: ${name} (${LimitPolicy.describeGroup(group)})`);
+    return group;
+  }
+  
+  async removeGroupLimit(groupId) {
+    if (!(await this.confirmGuardian())) return;
+    
+    this.state.groupLimits = this.state.groupLimits.filter(group => group.id !== groupId);
+    this.limitAlerts.reset(`group:${groupId}`);
+    this.checkLimitsAndBlockApps();
+    this.saveState();
+    
+    this.showNotification('Shared limit removed', 'success');
+    this.log('Group limit removed');
+  }
+  
+  async toggleGroupEnabled(groupId, isEnabled) {
+    const group = this.state.groupLimits.find(entry => entry.id === groupId);
+    if (!group) return;
+    if (!isEnabled && !(await this.confirmGuardian())) {
+      this.renderGroupLimits();
+      return;
+    }
+    
+    group.isEnabled = isEnabled;
+    this.checkLimitsAndBlockApps();
+    this.saveState();
+    
+    this.showNotification(`Shared limit "${group.name}" ${isEnabled ? 'enabled' : 'disabled'}`, 'success');
+  }
+  
+  renderGroupLimits() {
+    this.elements.groupLimitsList.innerHTML = '';
+    
+    this.state.groupLimits.forEach(group => {
+      const isEnabled = LimitPolicy.isEnabled(group);
+      const dailyLimit = this.getEffectiveLimit(group);
+      const usageTime = this.getGroupUsage(group);
+      const usagePercentage = (usageTime / dailyLimit) * 100;
+      const status = isEnabled ? this.limitAlerts.getStatus(group, usageTime, dailyLimit) : 'ok';
+      const isExceeded = status === 'exceeded';
+      
+      const groupItem = this.createElement('div', {
+        className: `limit-item group-limit-item ${isEnabled && isExceeded ? 'blocked' : ''} ${isEnabled ? '' : 'disabled'}`,
+        innerHTML: `
+          <div class="limit-header">
+            <div class="limit-info">
+              <span class="limit-name">${this.escapeHTML(group.name)}</span>
+              <span class="limit-category">Shared</span>
+            </div>
+            <label class="toggle-switch limit-toggle" title="${isEnabled ? 'Disable' : 'Enable'} shared limit">
+              <input type="checkbox" class="limit-enabled" ${isEnabled ? 'checked' : ''}
+                     aria-label="Enable ${this.escapeHTML(group.name)} shared limit">
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+          
+          <div class="group-members">${this.escapeHTML(LimitPolicy.describeGroup(group))}</div>
+          
+          <div class="limit-progress">
+            <div class="progress-bar">
+              <div class="progress-fill ${status === 'danger' || isExceeded ? 'danger' : status === 'warning' ? 'warning' : ''}"
+                   style="width: ${Math.min(usagePercentage, 100)}%"></div>
+            </div>
+          </div>
+          
+          <div class="limit-details">
+            <span class="limit-usage">
+              ${this.formatTime(usageTime)} / ${this.formatTime(dailyLimit)}
+              ${isEnabled ? '' : '<span class="limit-threshold">Disabled</span>'}
+            </span>
+            <div class="limit-actions">
+              <button class="icon-btn remove-limit" aria-label="Remove shared limit">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+                </svg>
+              </button>
+            </div>
+          </div>
+        `
+      });
+      
+      groupItem.querySelector('.limit-enabled').addEventListener('change', (e) => {
+        this.toggleGroupEnabled(group.id, e.target.checked);
+      });
+      groupItem.querySelector('.remove-limit').addEventListener('click', () => this.removeGroupLimit(group.id));
+      
+      this.elements.groupLimitsList.appendChild(groupItem);
+    });
+  }
+  
+  // Announce each warning level the first time an app crosses it today
+  checkLimitAlerts() {
+    if (this.state.limitsPaused) return;
+    
+    LimitPolicy.getEnabledLimits(this.state.appLimits).forEach(limit => {
+      const alert = this.limitAlerts.check(limit, this.getTodayUsage(limit.appName), this.getEffectiveLimit(limit));
+      if (alert) {
+        this.announceLimitAlert(alert);
+      }
+    });
+    
+    LimitPolicy.getEnabledLimits(this.state.groupLimits).forEach(group => {
+      const alert = this.limitAlerts.check(
+        { ...group, appName: group.name, alertKey: `group:${group.id}` },
+        this.getGroupUsage(group),
+        this.getEffectiveLimit(group)
+      );
+      if (alert) {
+        this.announceLimitAlert(alert);
+      }
+    });
+  }
+  
+  announceLimitAlert(alert) {
+    const remaining = this.formatTime(alert.remaining);
+    const messages = {
+      warning: [`${alert.appName}: ${alert.threshold}% of daily limit used - ${remaining} left`, 'info'],
+      final: [`${alert.appName}: final warning - only ${remaining} left today`, 'warning'],
+      exceeded: [`${alert.appName} time limit reached - no time left today`, 'error']
+    };
+    const [message, type] = messages[alert.level];
+    
+    this.showNotification(message, type, 'limits');
+    this.log(`Limit alert (${alert.level}) for ${alert.appName} at ${alert.percent}%`);
+  }
+  
+  updateUsageStats() {
+    const todayUsage = this.usageHistory.loadDailyUsage(new Date());
+    const totalUsage = todayUsage.reduce((sum, record) => sum + record.usageTime, 0);
+    this.elements.dailyTotal.textContent = this.formatTime(totalUsage);
+    
+    const mostUsed = todayUsage.reduce((max, record) => 
+      record.usageTime > max.usageTime ? record : max, { appName: 'None', usageTime: 0 });
+    
+    this.elements.mostUsed.textContent = mostUsed.appName;
+  }
+  
+  getTodayUsage(appName) {
+    return this.usageHistory.getUsage(appName, new Date());
+  }
+  
+  // Day rollover at local midnight: history keeps yesterday, today starts empty
+  scheduleDayRollover() {
+    clearTimeout(this.state.timers.dayRollover);
+    
+    const now = new Date();
+    const nextMidnight = DateUtils.addDays(DateUtils.startOfDay(now), 1);
+    this.state.timers.dayRollover = setTimeout(() => this.checkDayRollover(), nextMidnight - now + 1000);
+  }
+  
+  checkDayRollover() {
+    const today = DateUtils.toKey(new Date());
+    if (today !== this.currentDay) {
+      const previousDay = this.currentDay;
+      this.currentDay = today;
+      this.handleDayRollover(previousDay);
+    }
+    this.scheduleDayRollover();
+  }
+  
+  handleDayRollover(previousDay) {
+    const removed = this.usageHistory.prune();
+    
+    this.checkLimitsAndBlockApps();
+    this.updateUsageStats();
+    
+    this.showNotification('New day started - daily limits reset', 'info', 'limits');
+    this.sendDailySummary(previousDay);
+    this.log(`Day rolled over from ${previousDay}${removed ? `, pruned ${removed} old days` : ''}`);
+  }
+  
+  // Daily Usage Summary notification for the day that just ended
+  sendDailySummary(dayKey) {
+    const date = DateUtils.fromKey(dayKey);
+    const records = this.usageHistory.loadDailyUsage(date);
+    const total = records.reduce((sum, record) => sum + record.usageTime, 0);
+    if (total === 0) return;
+    
+    const top = records.reduce((max, record) => record.usageTime > max.usageTime ? record : max);
+    const exceeded = records.filter(record => record.isLimitExceeded).length;
+    const parts = [`${this.formatTime(total)} screen time`, `most on ${top.appName}`];
+    if (exceeded > 0) parts.push(`${exceeded} limit${exceeded === 1 ? '' : 's'} exceeded`);
+    
+    this.showNotification(`${DateUtils.dayName(date)} summary: ${parts.join(', ')}`, 'info', 'summary');
+  }
+  
+  // Downtime Schedules
+  // Add a schedule, or save the one being edited
+  saveDowntimeSchedule() {
+    const fields = this.readScheduleForm();
+    if (!fields) return;
+    
+    const editing = this.state.downtimeSchedules.find(schedule => schedule.id === this.state.editingScheduleId);
+    const schedule = editing
+      ? Object.assign(editing, fields)
+      : { id: this.generateId(), ...fields, isEnabled: true, createdAt: new Date() };
+    if (!editing) {
+      this.state.downtimeSchedules.push(schedule);
+    }
+    
+    this.resetScheduleForm();
+    this.checkDowntimeStatus();
+    this.saveState();
+    
+    this.showNotification(`Downtime schedule "${schedule.name}" ${editing ? 'updated' : 'added'}`, 'success');
+    this.warnAboutOverlaps(schedule);
+    this.log(`Downtime schedule ${editing ? 'updated' : 'added'}: ${schedule.name}`);
+  }
+  
+  // The schedule described by the form, or null after saying what is missing
+  readScheduleForm() {
+    const name = this.elements.scheduleName.value.trim();
+    const startTime = this.elements.downtimeStart.value;
+    const endTime = this.elements.downtimeEnd.value;
+    
+    if (!name) {
+      this.showNotification('Please enter a schedule name', 'error');
+      return null;
+    }
+    
+    const isRecurring = this.elements.scheduleRepeat.value !== 'once';
+    const date = this.elements.scheduleDate.value;
+    const startDate = this.elements.scheduleStartDate.value || null;
+    const endDate = this.elements.scheduleEndDate.value || null;
+    
+    // Get selected days
+    const selectedDays = Array.from(document.querySelectorAll('.day-checkbox input:checked'))
+      .map(cb => cb.value);
+    
+    if (!isRecurring && !DateUtils.fromKey(date)) {
+      this.showNotification('Please choose a date', 'error');
+      return null;
+    }
+    if (!isRecurring && date < DateUtils.toKey(new Date())) {
+      this.showNotification('That date has already passed', 'error');
+      return null;
+    }
+    if (isRecurring && selectedDays.length === 0) {
+      this.showNotification('Please select at least one day', 'error');
+      return null;
+    }
+    if (isRecurring && startDate && endDate && endDate < startDate) {
+      this.showNotification('The end date must not be before the start date', 'error');
+      return null;
+    }
+    
+    const blockEntireDevice = this.elements.blockDevice.checked;
+    
+    // Chosen targets, or the allow-list when the whole device is blocked
+    const selected = (target) => Array.from(
+      this.elements.scheduleTargets.querySelectorAll(`input[data-target="${target}"]:checked`)
+    ).map(input => input.value);
+    const blockedApps = blockEntireDevice ? [] : selected('app');
+    const blockedCategories = blockEntireDevice ? [] : selected('category');
+    const allowedApps = blockEntireDevice ? selected('allow') : [];
+    
+    if (!blockEntireDevice && blockedApps.length === 0 && blockedCategories.length === 0) {
+      this.showNotification('Choose apps or categories to block, or block the entire device', 'error');
+      return null;
+    }
+    
+    return {
+      name,
+      startTime: this.parseTime(startTime),
+      endTime: this.parseTime(endTime),
+      isRecurring,
+      recurringDays: new Set(isRecurring ? selectedDays : []),
+      date: isRecurring ? null : date,
+      startDate: isRecurring ? startDate : null,
+      endDate: isRecurring ? endDate : null,
+      exceptionDates: isRecurring ? [...this.state.scheduleExceptions] : [],
+      blockedApps,
+      blockedCategories,
+      allowedApps,
+      blockEntireDevice
+    };
+  }
+  
+  // Load a schedule into the form; saving then updates it in place. An edit
+  // can shorten or empty a schedule, so it needs the guardian PIN.
+  async editDowntimeSchedule(scheduleId) {
+    const schedule = this.state.downtimeSchedules.find(entry => entry.id === scheduleId);
+    if (!schedule) return;
+    if (!(await this.confirmGuardian())) return;
+    
+    this.state.editingScheduleId = scheduleId;
+    this.elements.scheduleName.value = schedule.name;
+    this.elements.downtimeStart.value = this.formatTimeValue(schedule.startTime);
+    this.elements.downtimeEnd.value = this.formatTimeValue(schedule.endTime);
+    document.querySelectorAll('.day-checkbox input').forEach(cb => {
+      cb.checked = schedule.recurringDays.has(cb.value);
+    });
+    this.elements.scheduleRepeat.value = schedule.isRecurring ? 'weekly' : 'once';
+    this.elements.scheduleDate.value = schedule.date || '';
+    this.elements.scheduleStartDate.value = schedule.startDate || '';
+    this.elements.scheduleEndDate.value = schedule.endDate || '';
+    this.state.scheduleExceptions = [...schedule.exceptionDates];
+    this.updateScheduleRepeat();
+    this.renderScheduleExceptions();
+    this.elements.blockDevice.checked = schedule.blockEntireDevice;
+    
+    this.renderScheduleTargets();
+    const targets = { app: schedule.blockedApps, category: schedule.blockedCategories, allow: schedule.allowedApps };
+    this.elements.scheduleTargets.querySelectorAll('input').forEach(input => {
+      input.checked = targets[input.dataset.target].includes(input.value);
+    });
+    
+    this.elements.addScheduleBtn.querySelector('.btn-label').textContent = 'Save Schedule';
+    this.elements.cancelScheduleBtn.hidden = false;
+    this.renderDowntimeSchedules();
+    this.elements.scheduleName.focus();
+  }
+  
+  resetScheduleForm() {
+    this.state.editingScheduleId = null;
     this.elements.scheduleName.value = '';
     this.elements.downtimeStart.value = '21:00';
     this.elements.downtimeEnd.value = '07:00';
     document.querySelectorAll('.day-checkbox input').forEach(cb => cb.checked = false);
-    document.getElementById('block-device').checked = false;
+    this.elements.scheduleRepeat.value = 'weekly';
+    this.elements.scheduleDate.value = '';
+    this.elements.scheduleStartDate.value = '';
+    this.elements.scheduleEndDate.value = '';
+    this.elements.scheduleException.value = '';
+    this.state.scheduleExceptions = [];
+    this.updateScheduleRepeat();
+    this.renderScheduleExceptions();
+    this.elements.scheduleTargets.querySelectorAll('input').forEach(cb => cb.checked = false);
+    this.elements.blockDevice.checked = false;
+    this.renderScheduleTargets();
+    
+    this.elements.addScheduleBtn.querySelector('.btn-label').textContent = 'Add Schedule';
+    this.elements.cancelScheduleBtn.hidden = true;
+    this.renderDowntimeSchedules();
+  }
+  
+  // One-off schedules pick a date; weekly ones pick days, a range and skips
+  updateScheduleRepeat() {
+    const isOnce = this.elements.scheduleRepeat.value === 'once';
+    this.elements.scheduleOnce.hidden = !isOnce;
+    this.elements.scheduleWeekly.hidden = isOnce;
+  }
+  
+  addScheduleException() {
+    const key = this.elements.scheduleException.value;
+    if (!DateUtils.fromKey(key)) {
+      this.showNotification('Please choose a date to skip', 'error');
+      return;
+    }
+    
+    this.state.scheduleExceptions = Array.from(new Set([...this.state.scheduleExceptions, key])).sort();
+    this.elements.scheduleException.value = '';
+    this.renderScheduleExceptions();
+  }
+  
+  removeScheduleException(key) {
+    this.state.scheduleExceptions = this.state.scheduleExceptions.filter(entry => entry !== key);
+    this.renderScheduleExceptions();
+  }
+  
+  renderScheduleExceptions() {
+    this.elements.scheduleExceptions.innerHTML = '';
     
-    this.showNotification(`Downtime schedule "${name}" added`, 'success');
-    this.log(`Downtime schedule added: ${name}`);
+    this.state.scheduleExceptions.forEach(key => {
+      const chip = this.createElement('span', {
+        className: 'day-tag schedule-exception',
+        innerHTML: `
+          ${DateUtils.formatShort(DateUtils.fromKey(key))}
+          <button type="button" class="schedule-exception-remove" aria-label="Stop skipping ${key}">&times;</button>
+        `
+      });
+      chip.querySelector('button').addEventListener('click', () => this.removeScheduleException(key));
+      this.elements.scheduleExceptions.appendChild(chip);
+    });
+  }
+  
+  // "Mon, Tue" or "Once on Jun 15", with any date range and upcoming skips
+  describeScheduleDays(schedule) {
+    const format = (key) => DateUtils.formatShort(DateUtils.fromKey(key));
+    if (!schedule.isRecurring) {
+      return `Once on ${format(schedule.date)}`;
+    }
+    
+    const parts = [Array.from(schedule.recurringDays).join(', ')];
+    if (schedule.startDate && schedule.endDate) {
+      parts.push(`${format(schedule.startDate)} – ${format(schedule.endDate)}`);
+    } else if (schedule.startDate) {
+      parts.push(`from ${format(schedule.startDate)}`);
+    } else if (schedule.endDate) {
+      parts.push(`until ${format(schedule.endDate)}`);
+    }
+    
+    const today = DateUtils.toKey(new Date());
+    const skips = schedule.exceptionDates.filter(key => key >= today);
+    if (skips.length > 0) {
+      parts.push(`skips ${skips.map(format).join(', ')}`);
+    }
+    return parts.join(' · ');
   }
   
-  removeDowntimeSchedule(scheduleId) {
+  async toggleScheduleEnabled(scheduleId, isEnabled) {
+    const schedule = this.state.downtimeSchedules.find(entry => entry.id === scheduleId);
+    if (!schedule) return;
+    if (!isEnabled && !(await this.confirmGuardian())) {
+      this.renderDowntimeSchedules();
+      return;
+    }
+    
+    schedule.isEnabled = isEnabled;
+    this.checkDowntimeStatus();
+    this.saveState();
+    
+    this.showNotification(`Downtime schedule "${schedule.name}" turned ${isEnabled ? 'on' : 'off'}`, 'success');
+    this.warnAboutOverlaps(schedule);
+  }
+  
+  // Overlapping schedules are allowed; the warning explains how they combine
+  warnAboutOverlaps(schedule) {
+    if (!SchedulePolicy.isEnabled(schedule)) return;
+    
+    const overlaps = SchedulePolicy.findOverlaps(schedule, this.state.downtimeSchedules);
+    if (overlaps.length === 0) return;
+    
+    const names = overlaps.map(other => `"${other.name}"`).join(', ');
+    this.showNotification(`"${schedule.name}" overlaps ${names}; while both run, the stricter rules apply`, 'warning');
+  }
+  
+  // Pickers for what the new schedule blocks, or for what stays allowed
+  // when it blocks the entire device
+  renderScheduleTargets() {
+    const container = this.elements.scheduleTargets;
+    const checked = new Set(Array.from(container.querySelectorAll('input:checked'))
+      .map(input => `${input.dataset.target}:${input.value}`));
+    
+    const option = (target, value, label) => `
+      <label class="group-app-option">
+        <input type="checkbox" data-target="${target}" value="${this.escapeHTML(value)}"
+               ${checked.has(`${target}:${value}`) ? 'checked' : ''}>
+        <span>${this.escapeHTML(label)}</span>
+      </label>
+    `;
+    const apps = this.catalog.getAll().filter(entry => !EnforcementEngine.isCriticalApp(entry.name));
+    
+    if (this.elements.blockDevice.checked) {
+      container.innerHTML = `
+        <span class="schedule-target-title">Always allow</span>
+        <div class="group-app-picker">
+          ${apps.map(entry => option('allow', entry.name, entry.name)).join('')}
+        </div>
+        <span class="group-members">Phone, Messages and other essential apps are never blocked</span>
+      `;
+    } else {
+      container.innerHTML = `
+        <span class="schedule-target-title">Block categories</span>
+        <div class="group-app-picker">
+          ${StateSerializer.CATEGORIES.map(category => option('category', category, AppCatalog.categoryLabel(category))).join('')}
+        </div>
+        <span class="schedule-target-title">Block apps</span>
+        <div class="group-app-picker">
+          ${apps.map(entry => option('app', entry.name, entry.name)).join('')}
+        </div>
+      `;
+    }
+  }
+  
+  async removeDowntimeSchedule(scheduleId) {
+    if (!(await this.confirmGuardian())) return;
+    
     this.state.downtimeSchedules = this.state.downtimeSchedules.filter(
       schedule => schedule.id !== scheduleId
     );
-    this.renderDowntimeSchedules();
+    if (this.state.editingScheduleId === scheduleId) {
+      this.resetScheduleForm();
+    }
     this.checkDowntimeStatus();
     this.saveState();
     
@@ -502,21 +1801,38 @@ class KaiShengDashboard {
     this.elements.schedulesList.innerHTML = '';
     
     this.state.downtimeSchedules.forEach(schedule => {
+      const isEnabled = SchedulePolicy.isEnabled(schedule);
       const isActive = this.isScheduleActive(schedule);
+      const isInEffect = isActive && this.state.activeDowntime === schedule;
+      const isEditing = this.state.editingScheduleId === schedule.id;
       const timeRange = this.formatTimeRange(schedule.startTime, schedule.endTime);
-      const dayNames = Array.from(schedule.recurringDays).join(', ');
+      const dayNames = this.describeScheduleDays(schedule);
+      const hasEnded = SchedulePolicy.hasEnded(schedule);
+      const overlaps = isEnabled ? SchedulePolicy.findOverlaps(schedule, this.state.downtimeSchedules) : [];
+      const statusText = !isEnabled ? 'Off' : isInEffect ? 'In effect' : isActive ? 'Active' : hasEnded ? 'Ended' : 'Inactive';
       
       const scheduleItem = this.createElement('div', {
-        className: `schedule-item ${isActive ? 'active' : ''}`,
+        className: `schedule-item ${isActive ? 'active' : ''} ${isEnabled && !hasEnded ? '' : 'disabled'} ${isEditing ? 'editing' : ''}`,
         innerHTML: `
           <div class="schedule-header">
             <div class="schedule-name">
-              ${schedule.name}
+              ${this.escapeHTML(schedule.name)}
               <span class="schedule-status ${isActive ? 'active' : ''}">
-                ${isActive ? 'Active' : 'Inactive'}
+                ${statusText}
               </span>
             </div>
             <div class="schedule-actions">
+              <label class="toggle-switch limit-toggle" title="Turn schedule ${isEnabled ? 'off' : 'on'}">
+                <input type="checkbox" class="schedule-enabled" ${isEnabled ? 'checked' : ''}
+                       aria-label="Enable ${this.escapeHTML(schedule.name)}">
+                <span class="toggle-slider"></span>
+              </label>
+              <button class="icon-btn edit-schedule" data-schedule-id="${schedule.id}" 
+                      aria-label="Edit schedule">
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                </svg>
+              </button>
               <button class="icon-btn remove-schedule" data-schedule-id="${schedule.id}" 
                       aria-label="Remove schedule">
                 <svg viewBox="0 0 24 24" fill="currentColor">
@@ -529,10 +1845,26 @@ class KaiShengDashboard {
           <div class="schedule-time">${timeRange}</div>
           
           <div class="schedule-days">${dayNames}</div>
+          
+          <div class="schedule-blocks">
+            ${this.escapeHTML(SchedulePolicy.describeTargets(schedule, AppCatalog.categoryLabel))}
+          </div>
+          
+          ${overlaps.length > 0 ? `
+            <div class="schedule-overlap">
+              Overlaps ${this.escapeHTML(overlaps.map(other => other.name).join(', '))}
+            </div>
+          ` : ''}
         `
       });
       
       // Add event listeners
+      const enabledToggle = scheduleItem.querySelector('.schedule-enabled');
+      enabledToggle.addEventListener('change', (e) => this.toggleScheduleEnabled(schedule.id, e.target.checked));
+      
+      const editBtn = scheduleItem.querySelector('.edit-schedule');
+      editBtn.addEventListener('click', () => this.editDowntimeSchedule(schedule.id));
+      
       const removeBtn = scheduleItem.querySelector('.remove-schedule');
       removeBtn.addEventListener('click', () => this.removeDowntimeSchedule(schedule.id));
       
@@ -540,16 +1872,163 @@ class KaiShengDashboard {
     });
   }
   
-  checkDowntimeStatus() {
-    const now = new Date();
-    let activeSchedule = null;
+  exportSchedules() {
+    if (this.state.downtimeSchedules.length === 0) {
+      this.showNotification('There are no downtime schedules to export', 'info');
+      return;
+    }
     
-    for (const schedule of this.state.downtimeSchedules) {
-      if (this.isScheduleActive(schedule)) {
-        activeSchedule = schedule;
-        break;
+    ICalendar.download(ICalendar.fromSchedules(this.state.downtimeSchedules));
+    this.log(`Exported ${this.state.downtimeSchedules.length} downtime schedules`);
+  }
+  
+  async importSchedules(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      const { events, skipped } = ICalendar.parse(await file.text());
+      
+      // The stored shape goes through the same checks as a saved profile
+      const valid = [];
+      events.forEach(({ schedule, hasTargets }) => {
+        try {
+          valid.push({ schedule: StateSerializer.checkSchema('schedule', StateSerializer.deserializeSchedule(schedule)), hasTargets });
+        } catch (error) {
+          if (!(error instanceof SerializationError)) throw error;
+          skipped.push({ name: schedule.name, reason: error.message });
+        }
+      });
+      
+      skipped.forEach(({ name, reason }) => console.warn(`Calendar import skipped "${name}": ${reason}`));
+      if (valid.length === 0) {
+        this.showNotification(`No downtime schedules found in ${file.name}`, 'warning');
+        return;
       }
+      this.previewScheduleImport(valid, skipped);
+    } catch (error) {
+      if (!(error instanceof ICalendarError)) throw error;
+      this.showNotification(error.message, 'error');
+    } finally {
+      event.target.value = '';
     }
+  }
+  
+  // Nothing is saved until the preview is confirmed. Events from other
+  // calendars don't say what to block, so the preview asks.
+  previewScheduleImport(events, skipped) {
+    const rows = events.map(({ schedule, hasTargets }, index) => {
+      const replaces = this.state.downtimeSchedules.some(existing => existing.id === schedule.id);
+      return `
+        <label class="group-app-option schedule-import-item">
+          <input type="checkbox" value="${index}" checked>
+          <span class="schedule-import-info">
+            <span class="limit-name">${this.escapeHTML(schedule.name)}${replaces ? ' <span class="schedule-status">Replaces existing</span>' : ''}</span>
+            <span class="group-members">
+              ${this.formatTimeRange(schedule.startTime, schedule.endTime)} · ${this.escapeHTML(this.describeScheduleDays(schedule))}
+            </span>
+            <span class="group-members">
+              ${hasTargets ? this.escapeHTML(SchedulePolicy.describeTargets(schedule, AppCatalog.categoryLabel)) : 'Blocks what you choose below'}
+            </span>
+          </span>
+        </label>
+      `;
+    }).join('');
+    
+    const skippedList = skipped.length > 0 ? `
+      <h3 class="stats-section-title">Not imported</h3>
+      <ul class="schedule-import-skipped">
+        ${skipped.map(({ name, reason }) => `<li>${this.escapeHTML(name)}: ${this.escapeHTML(reason)}</li>`).join('')}
+      </ul>
+    ` : '';
+    
+    const needsTargets = events.some(({ hasTargets }) => !hasTargets);
+    const content = `
+      <form class="schedule-import-form">
+        <div class="schedule-import-list">${rows}</div>
+        ${needsTargets ? `
+          <div class="settings-row">
+            <label for="import-block">Calendar events block</label>
+            <select id="import-block" class="app-select">
+              <option value="DEVICE">Entire device</option>
+              ${StateSerializer.CATEGORIES.map(category => `
+                <option value="${category}">${AppCatalog.categoryLabel(category)}</option>
+              `).join('')}
+            </select>
+          </div>
+        ` : ''}
+        ${skippedList}
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">Import Schedules</button>
+        </div>
+      </form>
+    `;
+    
+    const modal = this.openModal('Import Downtime', content, { className: 'schedule-import-modal' });
+    const form = modal.querySelector('.schedule-import-form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const chosen = Array.from(form.querySelectorAll('.schedule-import-list input:checked'))
+        .map(input => events[Number(input.value)]);
+      const block = form.querySelector('#import-block');
+      if (chosen.length === 0) {
+        this.showNotification('Choose at least one schedule to import', 'error');
+        return;
+      }
+      await this.confirmScheduleImport(chosen, block ? block.value : 'DEVICE');
+      this.closeModal();
+    });
+  }
+  
+  // A replacement can shorten, empty or turn off the schedule it replaces,
+  // so it needs the guardian PIN like editing one does
+  async confirmScheduleImport(events, fallbackBlock) {
+    const replaces = events.some(({ schedule }) =>
+      this.state.downtimeSchedules.some(existing => existing.id === schedule.id));
+    if (replaces && !(await this.confirmGuardian())) return;
+    
+    const imported = events.map(({ schedule, hasTargets }) => {
+      if (!hasTargets && fallbackBlock === 'DEVICE') {
+        schedule.blockEntireDevice = true;
+      } else if (!hasTargets) {
+        schedule.blockedCategories = [fallbackBlock];
+      }
+      
+      // Schedules exported from here come back under their own id
+      const index = this.state.downtimeSchedules.findIndex(existing => existing.id === schedule.id);
+      if (index === -1) {
+        this.state.downtimeSchedules.push(schedule);
+      } else {
+        schedule.createdAt = this.state.downtimeSchedules[index].createdAt;
+        this.state.downtimeSchedules[index] = schedule;
+      }
+      return schedule;
+    });
+    
+    this.checkDowntimeStatus();
+    this.saveState();
+    
+    this.showNotification(`Imported ${imported.length} downtime ${imported.length === 1 ? 'schedule' : 'schedules'}`, 'success');
+    const overlapping = imported.filter(schedule =>
+      SchedulePolicy.isEnabled(schedule) && SchedulePolicy.findOverlaps(schedule, this.state.downtimeSchedules).length > 0);
+    if (overlapping.length > 0) {
+      this.showNotification(`${overlapping.length} imported ${overlapping.length === 1 ? 'schedule overlaps' : 'schedules overlap'} others; while they run together, the stricter rules apply`, 'warning');
+    }
+    this.log(`Downtime schedules imported: ${imported.map(schedule => schedule.name).join(', ')}`);
+  }
+  
+  // Active schedules, the one in effect first
+  getActiveSchedules(now = new Date()) {
+    return this.state.downtimeSchedules
+      .filter(schedule => this.isScheduleActive(schedule, now))
+      .sort(SchedulePolicy.compareByPrecedence);
+  }
+  
+  checkDowntimeStatus() {
+    const now = new Date();
+    const activeSchedules = this.getActiveSchedules(now);
+    const activeSchedule = activeSchedules[0] || null;
+    const previousSchedule = this.state.activeDowntime;
     
     const wasInDowntime = this.state.isInDowntime;
     this.state.isInDowntime = activeSchedule !== null;
@@ -559,96 +2038,1093 @@ class KaiShengDashboard {
     this.elements.downtimeStatus.setAttribute('data-active', this.state.isInDowntime);
     this.elements.downtimeStatus.querySelector('.status-text').textContent = 
       this.state.isInDowntime ? 'Active' : 'Inactive';
+    this.renderDowntimeSummary(activeSchedules, now);
     
     // Trigger notifications
     if (!wasInDowntime && this.state.isInDowntime) {
-      this.showNotification(`Downtime started: ${activeSchedule.name}`, 'warning');
+      this.showNotification(`Downtime started: ${activeSchedule.name}`, 'warning', 'downtime');
     } else if (wasInDowntime && !this.state.isInDowntime) {
-      this.showNotification('Downtime period ended', 'success');
+      this.showNotification('Downtime period ended', 'success', 'downtime');
+    } else if (activeSchedule && previousSchedule && activeSchedule.id !== previousSchedule.id) {
+      this.showNotification(`Downtime now in effect: ${activeSchedule.name}`, 'warning', 'downtime');
     }
     
     this.renderDowntimeSchedules();
+    this.checkLimitsAndBlockApps();
+  }
+  
+  // What is in effect now and when, and what starts next (getNextSchedule)
+  renderDowntimeSummary(activeSchedules, now = new Date()) {
+    const formatClock = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const current = activeSchedules[0];
+    const currentEnd = current ? SchedulePolicy.getOccurrenceAt(current, now).end : null;
+    const next = SchedulePolicy.getNext(
+      this.state.downtimeSchedules.filter(schedule => !activeSchedules.includes(schedule)),
+      now
+    );
+    
+    let nextText = 'Nothing scheduled';
+    if (next) {
+      const days = DateUtils.daysBetween(now, next.start);
+      const day = days === 0 ? 'today' : days === 1 ? 'tomorrow' : DateUtils.dayName(next.start);
+      nextText = `${this.escapeHTML(next.schedule.name)}, ${day} at ${formatClock(next.start)}`;
+    }
+    
+    const others = activeSchedules.length - 1;
+    this.elements.downtimeSummary.innerHTML = `
+      <div class="downtime-summary-row">
+        <span class="downtime-summary-label">Now</span>
+        <span>${current
+          ? `${this.escapeHTML(current.name)} until ${formatClock(currentEnd)}${others > 0 ? ` (+${others} more active)` : ''}`
+          : 'No downtime'}</span>
+      </div>
+      <div class="downtime-summary-row">
+        <span class="downtime-summary-label">Next</span>
+        <span>${nextText}</span>
+      </div>
+    `;
   }
   
-  isScheduleActive(schedule) {
+  isScheduleActive(schedule, now = new Date()) {
+    return SchedulePolicy.isActiveAt(schedule, now);
+  }
+  
+  // Schedules hold wall-clock times, so re-read them from storage in the new
+  // zone when the device moves (Android's handleTimezoneChange)
+  async checkTimeZone() {
+    const timeZone = DateUtils.timeZone();
+    if (timeZone === this.timeZone) return;
+    
+    this.log(`Time zone changed from ${this.timeZone} to ${timeZone}`);
+    this.timeZone = timeZone;
+    try {
+      const schedules = StateSerializer.deserializeList('schedule', await this.storage.loadSchedules());
+      this.state.downtimeSchedules = schedules.items;
+      this.reportRecoveredState(schedules.issues);
+    } catch (error) {
+      console.warn('Failed to reload schedules:', error);
+    }
+    this.checkDowntimeStatus();
+  }
+  
+  // Enforcement
+  // Everything the engine needs for one round of decisions
+  getEnforcementContext() {
     const now = new Date();
-    const currentTime = now.getHours() * 60 + now.getMinutes();
-    const startTime = schedule.startTime.getHours() * 60 + schedule.startTime.getMinutes();
-    const endTime = schedule.endTime.getHours() * 60 + schedule.endTime.getMinutes();
+    return {
+      now,
+      limits: LimitPolicy.getEnabledLimits(this.state.appLimits),
+      groupLimits: LimitPolicy.getEnabledLimits(this.state.groupLimits),
+      getDailyLimit: (limit) => this.getEffectiveLimit(limit),
+      getUsage: (appName) => this.getTodayUsage(appName),
+      getGroupUsage: (group) => this.getGroupUsage(group),
+      getCategory: (appName) => this.getAppCategory(appName),
+      formatTime: (seconds) => this.formatTime(seconds),
+      limitsPaused: this.state.limitsPaused,
+      activeSchedules: this.getActiveSchedules(now),
+      focusBlock: this.focus.getBlock(now),
+      walkingRestricted: this.isWalkingRestricted(),
+      activeOverride: this.overrides.getActive()
+    };
+  }
+  
+  // Apps with a limit plus every app in the catalog
+  getTrackedApps() {
+    return Array.from(new Set([
+      ...this.state.appLimits.map(limit => limit.appName),
+      ...this.catalog.getNames()
+    ]));
+  }
+  
+  evaluateApp(appName) {
+    return this.enforcement.evaluate(appName, this.getEnforcementContext());
+  }
+  
+  // Re-evaluate every tracked app and apply the result
+  checkLimitsAndBlockApps() {
+    const decisions = this.enforcement.evaluateAll(this.getTrackedApps(), this.getEnforcementContext());
+    const previouslyBlocked = this.state.blockedApps;
     
-    let isTimeActive;
-    if (startTime <= endTime) {
-      isTimeActive = currentTime >= startTime && currentTime < endTime;
-    } else {
-      // Overnight schedule
-      isTimeActive = currentTime >= startTime || currentTime < endTime;
+    this.state.blockedApps = {};
+    decisions.forEach((decision, appName) => {
+      if (!decision.allowed) {
+        this.state.blockedApps[appName] = decision;
+      }
+    });
+    this.state.isBlockingApps = Object.keys(this.state.blockedApps).length > 0;
+    
+    // Kick the user out of the open app as soon as it becomes blocked
+    const openApp = this.state.openApp;
+    if (openApp && this.state.blockedApps[openApp] && !previouslyBlocked[openApp]) {
+      this.showBlockOverlay(this.state.blockedApps[openApp]);
     }
     
-    if (!isTimeActive) return false;
+    this.renderAppLimits();
+    this.updateAppBadge();
+    return decisions;
+  }
+  
+  // Simulate launching an app; blocked apps get the overlay instead
+  openApp(appName) {
+    const decision = this.evaluateApp(appName);
+    
+    if (!decision.allowed) {
+      this.state.openApp = null;
+      this.showBlockOverlay(decision);
+      this.log(`Blocked launch of ${appName}: ${decision.reasons.map(reason => reason.type).join(', ')}`);
+    } else {
+      this.state.openApp = appName;
+      this.showNotification(`${appName} opened`, 'info');
+      this.log(`Opened ${appName}`);
+    }
     
-    // Check day of week
-    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const currentDay = days[now.getDay()];
+    this.renderAppLimits();
+    return decision;
+  }
+  
+  closeOpenApp() {
+    this.state.openApp = null;
+    this.hideBlockOverlay();
+    this.renderAppLimits();
+  }
+  
+  showBlockOverlay(decision) {
+    this.elements.blockOverlayApp.textContent = decision.appName;
+    this.elements.blockOverlayReasons.innerHTML = decision.reasons
+      .map(reason => `<li class="block-reason" data-reason="${reason.type}">${this.escapeHTML(reason.message)}</li>`)
+      .join('');
     
-    return schedule.recurringDays.has(currentDay);
+    this.elements.blockOverlayRequest.dataset.app = decision.appName;
+    this.elements.blockOverlayRequest.hidden = !this.guardian.isEnabled
+      || !decision.reasons.some(reason => reason.type === 'limit');
+    this.elements.blockOverlay.hidden = false;
+    requestAnimationFrame(() => this.elements.blockOverlay.classList.add('visible'));
+    this.elements.blockOverlayClose.focus();
+  }
+  
+  hideBlockOverlay() {
+    this.elements.blockOverlay.classList.remove('visible');
+    this.elements.blockOverlay.hidden = true;
   }
   
   // Quick Actions
-  emergencyOverride() {
-    this.state.isBlockingApps = false;
+  // Ask for a duration and reason, then lift every block for that long
+  async emergencyOverride() {
+    const active = this.overrides.getActive();
+    if (active) {
+      this.showNotification(`Override already active - ${this.formatCountdown(this.overrides.getRemaining())} left`, 'info');
+      return;
+    }
     
-    // Temporarily disable all limits
-    this.state.appLimits.forEach(limit => {
-      limit.usageTime = Math.min(limit.usageTime, limit.dailyLimit - 60);
+    const problem = this.overrides.checkCanStart();
+    if (problem) {
+      this.showNotification(problem, 'error');
+      return;
+    }
+    
+    if (!(await this.confirmGuardian())) return;
+    
+    const remaining = this.overrides.getRemainingToday();
+    const durationOptions = OverrideManager.DURATION_OPTIONS.map(minutes => `
+      <option value="${minutes}" ${minutes === 5 ? 'selected' : ''}>${minutes} minutes</option>
+    `).join('');
+    
+    const content = `
+      <form class="override-form">
+        <p class="override-remaining">${remaining} of ${this.overrides.maxPerDay} overrides left today</p>
+        <div class="settings-row">
+          <label for="override-duration">Duration</label>
+          <select id="override-duration" class="app-select">${durationOptions}</select>
+        </div>
+        <input type="text" id="override-reason-input" class="schedule-input" maxlength="140"
+               placeholder="Reason (required)" aria-label="Override reason" required>
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">Start Override</button>
+        </div>
+      </form>
+    `;
+    
+    const modal = this.openModal('Emergency Override', content, { className: 'override-modal' });
+    const form = modal.querySelector('.override-form');
+    modal.querySelector('#override-reason-input').focus();
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const minutes = parseInt(form.querySelector('#override-duration').value);
+      const reason = form.querySelector('#override-reason-input').value;
+      if (this.startOverride(minutes * 60, reason)) {
+        this.closeModal();
+      }
     });
+  }
+  
+  startOverride(duration, reason) {
+    let session;
+    try {
+      session = this.overrides.start({ duration, reason });
+    } catch (error) {
+      if (!(error instanceof OverrideError)) throw error;
+      this.showNotification(error.message, 'error');
+      return null;
+    }
     
-    this.renderAppLimits();
-    this.showNotification('Emergency override activated - all apps unblocked for 5 minutes', 'success');
-    this.log('Emergency override activated');
+    this.hideBlockOverlay();
+    this.checkLimitsAndBlockApps();
+    this.startOverrideCountdown();
     
-    // Re-enable after 5 minutes
-    setTimeout(() => {
+    this.showNotification(`Emergency override activated - all apps unblocked for ${this.formatTime(duration)}`, 'success');
+    this.log(`Emergency override started for ${duration}s: ${session.reason}`);
+    return session;
+  }
+  
+  endOverride() {
+    const session = this.overrides.end();
+    if (!session) return;
+    
+    this.stopOverrideCountdown();
+    this.checkLimitsAndBlockApps();
+    
+    this.showNotification('Emergency override ended', 'info');
+    this.log('Emergency override ended early');
+  }
+  
+  startOverrideCountdown() {
+    clearInterval(this.state.timers.overrideCountdown);
+    this.state.timers.overrideCountdown = setInterval(() => this.updateOverrideCountdown(), 1000);
+    this.updateOverrideCountdown();
+  }
+  
+  stopOverrideCountdown() {
+    clearInterval(this.state.timers.overrideCountdown);
+    this.state.timers.overrideCountdown = null;
+    this.elements.overrideBanner.hidden = true;
+  }
+  
+  updateOverrideCountdown() {
+    const session = this.overrides.getActive();
+    
+    if (!session) {
+      // The deadline passed: close the session and restore enforcement
+      const expired = this.overrides.expire();
+      this.stopOverrideCountdown();
+      this.checkLimitsAndBlockApps();
+      if (expired.length > 0) {
+        this.showNotification('Emergency override expired', 'warning', 'limits');
+        this.log('Emergency override expired');
+      }
+      return;
+    }
+    
+    this.elements.overrideBanner.hidden = false;
+    this.elements.overrideReason.textContent = session.reason;
+    this.elements.overrideCountdown.textContent = this.formatCountdown(this.overrides.getRemaining());
+  }
+  
+  // Focus sessions
+  // Choose intervals, cycles and what to block, then start the countdown
+  openFocusSession() {
+    const phase = this.focus.getPhase();
+    if (phase) {
+      this.showNotification(`Focus session already running - ${this.formatCountdown(phase.remaining)} left in this ${phase.phase === 'work' ? 'work interval' : 'break'}`, 'info');
+      return;
+    }
+    
+    const defaults = FocusManager.DEFAULTS;
+    const minuteOptions = (options, selected) => options.map(minutes => `
+      <option value="${minutes}" ${minutes === selected ? 'selected' : ''}>${minutes} minutes</option>
+    `).join('');
+    const cycleOptions = FocusManager.CYCLE_OPTIONS.map(count => `
+      <option value="${count}" ${count === defaults.cycles ? 'selected' : ''}>${count}</option>
+    `).join('');
+    const categoryOptions = StateSerializer.CATEGORIES.map(category => `
+      <label class="group-app-option">
+        <input type="checkbox" value="${category}" ${defaults.blockedCategories.includes(category) ? 'checked' : ''}>
+        <span>${AppCatalog.categoryLabel(category)}</span>
+      </label>
+    `).join('');
+    
+    const content = `
+      <form class="focus-form">
+        <div class="settings-row">
+          <label for="focus-work">Work</label>
+          <select id="focus-work" class="app-select">${minuteOptions(FocusManager.WORK_OPTIONS, defaults.workMinutes)}</select>
+        </div>
+        <div class="settings-row">
+          <label for="focus-break">Break</label>
+          <select id="focus-break" class="app-select">${minuteOptions(FocusManager.BREAK_OPTIONS, defaults.breakMinutes)}</select>
+        </div>
+        <div class="settings-row">
+          <label for="focus-cycles">Cycles</label>
+          <select id="focus-cycles" class="app-select">${cycleOptions}</select>
+        </div>
+        <span class="schedule-target-title">Block while working</span>
+        <div class="group-app-picker">${categoryOptions}</div>
+        <p class="override-remaining" id="focus-length"></p>
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">Start Focus</button>
+        </div>
+      </form>
+    `;
+    
+    const modal = this.openModal('Focus Session', content, { className: 'focus-modal' });
+    const form = modal.querySelector('.focus-form');
+    const readConfig = () => ({
+      workMinutes: parseInt(form.querySelector('#focus-work').value),
+      breakMinutes: parseInt(form.querySelector('#focus-break').value),
+      cycles: parseInt(form.querySelector('#focus-cycles').value),
+      blockedCategories: Array.from(form.querySelectorAll('.group-app-picker input:checked')).map(input => input.value)
+    });
+    const updateLength = () => {
+      const length = FocusManager.getLength(readConfig());
+      form.querySelector('#focus-length').textContent = `Ends in ${this.formatTime(length * 60)}, at ${this.formatTimeValue(new Date(Date.now() + length * 60000))}`;
+    };
+    
+    form.querySelectorAll('select').forEach(select => select.addEventListener('change', updateLength));
+    updateLength();
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.startFocusSession(readConfig())) {
+        this.closeModal();
+      }
+    });
+  }
+  
+  startFocusSession(config) {
+    let session;
+    try {
+      session = this.focus.start(config);
+    } catch (error) {
+      if (!(error instanceof FocusError)) throw error;
+      this.showNotification(error.message, 'error');
+      return null;
+    }
+    
+    this.startFocusCountdown();
+    
+    this.showNotification(`Focus session started - ${session.cycles} × ${session.workMinutes} minutes`, 'success');
+    this.log(`Focus session started: ${session.cycles} × ${session.workMinutes}/${session.breakMinutes} min, blocking ${session.blockedCategories.join(', ')}`);
+    return session;
+  }
+  
+  abandonFocusSession() {
+    const session = this.focus.abandon();
+    if (!session) return;
+    
+    this.stopFocusCountdown();
+    this.checkLimitsAndBlockApps();
+    
+    this.showNotification(`Focus session ended after ${session.completedCycles} of ${session.cycles} cycles`, 'info');
+    this.log(`Focus session abandoned after ${session.completedCycles}/${session.cycles} cycles`);
+  }
+  
+  startFocusCountdown() {
+    clearInterval(this.state.timers.focusCountdown);
+    this.state.focusPhase = null;
+    this.state.timers.focusCountdown = setInterval(() => this.updateFocusCountdown(), 1000);
+    this.updateFocusCountdown();
+  }
+  
+  stopFocusCountdown() {
+    clearInterval(this.state.timers.focusCountdown);
+    this.state.timers.focusCountdown = null;
+    this.state.focusPhase = null;
+    this.elements.focusPanel.hidden = true;
+  }
+  
+  updateFocusCountdown() {
+    const phase = this.focus.getPhase();
+    
+    if (!phase) {
+      // The last work interval is over: record it and lift the focus block
+      const finished = this.focus.expire();
+      this.stopFocusCountdown();
+      this.checkLimitsAndBlockApps();
+      if (finished.length > 0) {
+        this.showNotification('Focus session complete - nice work!', 'success');
+        this.log('Focus session completed');
+      }
+      return;
+    }
+    
+    // Blocks change between work and break, so re-check when the phase does
+    const key = `${phase.phase}:${phase.cycle}`;
+    if (key !== this.state.focusPhase) {
+      const isFirst = this.state.focusPhase === null;
+      this.state.focusPhase = key;
       this.checkLimitsAndBlockApps();
-      this.showNotification('Emergency override expired', 'warning');
-    }, 300000);
+      if (!isFirst) {
+        this.showNotification(phase.phase === 'work'
+          ? `Back to work - cycle ${phase.cycle} of ${phase.session.cycles}`
+          : `Break time - ${this.formatTime(phase.session.breakMinutes * 60)}`, 'info');
+      }
+    }
+    
+    // The ring empties as the interval runs down
+    const circumference = 2 * Math.PI * 52;
+    this.elements.focusPanel.hidden = false;
+    this.elements.focusPanel.dataset.phase = phase.phase;
+    this.elements.focusRingProgress.style.strokeDashoffset = String(circumference * phase.progress);
+    this.elements.focusCountdown.textContent = this.formatCountdown(phase.remaining);
+    this.elements.focusPhase.textContent = phase.phase === 'work' ? 'Focus' : 'Break';
+    this.elements.focusCycle.textContent = `Cycle ${phase.cycle} of ${phase.session.cycles}`;
   }
   
-  pauseAllLimits() {
-    const isPaused = this.state.isBlockingApps;
-    this.state.isBlockingApps = !isPaused;
+  // Pausing suspends daily limits; downtime and walking restrictions still apply.
+  // Resuming makes things stricter, so only pausing asks for the guardian PIN.
+  async pauseAllLimits() {
+    const isPaused = this.state.limitsPaused;
+    if (!isPaused && !(await this.confirmGuardian())) return;
+    
+    this.state.limitsPaused = !isPaused;
+    
+    this.updatePauseButton();
+    this.checkLimitsAndBlockApps();
+    this.saveState();
     
     const action = isPaused ? 'resumed' : 'paused';
     this.showNotification(`All limits ${action}`, 'success');
     this.log(`All limits ${action}`);
+  }
+  
+  updatePauseButton() {
+    const icon = this.elements.pauseAll.querySelector('.action-icon');
+    icon.style.background = this.state.limitsPaused ? 'var(--gradient-secondary)' : '';
+    this.elements.pauseAll.setAttribute('aria-pressed', this.state.limitsPaused);
+  }
+  
+  async resetDay() {
+    if (!(await this.confirmGuardian())) return;
+    
+    // Reset today's usage; earlier days stay in the history
+    this.usageHistory.clearDay(new Date());
+    this.limitAlerts.reset();
+    
+    this.state.motion.stepCount = 0;
+    this.state.motion.walkStartTime = null;
+    this.state.motion.isWalking = false;
+    
+    this.updateMotionUI();
+    this.checkMotionRestrictions();
+    this.checkLimitsAndBlockApps();
+    this.updateUsageStats();
+    this.saveState();
+    
+    this.showNotification('Daily usage reset', 'success');
+    this.log('Daily usage reset');
+  }
+  
+  viewStats() {
+    const stats = this.generateUsageStats();
+    this.showStatsModal(stats);
+    this.log('View stats clicked');
+  }
+  
+  // Usage records in the AppUsage shape, across the retained history.
+  // Categories come from the catalog so recategorizing an app moves its
+  // past usage too.
+  getUsageRecords() {
+    return this.usageHistory.getAllRecords()
+      .filter(record => record.usageTime > 0)
+      .map(record => ({ ...record, category: this.getAppCategory(record.appName) }));
+  }
+  
+  generateUsageStats() {
+    const stats = UsageStats.aggregate(this.getUsageRecords(), {
+      limits: LimitPolicy.getEnabledLimits(this.state.appLimits),
+      groupLimits: LimitPolicy.getEnabledLimits(this.state.groupLimits),
+      today: new Date(),
+      warningPercent: this.state.warningThreshold,
+      getLimitFor: (limit, date) => this.getEffectiveLimit(limit, date)
+    });
+    stats.overrides = this.overrides.getLog(stats.period.from);
+    stats.focus = this.focus.getLog(stats.period.from);
+    return stats;
+  }
+  
+  showStatsModal(stats) {
+    const formatTime = (seconds) => this.formatTime(seconds);
+    const trend = stats.trend;
+    const trendText = trend.change === null
+      ? 'No previous week'
+      : `${trend.change > 0 ? '+' : ''}${Math.round(trend.change)}% vs previous week`;
+    
+    const categoryRows = stats.byCategory.map(entry => `
+      <div class="stats-row">
+        <span class="stats-row-label">${this.escapeHTML(entry.category)}</span>
+        <div class="progress-bar stats-row-bar">
+          <div class="progress-fill" style="width: ${Math.round(entry.share * 100)}%"></div>
+        </div>
+        <span class="stats-row-value">${formatTime(entry.total)} · ${Math.round(entry.share * 100)}%</span>
+      </div>
+    `).join('') || '<p class="chart-empty">No usage recorded yet</p>';
+    
+    const appRows = stats.byApp.map(entry => `
+      <div class="stats-row">
+        <span class="stats-row-label">${this.escapeHTML(entry.appName)}</span>
+        <span class="limit-category">${this.escapeHTML(entry.category)}</span>
+        <span class="stats-row-value">${formatTime(entry.total)}</span>
+      </div>
+    `).join('') || '<p class="chart-empty">No usage recorded yet</p>';
+    
+    const complianceRows = stats.compliance.map(entry => `
+      <div class="stats-row compliance-${entry.status}">
+        <span class="stats-row-label">${this.escapeHTML(entry.appName)}</span>
+        <div class="progress-bar stats-row-bar">
+          <div class="progress-fill ${entry.status === 'exceeded' ? 'danger' : entry.status === 'warning' ? 'warning' : ''}"
+               style="width: ${Math.min(entry.percentUsed, 100)}%"></div>
+        </div>
+        <span class="stats-row-value">
+          ${formatTime(entry.todayUsage)} / ${formatTime(entry.dailyLimit)}
+          ${entry.rate === null ? '' : `· ${entry.daysWithinLimit}/${entry.daysTracked} days within limit`}
+        </span>
+      </div>
+    `).join('') || '<p class="chart-empty">No app limits set</p>';
+    
+    const groupRows = stats.groupCompliance.map(entry => `
+      <div class="stats-row compliance-${entry.status}">
+        <span class="stats-row-label" title="${this.escapeHTML(entry.members)}">${this.escapeHTML(entry.name)}</span>
+        <div class="progress-bar stats-row-bar">
+          <div class="progress-fill ${entry.status === 'exceeded' ? 'danger' : entry.status === 'warning' ? 'warning' : ''}"
+               style="width: ${Math.min(entry.percentUsed, 100)}%"></div>
+        </div>
+        <span class="stats-row-value">
+          ${formatTime(entry.todayUsage)} / ${formatTime(entry.dailyLimit)}
+          ${entry.rate === null ? '' : `· ${entry.daysWithinLimit}/${entry.daysTracked} days within limit`}
+        </span>
+      </div>
+    `).join('');
+    
+    const overrideRows = stats.overrides.map(session => `
+      <div class="stats-row override-log-row">
+        <span class="stats-row-label">
+          ${DateUtils.formatShort(session.startedAt)} ${session.startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </span>
+        <span class="override-log-reason">${this.escapeHTML(session.reason || 'No reason given')}</span>
+        <span class="stats-row-value">
+          ${formatTime(Math.round(((session.endedAt || new Date()) - session.startedAt) / 1000))} of ${formatTime(session.duration)}
+          ${session.endedEarly ? '· ended early' : session.endedAt ? '' : '· active'}
+        </span>
+      </div>
+    `).join('') || '<p class="chart-empty">No overrides used</p>';
+    
+    const focusStatus = (session) => session.status === 'completed' ? 'completed'
+      : session.status === 'abandoned' ? `abandoned after ${session.completedCycles}` : 'in progress';
+    const focusRows = stats.focus.map(session => `
+      <div class="stats-row focus-log-row" data-status="${session.status}">
+        <span class="stats-row-label">
+          ${DateUtils.formatShort(session.startedAt)} ${session.startedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </span>
+        <span class="override-log-reason">${session.cycles} × ${formatTime(session.workMinutes * 60)} focus</span>
+        <span class="stats-row-value">
+          ${focusStatus(session)} · ${formatTime(session.completedCycles * session.workMinutes * 60)} focused
+        </span>
+      </div>
+    `).join('') || '<p class="chart-empty">No focus sessions yet</p>';
+    const completedFocus = stats.focus.filter(session => session.status === 'completed').length;
+    const abandonedFocus = stats.focus.filter(session => session.status === 'abandoned').length;
+    
+    const content = `
+      <div class="stats-summary">
+        <div class="stats-tile">
+          <span class="stat-label">Today</span>
+          <span class="stat-value">${formatTime(stats.totals.today)}</span>
+        </div>
+        <div class="stats-tile">
+          <span class="stat-label">Last ${stats.period.days} days</span>
+          <span class="stat-value">${formatTime(stats.totals.period)}</span>
+        </div>
+        <div class="stats-tile">
+          <span class="stat-label">Daily average</span>
+          <span class="stat-value">${formatTime(stats.averages.daily)}</span>
+        </div>
+        <div class="stats-tile trend-${trend.direction}">
+          <span class="stat-label">Trend</span>
+          <span class="stats-trend">${trendText}</span>
+        </div>
+      </div>
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">Daily usage</h3>
+        ${UsageCharts.barChart(stats.byDay.map(day => ({
+          label: day.label,
+          value: day.total,
+          highlight: day.isToday
+        })), {
+          formatValue: formatTime,
+          referenceValue: stats.averages.daily,
+          referenceLabel: 'avg'
+        })}
+      </section>
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">Weekly trend</h3>
+        ${UsageCharts.lineChart(stats.byWeek.map(week => ({
+          label: week.label,
+          value: week.total
+        })), { formatValue: formatTime })}
+      </section>
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">By category</h3>
+        ${categoryRows}
+      </section>
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">By app</h3>
+        ${appRows}
+      </section>
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">Limit compliance</h3>
+        ${complianceRows}
+      </section>
+      
+      ${groupRows ? `
+        <section class="stats-section">
+          <h3 class="stats-section-title">Shared limits</h3>
+          ${groupRows}
+        </section>
+      ` : ''}
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">Emergency overrides · ${stats.overrides.length} in ${stats.period.days} days</h3>
+        ${overrideRows}
+      </section>
+      
+      <section class="stats-section">
+        <h3 class="stats-section-title">Focus sessions · ${completedFocus} completed, ${abandonedFocus} abandoned</h3>
+        ${focusRows}
+      </section>
+    `;
+    
+    this.openModal('Usage Stats', content, { className: 'stats-modal' });
+  }
+  
+  // Settings
+  async openSettings() {
+    if (!(await this.confirmGuardian())) return;
+    
+    const retentionLabels = { 7: '7 days', 30: '30 days', 90: '90 days', 0: 'Forever' };
+    const retentionOptions = UsageHistoryStore.RETENTION_OPTIONS.map(days => `
+      <option value="${days}" ${this.state.historyRetention === days ? 'selected' : ''}>${retentionLabels[days]}</option>
+    `).join('');
+    
+    const capOptions = OverrideManager.CAP_OPTIONS.map(count => `
+      <option value="${count}" ${this.state.overrideDailyCap === count ? 'selected' : ''}>${count} per day</option>
+    `).join('');
+    
+    const categoryToggles = NotificationCenter.CATEGORIES.map(category => `
+      <label class="toggle-switch settings-toggle">
+        <input type="checkbox" data-notification-category="${category.key}"
+               ${this.state.notificationCategories[category.key] ? 'checked' : ''}>
+        <span class="toggle-slider"></span>
+        <span class="toggle-label">${category.label}</span>
+      </label>
+    `).join('');
+    
+    const thresholdOptions = LimitAlerts.THRESHOLD_OPTIONS.map(percent => `
+      <option value="${percent}" ${this.state.warningThreshold === percent ? 'selected' : ''}>${percent}%</option>
+    `).join('');
+    
+    const content = `
+      <section class="settings-section">
+        <h3 class="stats-section-title">Notifications</h3>
+        <label class="toggle-switch settings-toggle">
+          <input type="checkbox" id="notifications-enabled" ${this.state.notifications ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+          <span class="toggle-label">Allow Alerts</span>
+        </label>
+        ${categoryToggles}
+        <label class="toggle-switch settings-toggle">
+          <input type="checkbox" id="system-notifications" ${this.state.systemNotifications ? 'checked' : ''}
+                 ${NotificationCenter.isSystemSupported() ? '' : 'disabled'}>
+          <span class="toggle-slider"></span>
+          <span class="toggle-label">Browser Notifications in Background</span>
+        </label>
+      </section>
+      
+      <section class="settings-section">
+        <h3 class="stats-section-title">Warning Thresholds</h3>
+        <div class="settings-row">
+          <label for="warning-threshold">App Limit Warning</label>
+          <select id="warning-threshold" class="app-select">${thresholdOptions}</select>
+        </div>
+        <label class="toggle-switch settings-toggle">
+          <input type="checkbox" id="final-warning" ${this.state.finalWarning ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+          <span class="toggle-label">Final Warning at ${LimitAlerts.FINAL_THRESHOLD}%</span>
+        </label>
+      </section>
+      
+      <section class="settings-section">
+        <h3 class="stats-section-title">Limits</h3>
+        <div class="settings-row">
+          <label for="override-cap">Emergency Overrides</label>
+          <select id="override-cap" class="app-select">${capOptions}</select>
+        </div>
+      </section>
+      
+      <section class="settings-section">
+        <h3 class="stats-section-title">Guardian Mode</h3>
+        <p class="override-remaining">
+          ${this.guardian.isEnabled
+            ? 'On. Removing limits and schedules, pausing limits, resetting the day, overrides and Settings need the PIN.'
+            : 'Off. Set a PIN to protect limits and schedules from being removed or bypassed.'}
+        </p>
+        <div class="settings-row">
+          <span>${this.guardian.isEnabled ? `Requests for more time: ${this.guardian.getPending().length} waiting` : 'PIN not set'}</span>
+          <div class="settings-actions">
+            ${this.guardian.isEnabled ? `
+              <button class="btn btn-secondary" id="guardian-review">Review</button>
+              <button class="btn btn-secondary" id="guardian-pin">Change PIN</button>
+              <button class="btn btn-secondary" id="guardian-lock">Lock Now</button>
+              <button class="btn btn-secondary" id="guardian-off">Turn Off</button>
+            ` : `
+              <button class="btn btn-secondary" id="guardian-pin">Set PIN</button>
+            `}
+          </div>
+        </div>
+      </section>
+      
+      <section class="settings-section">
+        <h3 class="stats-section-title">Data</h3>
+        <div class="settings-row">
+          <label for="history-retention">Usage History Retention</label>
+          <select id="history-retention" class="app-select">${retentionOptions}</select>
+        </div>
+        <div class="settings-row">
+          <span>Export</span>
+          <div class="settings-actions">
+            <button class="btn btn-secondary" id="export-backup">Backup (JSON)</button>
+            <button class="btn btn-secondary" id="export-usage-csv">Usage (CSV)</button>
+          </div>
+        </div>
+        <div class="settings-row">
+          <span>Import</span>
+          <label class="btn btn-secondary backup-import">
+            Restore Backup
+            <input type="file" id="import-backup" accept=".json,application/json" hidden>
+          </label>
+        </div>
+      </section>
+      
+      <section class="settings-section">
+        <h3 class="stats-section-title">Sync</h3>
+        <form class="sync-form">
+          <div class="settings-row">
+            <label for="sync-server">Server URL</label>
+            <input type="url" id="sync-server" class="schedule-input" placeholder="http://192.168.1.10:8787"
+                   value="${this.escapeHTML(this.sync.state.serverUrl)}">
+          </div>
+          <div class="settings-row">
+            <label for="sync-token">Token</label>
+            <input type="password" id="sync-token" class="schedule-input" autocomplete="off"
+                   value="${this.escapeHTML(this.sync.state.token)}">
+          </div>
+          <div class="settings-row">
+            <span class="sync-status" id="sync-status"></span>
+            <div class="settings-actions">
+              <button type="button" class="btn btn-secondary" id="sync-now" ${this.sync.isConfigured ? '' : 'disabled'}>Sync Now</button>
+              <button type="submit" class="btn btn-secondary">Save</button>
+            </div>
+          </div>
+        </form>
+      </section>
+    `;
+    
+    const modal = this.openModal('Settings', content, { className: 'settings-modal' });
+    modal.querySelector('#notifications-enabled').addEventListener('change', (e) => {
+      this.updateNotificationSettings({ notifications: e.target.checked });
+    });
+    modal.querySelectorAll('[data-notification-category]').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.updateNotificationSettings({
+          notificationCategories: { [e.target.dataset.notificationCategory]: e.target.checked }
+        });
+      });
+    });
+    modal.querySelector('#system-notifications').addEventListener('change', (e) => {
+      this.toggleSystemNotifications(e.target);
+    });
+    modal.querySelector('#warning-threshold').addEventListener('change', (e) => {
+      this.updateWarningSettings({ warningThreshold: parseInt(e.target.value) });
+    });
+    modal.querySelector('#final-warning').addEventListener('change', (e) => {
+      this.updateWarningSettings({ finalWarning: e.target.checked });
+    });
+    modal.querySelector('#override-cap').addEventListener('change', (e) => {
+      this.updateOverrideCap(parseInt(e.target.value));
+    });
+    modal.querySelector('#history-retention').addEventListener('change', (e) => {
+      this.updateHistoryRetention(parseInt(e.target.value));
+    });
+    modal.querySelector('#export-backup').addEventListener('click', () => this.exportBackup());
+    modal.querySelector('#export-usage-csv').addEventListener('click', () => this.exportUsageCSV());
+    modal.querySelector('#import-backup').addEventListener('change', (e) => this.importBackup(e));
+    
+    const syncForm = modal.querySelector('.sync-form');
+    syncForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.updateSyncSettings(syncForm);
+      syncForm.querySelector('#sync-now').disabled = !this.sync.isConfigured;
+    });
+    syncForm.querySelector('#sync-now').addEventListener('click', () => this.syncNow());
+    this.renderSyncStatus();
+    
+    modal.querySelector('#guardian-pin').addEventListener('click', () => this.openGuardianSetup());
+    if (this.guardian.isEnabled) {
+      modal.querySelector('#guardian-review').addEventListener('click', () => this.openTimeRequests());
+      modal.querySelector('#guardian-lock').addEventListener('click', () => this.lockGuardian());
+      modal.querySelector('#guardian-off').addEventListener('click', () => this.disableGuardian());
+    }
+  }
+  
+  updateNotificationSettings({ notifications, notificationCategories, systemNotifications }) {
+    if (notifications !== undefined) this.state.notifications = notifications;
+    if (notificationCategories) {
+      this.state.notificationCategories = { ...this.state.notificationCategories, ...notificationCategories };
+    }
+    if (systemNotifications !== undefined) this.state.systemNotifications = systemNotifications;
+    
+    this.applyNotificationPreferences();
+    this.saveState();
+  }
+  
+  applyNotificationPreferences() {
+    this.notifications.setPreferences({
+      enabled: this.state.notifications,
+      categories: this.state.notificationCategories,
+      systemEnabled: this.state.systemNotifications
+    });
+  }
+  
+  // Browser notifications need permission before they can be switched on
+  async toggleSystemNotifications(input) {
+    if (!input.checked) {
+      this.updateNotificationSettings({ systemNotifications: false });
+      return;
+    }
+    
+    const permission = await this.notifications.requestSystemPermission();
+    if (permission !== 'granted') {
+      input.checked = false;
+      this.showNotification('Browser notifications are blocked for this site', 'error');
+      return;
+    }
+    
+    this.updateNotificationSettings({ systemNotifications: true });
+    this.showNotification('Alerts will also appear while KaiSheng is in the background', 'success');
+  }
+  
+  // Notification history
+  openNotificationHistory() {
+    const typeLabels = { info: 'Info', success: 'Done', warning: 'Warning', error: 'Error' };
+    const rows = this.notifications.getHistory().map(entry => `
+      <div class="notification-history-item notification-history-${entry.type} ${entry.read ? '' : 'unread'}">
+        <span class="notification-history-type">${typeLabels[entry.type]}</span>
+        <span class="notification-history-message">
+          ${this.escapeHTML(entry.message)}${entry.count > 1 ? ` <span class="notification-count">×${entry.count}</span>` : ''}
+        </span>
+        <time class="notification-history-time">${entry.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</time>
+      </div>
+    `).join('') || '<p class="chart-empty">No notifications yet</p>';
+    
+    const content = `
+      <div class="notification-history">${rows}</div>
+      <div class="modal-actions">
+        <button class="btn btn-secondary" id="clear-notifications">Clear All</button>
+      </div>
+    `;
+    
+    const modal = this.openModal('Notifications', content, { className: 'notifications-modal' });
+    this.notifications.markAllRead();
+    modal.querySelector('#clear-notifications').addEventListener('click', () => {
+      this.notifications.clearHistory();
+      this.closeModal();
+    });
+  }
+  
+  updateNotificationBadge() {
+    const unread = this.notifications.getUnreadCount();
+    this.elements.notificationBadge.hidden = unread === 0;
+    this.elements.notificationBadge.textContent = unread > 9 ? '9+' : unread;
+    this.elements.notificationsBtn.setAttribute('aria-label', `Notifications (${unread} unread)`);
+  }
+  
+  // Thresholds already passed today stay quiet; new ones fire on the next check
+  updateWarningSettings({ warningThreshold, finalWarning }) {
+    if (warningThreshold !== undefined) this.state.warningThreshold = warningThreshold;
+    if (finalWarning !== undefined) this.state.finalWarning = finalWarning;
+    
+    this.applyWarningSettings();
+    this.renderAppLimits();
+    this.saveState();
+  }
+  
+  applyWarningSettings() {
+    this.limitAlerts.threshold = this.state.warningThreshold;
+    this.limitAlerts.finalWarning = this.state.finalWarning;
+  }
+  
+  updateOverrideCap(count) {
+    this.state.overrideDailyCap = count;
+    this.overrides.maxPerDay = count;
+    this.saveState();
+    
+    this.log(`Emergency overrides capped at ${count} per day`);
+  }
+  
+  updateHistoryRetention(days) {
+    this.state.historyRetention = days;
+    this.usageHistory.setRetention(days);
+    this.saveState();
+    
+    this.showNotification(`Usage history kept for ${days ? `${days} days` : 'ever'}`, 'success');
+    this.log(`History retention set to ${days || 'forever'}`);
+  }
+  
+  // Backup
+  exportBackup() {
+    const backup = StateBackup.create({
+      limits: this.state.appLimits,
+      groups: this.state.groupLimits,
+      schedules: this.state.downtimeSchedules,
+      usage: this.usageHistory.getOwnRecords(),
+      catalog: this.catalog.getAll(),
+      settings: this.getPersistedSettings()
+    });
+    
+    StateBackup.download(JSON.stringify(backup, null, 2), `kaisheng-backup-${DateUtils.toKey(new Date())}.json`, 'application/json');
+    this.log('Backup exported');
+  }
+  
+  exportUsageCSV() {
+    const records = this.getUsageRecords();
+    if (records.length === 0) {
+      this.showNotification('There is no usage history to export', 'info');
+      return;
+    }
+    
+    StateBackup.download(StateBackup.usageToCSV(records), `kaisheng-usage-${DateUtils.toKey(new Date())}.csv`, 'text/csv');
+    this.log(`Usage CSV exported: ${records.length} rows`);
+  }
+  
+  // A backup can replace or loosen every limit and schedule
+  async importBackup(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      if (!(await this.confirmGuardian())) return;
+      
+      const backup = StateBackup.parse(await file.text(), this.getPersistedSettings());
+      backup.issues.forEach(issue => {
+        console.warn(`Backup ${issue.type} "${issue.name}" ${issue.action}: ${issue.problem}`);
+      });
+      this.previewBackupImport(backup, file.name);
+    } catch (error) {
+      if (!(error instanceof BackupError)) throw error;
+      this.showNotification(error.message, 'error');
+    } finally {
+      event.target.value = '';
+    }
+  }
+  
+  // Dry run: show what each strategy would change before anything is saved
+  previewBackupImport(backup, fileName) {
+    const current = {
+      limits: this.state.appLimits,
+      groups: this.state.groupLimits,
+      schedules: this.state.downtimeSchedules,
+      usage: this.usageHistory.getOwnRecords(),
+      catalog: this.catalog.getAll()
+    };
+    
+    const dropped = backup.issues.filter(issue => issue.action === 'dropped').length;
+    const repaired = backup.issues.length - dropped;
+    const exported = backup.exportedAt ? ` · exported ${DateUtils.formatShort(backup.exportedAt)}` : '';
+    
+    const content = `
+      <form class="backup-import-form">
+        <p class="override-remaining">${this.escapeHTML(fileName)}${exported}</p>
+        <div class="settings-row">
+          <label for="backup-strategy">When both have an entry</label>
+          <select id="backup-strategy" class="app-select">
+            <option value="merge">Merge: keep mine, add and update from the file</option>
+            <option value="replace">Replace: use only the file's entries</option>
+          </select>
+        </div>
+        <div class="backup-summary" id="backup-summary"></div>
+        ${backup.issues.length > 0 ? `
+          <p class="backup-issues">
+            ${repaired > 0 ? `${repaired} entries will be repaired. ` : ''}${dropped > 0 ? `${dropped} entries are damaged and will be skipped.` : ''}
+          </p>
+        ` : ''}
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">Import</button>
+        </div>
+      </form>
+    `;
     
-    // Update button state
-    const icon = this.elements.pauseAll.querySelector('.action-icon');
-    icon.style.background = isPaused ? '' : 'var(--gradient-secondary)';
+    const modal = this.openModal('Import Backup', content, { className: 'backup-import-modal' });
+    const form = modal.querySelector('.backup-import-form');
+    const strategy = form.querySelector('#backup-strategy');
+    let plan = null;
+    
+    const renderSummary = () => {
+      plan = StateBackup.plan(current, backup, strategy.value);
+      const count = (value, word) => value > 0 ? `<span class="backup-change">${value} ${word}</span>` : '';
+      const rows = plan.summary.map(section => `
+        <div class="stats-row">
+          <span class="stats-row-label">${section.label}</span>
+          <span class="stats-row-value">
+            ${[count(section.added, 'added'), count(section.updated, 'updated'), count(section.removed, 'removed')].filter(Boolean).join(' · ') || 'no changes'}
+          </span>
+        </div>
+      `).join('');
+      const settings = plan.result.settings ? `
+        <div class="stats-row">
+          <span class="stats-row-label">Settings</span>
+          <span class="stats-row-value">${Object.keys(plan.result.settings).length} restored</span>
+        </div>
+      ` : '';
+      form.querySelector('#backup-summary').innerHTML = rows + settings || '<p class="chart-empty">Nothing to import</p>';
+    };
+    
+    strategy.addEventListener('change', renderSummary);
+    renderSummary();
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.applyBackup(plan);
+      this.closeModal();
+    });
   }
   
-  resetDay() {
-    // Reset all usage data
-    this.state.appLimits.forEach(limit => {
-      limit.usageTime = 0;
-    });
+  applyBackup(plan) {
+    const { result } = plan;
+    if (result.limits) this.state.appLimits = result.limits;
+    if (result.groups) this.state.groupLimits = result.groups;
+    if (result.schedules) this.state.downtimeSchedules = result.schedules;
+    if (result.usage) this.usageHistory.replaceRecords(result.usage);
+    if (result.catalog) this.catalog.restore(result.catalog);
     
-    this.state.motion.stepCount = 0;
-    this.state.motion.walkStartTime = null;
-    this.state.motion.isWalking = false;
+    if (result.settings) {
+      this.applySettings(result.settings);
+      this.usageHistory.setRetention(this.state.historyRetention);
+      this.overrides.maxPerDay = this.state.overrideDailyCap;
+      this.loadTheme();
+      this.restoreMotionSource();
+      this.updatePauseButton();
+    }
     
-    this.renderAppLimits();
-    this.updateMotionUI();
+    this.state.editingLimitId = null;
+    this.resetScheduleForm();
+    this.handleCatalogChange();
+    this.checkDowntimeStatus();
     this.updateUsageStats();
-    this.saveState();
     
-    this.showNotification('Daily usage reset', 'success');
-    this.log('Daily usage reset');
-  }
-  
-  viewStats() {
-    const stats = this.generateUsageStats();
-    this.showStatsModal(stats);
-    this.log('View stats clicked');
+    this.showNotification(`Backup imported (${plan.strategy === 'merge' ? 'merged' : 'replaced'})`, 'success');
+    this.log(`Backup imported with ${plan.strategy}: ${plan.summary.map(section => `${section.label} +${section.added} ~${section.updated} -${section.removed}`).join(', ')}`);
   }
   
   // Theme Management
@@ -774,8 +3250,12 @@ class KaiShengDashboard {
   }
   
   startPeriodicChecks() {
+    // Roll usage over to a new day at local midnight
+    this.scheduleDayRollover();
+    
     // Check downtime status every minute
     this.state.timers.downtimeCheck = setInterval(() => {
+      this.checkTimeZone();
       this.checkDowntimeStatus();
     }, 60000);
     
@@ -791,6 +3271,11 @@ class KaiShengDashboard {
   }
   
   updateTimeDisplays() {
+    // Timers can be throttled while the device sleeps, so also check here
+    if (DateUtils.toKey(new Date()) !== this.currentDay) {
+      this.checkDayRollover();
+    }
+    
     // Update any time-based displays
     const timeElements = document.querySelectorAll('[data-current-time]');
     timeElements.forEach(element => {
@@ -808,20 +3293,7 @@ class KaiShengDashboard {
   }
   
   getAppCategory(appName) {
-    const categories = {
-      'SOCIAL': ['Instagram', 'TikTok', 'Facebook', 'Twitter', 'Snapchat', 'Reddit', 'WhatsApp'],
-      'ENTERTAINMENT': ['YouTube', 'Netflix', 'Spotify', 'Games'],
-      'PRODUCTIVITY': [],
-      'OTHER': []
-    };
-    
-    for (const [category, apps] of Object.entries(categories)) {
-      if (apps.includes(appName)) {
-        return category;
-      }
-    }
-    
-    return 'OTHER';
+    return this.catalog.getCategory(appName);
   }
   
   formatTime(seconds) {
@@ -835,6 +3307,18 @@ class KaiShengDashboard {
     }
   }
   
+  // m:ss for countdowns
+  formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    return `${minutes}:${String(remainder).padStart(2, '0')}`;
+  }
+  
+  // 'HH:MM' for <input type="time">
+  formatTimeValue(date) {
+    return StateSerializer.serializeClock(date);
+  }
+  
   formatTimeRange(startTime, endTime) {
     const start = startTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     const end = endTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -866,73 +3350,68 @@ class KaiShengDashboard {
     return element;
   }
   
-  showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = this.createElement('div', {
-      className: `notification notification-${type}`,
+  escapeHTML(text) {
+    return HTMLUtils.escape(text);
+  }
+  
+  // Modal dialogs
+  openModal(title, content, options = {}) {
+    this.closeModal();
+    
+    const overlay = this.createElement('div', {
+      className: 'modal-overlay',
       innerHTML: `
-        <div class="notification-content">
-          <span>${message}</span>
-          <button class="notification-close">&times;</button>
+        <div class="modal ${options.className || ''}" role="dialog" aria-modal="true" aria-label="${this.escapeHTML(title)}">
+          <div class="modal-header">
+            <h2 class="modal-title">${this.escapeHTML(title)}</h2>
+            <button class="icon-btn modal-close" aria-label="Close">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+              </svg>
+            </button>
+          </div>
+          <div class="modal-body">${content}</div>
         </div>
       `
     });
     
-    // Add styles
-    Object.assign(notification.style, {
-      position: 'fixed',
-      top: '20px',
-      right: '20px',
-      padding: '16px 24px',
-      borderRadius: '12px',
-      color: 'white',
-      fontWeight: '500',
-      zIndex: '10000',
-      transform: 'translateX(400px)',
-      transition: 'transform 0.3s var(--spring-bounce)',
-      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
-      backdropFilter: 'blur(12px)',
-      border: '1px solid rgba(255,255,255,0.1)'
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeModal();
     });
+    overlay.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
     
-    // Set background based on type
-    const backgroundColor = {
-      success: 'var(--success)',
-      warning: 'var(--warning)',
-      error: 'var(--error)',
-      info: 'var(--info)'
-    }[type];
+    this.modalKeyHandler = (e) => {
+      if (e.key === 'Escape') this.closeModal();
+    };
+    document.addEventListener('keydown', this.modalKeyHandler);
     
-    notification.style.background = backgroundColor;
+    document.body.appendChild(overlay);
+    this.activeModal = overlay;
+    this.activeModalOnClose = options.onClose || null;
     
-    // Add to DOM
-    document.body.appendChild(notification);
+    requestAnimationFrame(() => overlay.classList.add('visible'));
+    return overlay;
+  }
+  
+  closeModal() {
+    if (!this.activeModal) return;
     
-    // Animate in
-    setTimeout(() => {
-      notification.style.transform = 'translateX(0)';
-    }, 100);
+    const overlay = this.activeModal;
+    const onClose = this.activeModalOnClose;
+    this.activeModal = null;
+    this.activeModalOnClose = null;
+    document.removeEventListener('keydown', this.modalKeyHandler);
     
-    // Auto remove
-    setTimeout(() => {
-      notification.style.transform = 'translateX(400px)';
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 300);
-    }, 4000);
+    overlay.classList.remove('visible');
+    setTimeout(() => overlay.remove(), 300);
     
-    // Close button
-    const closeBtn = notification.querySelector('.notification-close');
-    closeBtn.addEventListener('click', () => {
-      notification.style.transform = 'translateX(400px)';
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 300);
-    });
+    if (onClose) onClose();
+  }
+  
+  // category matches a NotificationCenter category; leave it out for direct
+  // feedback on user actions, which is never muted
+  showNotification(message, type = 'info', category = null) {
+    return this.notifications.notify(message, { type, category });
   }
   
   // Debounce and throttle utilities
@@ -1007,35 +3486,708 @@ class KaiShengDashboard {
   }
   
   // State Management
+  // Persist the domain slices of the state; timers and runtime flags stay in memory
   saveState() {
+    if (!this.storage.backend) return;
+    
+    this.storage.saveLimits(this.state.appLimits.map(StateSerializer.serializeLimit));
+    this.storage.saveGroupLimits(this.state.groupLimits.map(StateSerializer.serializeGroupLimit));
+    this.storage.saveSchedules(this.state.downtimeSchedules.map(StateSerializer.serializeSchedule));
+    this.storage.saveSettings(this.getPersistedSettings());
+    this.sync.track();
+  }
+  
+  getPersistedSettings() {
+    return {
+      theme: this.state.theme,
+      notifications: this.state.notifications,
+      notificationCategories: this.state.notificationCategories,
+      systemNotifications: this.state.systemNotifications,
+      historyRetention: this.state.historyRetention,
+      limitsPaused: this.state.limitsPaused,
+      overrideDailyCap: this.state.overrideDailyCap,
+      warningThreshold: this.state.warningThreshold,
+      finalWarning: this.state.finalWarning,
+      limitAlerts: this.limitAlerts.toJSON(),
+      motion: {
+        stepThreshold: this.state.motion.stepThreshold,
+        source: this.state.motion.source
+      }
+    };
+  }
+  
+  applySettings(settings) {
+    ['theme', 'notifications', 'systemNotifications', 'historyRetention', 'limitsPaused', 'overrideDailyCap',
+      'warningThreshold', 'finalWarning'].forEach(key => {
+      if (settings[key] !== undefined) {
+        this.state[key] = settings[key];
+      }
+    });
+    
+    if (settings.notificationCategories) {
+      this.state.notificationCategories = {
+        ...NotificationCenter.defaultCategories(),
+        ...settings.notificationCategories
+      };
+    }
+    this.applyNotificationPreferences();
+    
+    if (!LimitAlerts.THRESHOLD_OPTIONS.includes(this.state.warningThreshold)) {
+      this.state.warningThreshold = 80;
+    }
+    this.applyWarningSettings();
+    this.limitAlerts.restore(settings.limitAlerts);
+    
+    if (settings.motion) {
+      this.state.motion.stepThreshold = settings.motion.stepThreshold ?? this.state.motion.stepThreshold;
+      this.state.motion.source = settings.motion.source || this.state.motion.source;
+      this.elements.stepThreshold.value = this.state.motion.stepThreshold;
+      this.elements.stepThreshold.nextElementSibling.textContent = this.state.motion.stepThreshold;
+    }
+  }
+  
+  // Entries are still decoded without the schema, just not checked against
+  // it, so say so. Browsers refuse to fetch it when the dashboard is opened
+  // straight from disk.
+  async loadDataSchema() {
     try {
-      localStorage.setItem('kaisheng-state', JSON.stringify(this.state));
+      const response = await fetch('app-data-models.schema.json');
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      StateSerializer.useSchema(new SchemaValidator(await response.json()));
     } catch (error) {
-      console.warn('Failed to save state:', error);
+      console.warn('Failed to load the data model schema:', error);
+      const hint = location.protocol === 'file:' ? '; open the dashboard from a web server to check it' : '';
+      this.showNotification(`Saved data is not being checked against the data model schema${hint}`, 'warning');
     }
   }
   
-  loadState() {
+  async loadState() {
     try {
-      const savedState = localStorage.getItem('kaisheng-state');
-      if (savedState) {
-        const parsed = JSON.parse(savedState);
-        // Merge saved state with current state
-        this.state = { ...this.state, ...parsed };
-        
-        // Restore UI state
-        this.loadTheme();
-        this.renderAppLimits();
-        this.renderDowntimeSchedules();
-        this.updateMotionUI();
-        this.updateUsageStats();
-        this.checkDowntimeStatus();
+      await this.loadDataSchema();
+      await this.storage.open();
+      this.log(`Storage ready (${this.storage.type})`);
+      
+      const [rawLimits, rawGroups, rawSchedules, rawSettings] = await Promise.all([
+        this.storage.loadLimits(),
+        this.storage.loadGroupLimits(),
+        this.storage.loadSchedules(),
+        this.storage.loadSettings()
+      ]);
+      await this.usageHistory.load();
+      await this.overrides.load();
+      await this.focus.load();
+      await this.catalog.load();
+      await this.sync.load();
+      await this.guardian.load();
+      
+      // Validate everything that comes back, repairing what we can
+      const limits = StateSerializer.deserializeList('limit', rawLimits);
+      const groups = StateSerializer.deserializeList('group', rawGroups);
+      const schedules = StateSerializer.deserializeList('schedule', rawSchedules);
+      const settings = StateSerializer.deserializeSettings(rawSettings, this.getPersistedSettings());
+      
+      this.state.appLimits = limits.items;
+      this.state.groupLimits = groups.items;
+      this.state.downtimeSchedules = schedules.items;
+      this.applySettings(settings.settings);
+      this.usageHistory.setRetention(this.state.historyRetention);
+      this.overrides.maxPerDay = this.state.overrideDailyCap;
+      
+      this.reportRecoveredState([
+        ...limits.issues,
+        ...groups.issues,
+        ...schedules.issues,
+        ...settings.issues,
+        ...this.usageHistory.loadIssues,
+        ...this.overrides.loadIssues,
+        ...this.focus.loadIssues,
+        ...this.catalog.loadIssues
+      ]);
+      
+      // Restore UI state
+      this.loadTheme();
+      this.restoreMotionSource();
+      this.updatePauseButton();
+      this.updateGuardianUI();
+      this.renderAppSelector();
+      this.renderScheduleTargets();
+      if (this.overrides.getActive()) {
+        this.startOverrideCountdown();
+      }
+      if (this.focus.getActive()) {
+        this.startFocusCountdown();
       }
+      this.renderDowntimeSchedules();
+      this.updateMotionUI();
+      this.updateUsageStats();
+      this.checkDowntimeStatus();
     } catch (error) {
       console.warn('Failed to load state:', error);
     }
   }
   
+  reportRecoveredState(issues) {
+    if (issues.length === 0) return;
+    
+    issues.forEach(issue => {
+      console.warn(`Saved ${issue.type} "${issue.name}" ${issue.action}: ${issue.problem}`);
+    });
+    
+    const dropped = issues.filter(issue => issue.action === 'dropped').length;
+    const repaired = issues.length - dropped;
+    const parts = [];
+    if (repaired > 0) parts.push(`${repaired} repaired`);
+    if (dropped > 0) parts.push(`${dropped} could not be restored`);
+    this.showNotification(`Some saved data was damaged: ${parts.join(', ')}`, 'warning');
+    
+    // Write the cleaned-up state back
+    this.saveState();
+  }
+  
+  // Offline support
+  // sw.js sits next to dashboard.html, so the worker covers this directory
+  // wherever the dashboard is hosted
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+      console.warn('Failed to register service worker:', error);
+      return;
+    }
+    
+    // A new version installed alongside the one running this page waits
+    // until the user reloads into it
+    const watch = (worker) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(worker);
+        }
+      });
+    };
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdatePrompt(registration.waiting);
+    }
+    if (registration.installing) {
+      watch(registration.installing);
+    }
+    registration.addEventListener('updatefound', () => watch(registration.installing));
+    
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloading || !this.state.updateRequested) return;
+      reloading = true;
+      window.location.reload();
+    });
+    
+    this.log('Service worker registered');
+  }
+  
+  showUpdatePrompt(worker) {
+    this.waitingWorker = worker;
+    this.elements.updateBanner.hidden = false;
+    this.log('Dashboard update available');
+  }
+  
+  // Activate the waiting worker; controllerchange then reloads the page
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+    
+    this.state.updateRequested = true;
+    this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+  
+  // Everything runs locally, so limits, downtime and focus sessions keep
+  // working offline; the indicator only says so
+  updateConnectionStatus() {
+    const isOffline = navigator.onLine === false;
+    this.elements.offlineIndicator.hidden = !isOffline;
+    return isOffline;
+  }
+  
+  handleConnectionChange() {
+    if (this.updateConnectionStatus()) {
+      this.showNotification('You are offline. Limits and downtime keep working.', 'info');
+      this.log('Went offline');
+    } else {
+      this.log('Back online');
+      // Send what was queued while offline
+      if (this.sync.isConfigured) this.syncNow({ quiet: true });
+    }
+  }
+  
+  // Sync
+  startSync() {
+    this.scheduleSync();
+    if (this.sync.isConfigured) this.syncNow({ quiet: true });
+  }
+  
+  scheduleSync() {
+    clearInterval(this.state.timers.sync);
+    this.state.timers.sync = null;
+    if (this.sync.isConfigured) {
+      this.state.timers.sync = setInterval(() => this.syncNow({ quiet: true }), SyncClient.INTERVAL);
+    }
+  }
+  
+  // quiet syncs in the background only log; a sync the user asked for
+  // reports how it went
+  async syncNow({ quiet = false } = {}) {
+    if (navigator.onLine === false) {
+      if (!quiet) this.showNotification('You are offline. Changes will sync when you reconnect.', 'info');
+      return;
+    }
+    
+    try {
+      const { sent, received, rejected } = await this.sync.sync();
+      this.log(`Synced: ${sent} sent, ${received} received${rejected ? `, ${rejected} rejected` : ''}`);
+      if (!quiet) this.showNotification('Sync complete', 'success');
+    } catch (error) {
+      if (!(error instanceof SyncError)) throw error;
+      console.warn('Failed to sync:', error);
+      if (!quiet) this.showNotification(error.message, 'error');
+    } finally {
+      this.renderSyncStatus();
+    }
+  }
+  
+  getSyncSnapshot() {
+    return {
+      limits: this.state.appLimits.map(StateSerializer.serializeLimit),
+      schedules: this.state.downtimeSchedules.map(StateSerializer.serializeSchedule),
+      usage: this.usageHistory.getOwnRecords().map(StateSerializer.serializeUsage)
+    };
+  }
+  
+  // Records from other devices go through the same decoders as saved state
+  applySyncChanges({ limits, schedules, usage }) {
+    const decode = (type, records) => {
+      const { items, issues } = StateSerializer.deserializeList(type, records.filter(record => !record.deleted).map(record => record.data));
+      issues.forEach(issue => {
+        console.warn(`Synced ${issue.type} "${issue.name}" ${issue.action}: ${issue.problem}`);
+      });
+      return items;
+    };
+    
+    const removedApps = new Set(limits.filter(record => record.deleted).map(record => record.key));
+    const syncedLimits = decode('limit', limits);
+    const syncedApps = new Set(syncedLimits.map(limit => limit.appName));
+    this.state.appLimits = [
+      ...this.state.appLimits.filter(limit => !removedApps.has(limit.appName) && !syncedApps.has(limit.appName)),
+      ...syncedLimits
+    ];
+    
+    const removedSchedules = new Set(schedules.filter(record => record.deleted).map(record => record.key));
+    const syncedSchedules = decode('schedule', schedules);
+    const syncedIds = new Set(syncedSchedules.map(schedule => schedule.id));
+    this.state.downtimeSchedules = [
+      ...this.state.downtimeSchedules.filter(schedule => !removedSchedules.has(schedule.id) && !syncedIds.has(schedule.id)),
+      ...syncedSchedules
+    ];
+    
+    // Each device's usage stays its own and is added to ours when read
+    const deviceUsage = {};
+    usage
+      .filter(record => record.deviceId !== this.sync.state.deviceId)
+      .forEach(record => {
+        deviceUsage[record.deviceId] = deviceUsage[record.deviceId] || [];
+        deviceUsage[record.deviceId].push(record);
+      });
+    Object.entries(deviceUsage).forEach(([deviceId, records]) => {
+      this.usageHistory.setDeviceUsage(deviceId, decode('usage', records));
+    });
+    this.usageHistory.prune();
+    
+    this.renderScheduleTargets();
+    this.renderDowntimeSchedules();
+    this.checkDowntimeStatus();
+    this.checkLimitsAndBlockApps();
+    this.updateUsageStats();
+    this.saveState();
+  }
+  
+  async updateSyncSettings(form) {
+    try {
+      this.sync.configure({
+        serverUrl: form.querySelector('#sync-server').value,
+        token: form.querySelector('#sync-token').value
+      });
+    } catch (error) {
+      if (!(error instanceof SyncError)) throw error;
+      this.showNotification(error.message, 'error');
+      return;
+    }
+    
+    this.scheduleSync();
+    if (!this.sync.isConfigured) {
+      this.renderSyncStatus();
+      this.showNotification('Sync turned off', 'info');
+      return;
+    }
+    await this.syncNow();
+  }
+  
+  renderSyncStatus() {
+    const status = document.getElementById('sync-status');
+    if (!status) return;
+    
+    const parts = [];
+    if (!this.sync.isConfigured) {
+      parts.push('Off');
+    } else {
+      const lastSynced = this.sync.state.lastSyncedAt;
+      parts.push(lastSynced ? `Last synced ${DateUtils.formatShort(new Date(lastSynced))}` : 'Not synced yet');
+      if (this.sync.pendingCount > 0) parts.push(`${this.sync.pendingCount} waiting`);
+    }
+    status.textContent = parts.join(' · ');
+  }
+  
+  // Guardian mode
+  // Resolves true once the guardian PIN has been entered, and straight away
+  // while guardian mode is off or still unlocked
+  confirmGuardian() {
+    if (this.guardian.isUnlocked()) return Promise.resolve(true);
+    
+    return new Promise(resolve => {
+      let confirmed = false;
+      const content = `
+        <form class="guardian-form">
+          <p class="override-remaining">This needs the guardian PIN</p>
+          <input type="password" id="guardian-pin-input" class="schedule-input" autocomplete="current-password"
+                 placeholder="PIN" aria-label="Guardian PIN" required>
+          <p class="guardian-error" id="guardian-error" role="alert"></p>
+          <div class="modal-actions">
+            <button type="submit" class="btn btn-primary">Unlock</button>
+          </div>
+        </form>
+      `;
+      
+      const modal = this.openModal('Guardian PIN', content, {
+        className: 'guardian-modal',
+        onClose: () => resolve(confirmed)
+      });
+      const form = modal.querySelector('.guardian-form');
+      const input = form.querySelector('#guardian-pin-input');
+      const error = form.querySelector('#guardian-error');
+      const submit = form.querySelector('[type="submit"]');
+      input.focus();
+      
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        submit.disabled = true;
+        try {
+          confirmed = await this.guardian.verify(input.value);
+        } catch (verifyError) {
+          if (!(verifyError instanceof GuardianError)) throw verifyError;
+          error.textContent = verifyError.message;
+          return;
+        } finally {
+          submit.disabled = false;
+        }
+        
+        if (confirmed) {
+          this.log('Guardian PIN accepted');
+          this.closeModal();
+          return;
+        }
+        
+        const lockRemaining = this.guardian.getLockRemaining();
+        error.textContent = lockRemaining > 0
+          ? `Wrong PIN. Try again in ${Math.ceil(lockRemaining / 60000)} min.`
+          : `Wrong PIN. ${this.guardian.getAttemptsLeft()} attempts left.`;
+        input.value = '';
+        input.focus();
+        this.log('Wrong guardian PIN');
+      });
+    });
+  }
+  
+  // The first PIN turns guardian mode on; changing it needs the current one,
+  // which opening Settings already asked for
+  openGuardianSetup() {
+    const isEnabled = this.guardian.isEnabled;
+    const content = `
+      <form class="guardian-form">
+        <p class="override-remaining">At least ${GuardianLock.MIN_PIN_LENGTH} characters; a passphrase works too</p>
+        <input type="password" id="guardian-new-pin" class="schedule-input" autocomplete="new-password"
+               placeholder="New PIN" aria-label="New PIN" required>
+        <input type="password" id="guardian-repeat-pin" class="schedule-input" autocomplete="new-password"
+               placeholder="Repeat PIN" aria-label="Repeat new PIN" required>
+        <p class="guardian-error" id="guardian-error" role="alert"></p>
+        <div class="modal-actions">
+          <button type="submit" class="btn btn-primary">${isEnabled ? 'Change PIN' : 'Turn On'}</button>
+        </div>
+      </form>
+    `;
+    
+    const modal = this.openModal(isEnabled ? 'Change Guardian PIN' : 'Guardian Mode', content, { className: 'guardian-modal' });
+    const form = modal.querySelector('.guardian-form');
+    const error = form.querySelector('#guardian-error');
+    form.querySelector('#guardian-new-pin').focus();
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const pin = form.querySelector('#guardian-new-pin').value;
+      if (pin !== form.querySelector('#guardian-repeat-pin').value) {
+        error.textContent = 'The PINs do not match';
+        return;
+      }
+      
+      try {
+        await this.guardian.setPin(pin);
+      } catch (setupError) {
+        if (!(setupError instanceof GuardianError)) throw setupError;
+        error.textContent = setupError.message;
+        return;
+      }
+      
+      this.closeModal();
+      this.updateGuardianUI();
+      const message = isEnabled ? 'Guardian PIN changed' : 'Guardian mode turned on';
+      this.showNotification(message, 'success');
+      this.log(message);
+    });
+  }
+  
+  lockGuardian() {
+    this.guardian.lock();
+    this.closeModal();
+    this.showNotification('Guardian mode locked', 'info');
+    this.log('Guardian mode locked');
+  }
+  
+  disableGuardian() {
+    try {
+      this.guardian.disable();
+    } catch (error) {
+      if (!(error instanceof GuardianError)) throw error;
+      this.showNotification(error.message, 'error');
+      return;
+    }
+    
+    this.closeModal();
+    this.updateGuardianUI();
+    this.showNotification('Guardian mode turned off', 'success');
+    this.log('Guardian mode turned off');
+  }
+  
+  updateGuardianUI() {
+    this.elements.requestTime.hidden = !this.guardian.isEnabled;
+  }
+  
+  // Ask for more time on a limited app; the guardian answers from the same
+  // list with the PIN
+  openTimeRequests(appName = null) {
+    const apps = LimitPolicy.getEnabledLimits(this.state.appLimits).map(limit => limit.appName);
+    const appOptions = apps.map(name => `
+      <option value="${this.escapeHTML(name)}" ${name === appName ? 'selected' : ''}>${this.escapeHTML(name)}</option>
+    `).join('');
+    const minuteOptions = GuardianLock.REQUEST_OPTIONS.map(minutes => `
+      <option value="${minutes}">${minutes} minutes</option>
+    `).join('');
+    
+    const content = `
+      ${apps.length > 0 ? `
+        <form class="guardian-form" id="time-request-form">
+          <div class="settings-row">
+            <label for="request-app">App</label>
+            <select id="request-app" class="app-select">${appOptions}</select>
+          </div>
+          <div class="settings-row">
+            <label for="request-minutes">Extra Time</label>
+            <select id="request-minutes" class="app-select">${minuteOptions}</select>
+          </div>
+          <input type="text" id="request-reason" class="schedule-input" maxlength="140"
+                 placeholder="Reason (optional)" aria-label="Reason for more time">
+          <div class="modal-actions">
+            <button type="submit" class="btn btn-primary">Send Request</button>
+          </div>
+        </form>
+      ` : '<p class="chart-empty">No app limits to ask about</p>'}
+      <section class="settings-section">
+        <h3 class="stats-section-title">Today's Requests</h3>
+        <div class="guardian-requests">${this.renderTimeRequests()}</div>
+      </section>
+    `;
+    
+    const modal = this.openModal('More Time', content, { className: 'guardian-request-modal' });
+    const form = modal.querySelector('#time-request-form');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const request = this.requestMoreTime({
+          appName: form.querySelector('#request-app').value,
+          minutes: parseInt(form.querySelector('#request-minutes').value),
+          reason: form.querySelector('#request-reason').value
+        });
+        if (request) {
+          this.openTimeRequests(request.appName);
+        }
+      });
+    }
+    
+    modal.querySelector('.guardian-requests').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-decision]');
+      if (!button) return;
+      const requestId = button.closest('[data-request-id]').dataset.requestId;
+      this.answerTimeRequest(requestId, button.dataset.decision === 'approve');
+    });
+  }
+  
+  renderTimeRequests() {
+    const requests = this.guardian.getRequests();
+    if (requests.length === 0) {
+      return '<p class="chart-empty">No requests today</p>';
+    }
+    
+    const statusLabels = { approved: 'Approved', denied: 'Denied' };
+    return requests.map(request => `
+      <div class="stats-row guardian-request" data-request-id="${request.id}">
+        <span class="stats-row-label">
+          ${this.escapeHTML(request.appName)} · ${request.minutes} min
+          ${request.reason ? `<span class="guardian-request-reason">${this.escapeHTML(request.reason)}</span>` : ''}
+        </span>
+        <span class="stats-row-value">
+          ${request.status === 'pending' ? `
+            <button type="button" class="btn btn-secondary" data-decision="approve">Approve</button>
+            <button type="button" class="btn btn-secondary" data-decision="deny">Deny</button>
+          ` : statusLabels[request.status]}
+        </span>
+      </div>
+    `).join('');
+  }
+  
+  requestMoreTime(details) {
+    let request;
+    try {
+      request = this.guardian.requestTime(details);
+    } catch (error) {
+      if (!(error instanceof GuardianError)) throw error;
+      this.showNotification(error.message, 'error');
+      return null;
+    }
+    
+    this.showNotification(`Asked for ${request.minutes} more minutes of ${request.appName}`, 'info');
+    this.log(`More time requested: ${request.appName} - ${request.minutes}m`);
+    return request;
+  }
+  
+  async answerTimeRequest(requestId, approved) {
+    if (!(await this.confirmGuardian())) return;
+    
+    let request;
+    try {
+      request = this.guardian.decide(requestId, approved);
+    } catch (error) {
+      if (!(error instanceof GuardianError)) throw error;
+      this.showNotification(error.message, 'error');
+      return;
+    }
+    
+    this.checkLimitsAndBlockApps();
+    this.updateUsageStats();
+    
+    const message = approved
+      ? `${request.appName} gets ${request.minutes} more minutes today`
+      : `Request for more ${request.appName} time denied`;
+    this.showNotification(message, approved ? 'success' : 'info');
+    this.log(message);
+    this.openTimeRequests();
+  }
+  
+  // Installed app
+  async installApp() {
+    if (!this.installPrompt) return;
+    
+    const prompt = this.installPrompt;
+    this.installPrompt = null;
+    this.elements.installBtn.hidden = true;
+    prompt.prompt();
+    const { outcome } = await prompt.userChoice;
+    this.log(`Install prompt ${outcome}`);
+  }
+  
+  // Installed apps show how many limits are used up today
+  updateAppBadge() {
+    if (!('setAppBadge' in navigator)) return;
+    
+    const exceeded = [
+      ...LimitPolicy.getEnabledLimits(this.state.appLimits)
+        .filter(limit => this.getTodayUsage(limit.appName) >= this.getEffectiveLimit(limit)),
+      ...LimitPolicy.getEnabledLimits(this.state.groupLimits)
+        .filter(group => this.getGroupUsage(group) >= this.getEffectiveLimit(group))
+    ].length;
+    
+    const update = exceeded > 0 ? navigator.setAppBadge(exceeded) : navigator.clearAppBadge();
+    update.catch(error => console.warn('Failed to update app badge:', error));
+  }
+  
+  // The URL this page opened with is always handled here. Where the browser
+  // has launchQueue, an installed app reuses its open window for later
+  // launches, which arrive there; its first entry may be this same launch.
+  setupLaunchHandling() {
+    let startURL = window.location.href;
+    this.handleLaunch(new URL(startURL));
+    
+    if ('launchQueue' in window) {
+      window.launchQueue.setConsumer(params => {
+        const targetURL = params.targetURL;
+        const isStartup = targetURL === startURL;
+        startURL = null;
+        if (targetURL && !isStartup) this.handleLaunch(new URL(targetURL));
+      });
+    }
+  }
+  
+  // ?card=downtime (or #downtime) opens a card; ?action=stats runs a Quick
+  // Action, as the manifest shortcuts do
+  handleLaunch(url) {
+    const card = url.searchParams.get('card') || url.hash.slice(1);
+    const action = url.searchParams.get('action');
+    if (!card && !action) return;
+    
+    if (card) this.openCard(card);
+    if (action) this.runLaunchAction(action);
+    
+    // A reload should not run the action again
+    history.replaceState(null, '', window.location.pathname);
+  }
+  
+  openCard(name) {
+    const card = ['motion', 'limits', 'downtime', 'actions'].includes(name)
+      ? document.getElementById(`${name}-card`)
+      : null;
+    if (!card) {
+      this.log(`Unknown card in link: ${name}`);
+      return;
+    }
+    
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    card.classList.add('card-highlight');
+    setTimeout(() => card.classList.remove('card-highlight'), 2000);
+  }
+  
+  runLaunchAction(action) {
+    const actions = {
+      override: () => this.emergencyOverride(),
+      // Only ever pauses; a shortcut should not silently resume limits
+      pause: () => this.state.limitsPaused
+        ? this.showNotification('Limits are already paused', 'info')
+        : this.pauseAllLimits(),
+      reset: () => this.resetDay(),
+      stats: () => this.viewStats()
+    };
+    
+    if (!actions[action]) {
+      this.log(`Unknown action in link: ${action}`);
+      return;
+    }
+    this.log(`Launched with action: ${action}`);
+    actions[action]();
+  }
+  
   // Logging
   log(message) {
     const timestamp = new Date().toLocaleTimeString();
@@ -1050,9 +4202,4 @@ if (document.readyState === 'loading') {
   });
 } else {
   window.kaishengDashboard = new KaiShengDashboard();
-}
-
-// Service Worker for offline support (optional)
-if ('serviceWorker' in navigator) {
-  navigator.serviceWorker.register('/sw.js').catch(console.error);
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+//
+//  KaiSheng Date Utilities
+//  Local-calendar helpers shared by the dashboard modules
+//
+
+class DateUtils {
+  static get DAY_NAMES() {
+    return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  }
+  
+  // 'YYYY-MM-DD' in local time, matching the native apps' usage_<date> keys
+  static toKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+  
+  // Local midnight of a 'YYYY-MM-DD' key, or null when the key is malformed
+  static fromKey(key) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+    if (!match) return null;
+    
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return DateUtils.toKey(date) === key ? date : null;
+  }
+  
+  static startOfDay(date = new Date()) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+  
+  // Calendar arithmetic, so days stay whole across DST changes
+  static addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+  
+  // Monday of the week containing date
+  static startOfWeek(date = new Date()) {
+    const start = DateUtils.startOfDay(date);
+    const offset = (start.getDay() + 6) % 7;
+    return DateUtils.addDays(start, -offset);
+  }
+  
+  // Whole calendar days from a to b
+  static daysBetween(a, b) {
+    const start = DateUtils.startOfDay(a);
+    const end = DateUtils.startOfDay(b);
+    return Math.round((end - start) / 86400000);
+  }
+  
+  static dayName(date) {
+    return DateUtils.DAY_NAMES[date.getDay()];
+  }
+  
+  // The device time zone, e.g. 'Europe/Berlin'; falls back to the UTC offset
+  static timeZone(date = new Date()) {
+    const zone = typeof Intl !== 'undefined' ? Intl.DateTimeFormat().resolvedOptions().timeZone : null;
+    return zone || `UTC${-date.getTimezoneOffset() / 60}`;
+  }
+  
+  static formatShort(date) {
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  }
+}
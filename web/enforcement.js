@@ -0,0 +1,127 @@
+//
+//  KaiSheng Enforcement
+//  Decides whether an app may be used right now, and why not
+//
+
+// The engine runs an ordered list of rules over an app. Each rule returns a
+// reason ({ type, message }) when it blocks the app, or null. Rules read
+// from a context built once per evaluation round:
+//   { now, limits, groupLimits, getDailyLimit(limit), getUsage(appName),
+//     getGroupUsage(group), getCategory(appName), formatTime(seconds),
+//     limitsPaused, activeSchedules, focusBlock, walkingRestricted,
+//     activeOverride }
+class EnforcementEngine {
+  // Apps that must stay reachable, as in the Android DowntimeScheduler
+  static get CRITICAL_APPS() {
+    return ['Phone', 'Messages', 'Emergency', 'Health', 'SOS', 'Emergency Call', 'Medical ID', 'Settings'];
+  }
+  
+  static isCriticalApp(appName) {
+    return EnforcementEngine.CRITICAL_APPS.includes(appName);
+  }
+  
+  constructor() {
+    this.rules = [
+      { name: 'limit', check: (appName, context) => this.checkLimit(appName, context) },
+      { name: 'group', check: (appName, context) => this.checkGroupLimits(appName, context) },
+      { name: 'downtime', check: (appName, context) => this.checkDowntime(appName, context) },
+      { name: 'focus', check: (appName, context) => this.checkFocus(appName, context) },
+      { name: 'walking', check: (appName, context) => this.checkWalking(appName, context) }
+    ];
+  }
+  
+  addRule(name, check) {
+    this.rules.push({ name, check });
+  }
+  
+  evaluate(appName, context) {
+    if (EnforcementEngine.isCriticalApp(appName)) {
+      return { appName, allowed: true, reasons: [] };
+    }
+    
+    const reasons = this.rules
+      .map(rule => rule.check(appName, context))
+      .filter(Boolean);
+    
+    // An emergency override lifts every block; the reasons are kept for the log
+    if (reasons.length > 0 && context.activeOverride) {
+      return { appName, allowed: true, reasons, overridden: true };
+    }
+    
+    return { appName, allowed: reasons.length === 0, reasons };
+  }
+  
+  evaluateAll(appNames, context) {
+    const decisions = new Map();
+    appNames.forEach(appName => decisions.set(appName, this.evaluate(appName, context)));
+    return decisions;
+  }
+  
+  // Daily limit reached (mirrors AppUsageTracker.shouldBlockApp)
+  checkLimit(appName, context) {
+    if (context.limitsPaused) return null;
+    
+    const limit = context.limits.find(entry => entry.appName === appName);
+    if (!limit) return null;
+    
+    const dailyLimit = context.getDailyLimit(limit);
+    const usage = context.getUsage(appName);
+    if (usage < dailyLimit) return null;
+    
+    return {
+      type: 'limit',
+      message: `Daily limit of ${context.formatTime(dailyLimit)} reached`
+    };
+  }
+  
+  // Shared budget of a category or app group used up
+  checkGroupLimits(appName, context) {
+    if (context.limitsPaused) return null;
+    
+    const category = context.getCategory(appName);
+    const group = context.groupLimits.find(entry =>
+      LimitPolicy.isGroupMember(entry, appName, category) &&
+      context.getGroupUsage(entry) >= context.getDailyLimit(entry));
+    if (!group) return null;
+    
+    return {
+      type: 'group',
+      message: `Shared limit "${group.name}" of ${context.formatTime(context.getDailyLimit(group))} reached`
+    };
+  }
+  
+  // Active downtime (mirrors DowntimeScheduler.isAppBlocked); any active
+  // schedule that covers the app blocks it
+  checkDowntime(appName, context) {
+    const category = context.getCategory(appName);
+    const schedule = context.activeSchedules.find(entry =>
+      SchedulePolicy.blocksApp(entry, appName, category));
+    if (!schedule) return null;
+    
+    return {
+      type: 'downtime',
+      message: `Downtime "${schedule.name}" is active`
+    };
+  }
+  
+  // Work interval of a focus session; the block is shaped like a schedule
+  checkFocus(appName, context) {
+    const block = context.focusBlock;
+    if (!block || !SchedulePolicy.blocksApp(block, appName, context.getCategory(appName))) return null;
+    
+    return {
+      type: 'focus',
+      message: 'Focus session in progress'
+    };
+  }
+  
+  // Social media is off limits once the walking step threshold is passed
+  checkWalking(appName, context) {
+    if (!context.walkingRestricted || context.getCategory(appName) !== 'SOCIAL') return null;
+    
+    return {
+      type: 'walking',
+      message: 'Social media is restricted while walking'
+    };
+  }
+}
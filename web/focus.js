@@ -0,0 +1,190 @@
+//
+//  KaiSheng Focus Sessions
+//  Pomodoro-style work and break intervals that block distractions while you work
+//
+
+class FocusError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FocusError';
+  }
+}
+
+// A session runs cycles of work followed by a break, with no break after
+// the last cycle:
+//   { id, date, workMinutes, breakMinutes, cycles, blockedCategories,
+//     startedAt, endsAt, endedAt, status, completedCycles }
+// status is 'active', 'completed' or 'abandoned'. The current phase is
+// worked out from startedAt, so a session keeps time while the dashboard
+// is closed. During work intervals the session blocks its categories
+// through a schedule-shaped block, the same way downtime does.
+class FocusManager {
+  static get DEFAULTS() {
+    return { workMinutes: 25, breakMinutes: 5, cycles: 4, blockedCategories: ['SOCIAL', 'ENTERTAINMENT', 'GAMES'] };
+  }
+  
+  static get WORK_OPTIONS() {
+    return [15, 25, 45, 50, 90];
+  }
+  
+  static get BREAK_OPTIONS() {
+    return [5, 10, 15, 20];
+  }
+  
+  static get CYCLE_OPTIONS() {
+    return [1, 2, 3, 4, 6, 8];
+  }
+  
+  // Total length in minutes of cycles work intervals and the breaks between them
+  static getLength({ workMinutes, breakMinutes, cycles }) {
+    return cycles * workMinutes + (cycles - 1) * breakMinutes;
+  }
+  
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.sessions = [];
+    this.loadIssues = [];
+  }
+  
+  async load(now = new Date()) {
+    this.sessions = [];
+    this.loadIssues = [];
+    try {
+      const { items, issues } = StateSerializer.deserializeList('focus', await this.storage.loadFocusSessions());
+      this.sessions = items.sort((a, b) => a.startedAt - b.startedAt);
+      this.loadIssues = issues;
+      
+      // Sessions that ran their course while the dashboard was closed
+      this.expire(now);
+    } catch (error) {
+      console.warn('Failed to load focus sessions:', error);
+    }
+    return this;
+  }
+  
+  persist(session) {
+    if (this.storage) {
+      this.storage.saveFocusSession(StateSerializer.serializeFocusSession(session));
+    }
+  }
+  
+  getActive(now = new Date()) {
+    return this.sessions.find(session => session.status === 'active' && session.endsAt > now) || null;
+  }
+  
+  // Where the active session is: { session, phase, cycle, startsAt, endsAt,
+  // remaining, progress } with phase 'work' or 'break', cycle counted from
+  // 1, remaining in seconds and progress through the phase from 0 to 1.
+  // Null when nothing is running.
+  getPhase(now = new Date()) {
+    const session = this.getActive(now);
+    if (!session) return null;
+    
+    const cycleLength = (session.workMinutes + session.breakMinutes) * 60000;
+    const elapsed = now - session.startedAt;
+    const index = Math.floor(elapsed / cycleLength);
+    const cycleStart = session.startedAt.getTime() + index * cycleLength;
+    const workEnd = cycleStart + session.workMinutes * 60000;
+    
+    const phase = now.getTime() < workEnd ? 'work' : 'break';
+    const startsAt = new Date(phase === 'work' ? cycleStart : workEnd);
+    const endsAt = new Date(phase === 'work' ? workEnd : cycleStart + cycleLength);
+    return {
+      session,
+      phase,
+      cycle: index + 1,
+      startsAt,
+      endsAt,
+      remaining: Math.ceil((endsAt - now) / 1000),
+      progress: (now - startsAt) / (endsAt - startsAt)
+    };
+  }
+  
+  // What the session blocks right now, shaped like a downtime schedule for
+  // SchedulePolicy.blocksApp, or null outside work intervals
+  getBlock(now = new Date()) {
+    const phase = this.getPhase(now);
+    if (!phase || phase.phase !== 'work') return null;
+    
+    return {
+      name: 'Focus session',
+      blockedApps: [],
+      blockedCategories: phase.session.blockedCategories,
+      allowedApps: [],
+      blockEntireDevice: false
+    };
+  }
+  
+  start(config, now = new Date()) {
+    if (this.getActive(now)) {
+      throw new FocusError('A focus session is already running');
+    }
+    
+    const { workMinutes, breakMinutes, cycles } = config;
+    if (!Number.isInteger(workMinutes) || workMinutes <= 0) {
+      throw new FocusError('Choose how long each work interval lasts');
+    }
+    if (!Number.isInteger(breakMinutes) || breakMinutes < 0) {
+      throw new FocusError('Choose how long each break lasts');
+    }
+    if (!Number.isInteger(cycles) || cycles <= 0) {
+      throw new FocusError('Choose how many cycles to run');
+    }
+    const blockedCategories = (config.blockedCategories || []).filter(category => StateSerializer.CATEGORIES.includes(category));
+    if (blockedCategories.length === 0) {
+      throw new FocusError('Choose at least one category to block');
+    }
+    
+    const session = {
+      id: StateSerializer.generateId(),
+      date: DateUtils.toKey(now),
+      workMinutes,
+      breakMinutes,
+      cycles,
+      blockedCategories,
+      startedAt: new Date(now.getTime()),
+      endsAt: new Date(now.getTime() + FocusManager.getLength({ workMinutes, breakMinutes, cycles }) * 60000),
+      endedAt: null,
+      status: 'active',
+      completedCycles: 0
+    };
+    
+    this.sessions.push(session);
+    this.persist(session);
+    return session;
+  }
+  
+  // Give up on the active session; work intervals already finished still count
+  abandon(now = new Date()) {
+    const phase = this.getPhase(now);
+    if (!phase) return null;
+    
+    const session = phase.session;
+    session.endedAt = new Date(now.getTime());
+    session.status = 'abandoned';
+    session.completedCycles = phase.phase === 'break' ? phase.cycle : phase.cycle - 1;
+    this.persist(session);
+    return session;
+  }
+  
+  // Complete sessions whose last work interval has ended; returns them
+  expire(now = new Date()) {
+    const finished = this.sessions.filter(session => session.status === 'active' && session.endsAt <= now);
+    finished.forEach(session => {
+      session.endedAt = new Date(session.endsAt.getTime());
+      session.status = 'completed';
+      session.completedCycles = session.cycles;
+      this.persist(session);
+    });
+    return finished;
+  }
+  
+  // Newest first, optionally limited to days on or after a day key
+  getLog(sinceKey = null) {
+    return this.sessions
+      .filter(session => !sinceKey || session.date >= sinceKey)
+      .slice()
+      .reverse()
+      .map(session => ({ ...session }));
+  }
+}
@@ -0,0 +1,280 @@
+//
+//  KaiSheng Guardian Mode
+//  PIN-protected destructive actions, with lockout and requests for more time
+//
+
+class GuardianError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GuardianError';
+  }
+}
+
+// The PIN is never stored, only a salted PBKDF2-SHA-256 hash derived with
+// WebCrypto. After MAX_ATTEMPTS wrong PINs in a row, entry locks for the
+// next step of LOCKOUT_MINUTES; a right PIN resets both. A right PIN also
+// unlocks protected actions for UNLOCK_MINUTES, in memory only, so a
+// reload locks them again.
+//
+// Requests for more time:
+//   { id, date, appName, minutes, reason, status, requestedAt, decidedAt }
+// status is 'pending', 'approved' or 'denied'. Approved minutes are added
+// to the app's limit on the day of the request.
+class GuardianLock {
+  static get ITERATIONS() {
+    return 310000;
+  }
+  
+  static get MIN_PIN_LENGTH() {
+    return 4;
+  }
+  
+  static get MAX_ATTEMPTS() {
+    return 5;
+  }
+  
+  static get LOCKOUT_MINUTES() {
+    return [1, 5, 15, 60];
+  }
+  
+  static get UNLOCK_MINUTES() {
+    return 5;
+  }
+  
+  static get REQUEST_OPTIONS() {
+    return [15, 30, 60];
+  }
+  
+  // Answered requests are kept this long
+  static get HISTORY_DAYS() {
+    return 30;
+  }
+  
+  static isSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+  }
+  
+  static emptyState() {
+    return {
+      hash: null,
+      salt: null,
+      iterations: GuardianLock.ITERATIONS,
+      failedAttempts: 0,
+      lockouts: 0,
+      lockedUntil: null,
+      requests: []
+    };
+  }
+  
+  static toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+  
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+  
+  static async derive(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return GuardianLock.toBase64(new Uint8Array(bits));
+  }
+  
+  // Looks at every character, so the time taken doesn't tell how much matched
+  static equals(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+  
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.state = GuardianLock.emptyState();
+    this.unlockedUntil = null;
+  }
+  
+  get isEnabled() {
+    return Boolean(this.state.hash);
+  }
+  
+  async load(now = new Date()) {
+    try {
+      const saved = this.storage ? await this.storage.loadGuardianState() : null;
+      if (saved) {
+        this.state = { ...GuardianLock.emptyState(), ...saved };
+      }
+      
+      const cutoff = DateUtils.toKey(DateUtils.addDays(DateUtils.startOfDay(now), -GuardianLock.HISTORY_DAYS));
+      this.state.requests = this.state.requests.filter(request => request.status === 'pending' || request.date >= cutoff);
+    } catch (error) {
+      console.warn('Failed to load guardian settings:', error);
+    }
+    return this;
+  }
+  
+  persist() {
+    if (this.storage) {
+      this.storage.saveGuardianState(this.state);
+    }
+  }
+  
+  // Protected actions may go ahead without asking
+  isUnlocked(now = new Date()) {
+    return !this.isEnabled || (this.unlockedUntil !== null && now < this.unlockedUntil);
+  }
+  
+  lock() {
+    this.unlockedUntil = null;
+  }
+  
+  // Milliseconds until PIN entry opens again, 0 when it isn't locked
+  getLockRemaining(now = new Date()) {
+    const until = this.state.lockedUntil ? new Date(this.state.lockedUntil) : null;
+    return until && until > now ? until - now : 0;
+  }
+  
+  getAttemptsLeft() {
+    return GuardianLock.MAX_ATTEMPTS - this.state.failedAttempts;
+  }
+  
+  // Turn guardian mode on, or change the PIN while unlocked
+  async setPin(pin, now = new Date()) {
+    if (this.isEnabled && !this.isUnlocked(now)) {
+      throw new GuardianError('Enter the current guardian PIN first');
+    }
+    if (typeof pin !== 'string' || pin.length < GuardianLock.MIN_PIN_LENGTH) {
+      throw new GuardianError(`The PIN needs at least ${GuardianLock.MIN_PIN_LENGTH} characters`);
+    }
+    if (!GuardianLock.isSupported()) {
+      throw new GuardianError('This browser cannot store a PIN securely');
+    }
+    
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    this.state = {
+      ...this.state,
+      hash: await GuardianLock.derive(pin, salt, GuardianLock.ITERATIONS),
+      salt: GuardianLock.toBase64(salt),
+      iterations: GuardianLock.ITERATIONS,
+      failedAttempts: 0,
+      lockouts: 0,
+      lockedUntil: null
+    };
+    this.unlockedUntil = new Date(now.getTime() + GuardianLock.UNLOCK_MINUTES * 60000);
+    this.persist();
+  }
+  
+  disable(now = new Date()) {
+    if (!this.isUnlocked(now)) {
+      throw new GuardianError('Enter the guardian PIN first');
+    }
+    
+    this.state = { ...GuardianLock.emptyState(), requests: this.state.requests.filter(request => request.status !== 'pending') };
+    this.unlockedUntil = null;
+    this.persist();
+  }
+  
+  // Check a PIN; a right one unlocks and resolves to true
+  async verify(pin, now = new Date()) {
+    if (!this.isEnabled) return true;
+    
+    const remaining = this.getLockRemaining(now);
+    if (remaining > 0) {
+      throw new GuardianError(`Too many wrong attempts. Try again in ${Math.ceil(remaining / 60000)} min.`);
+    }
+    
+    const hash = await GuardianLock.derive(String(pin), GuardianLock.fromBase64(this.state.salt), this.state.iterations);
+    if (GuardianLock.equals(hash, this.state.hash)) {
+      this.state.failedAttempts = 0;
+      this.state.lockouts = 0;
+      this.state.lockedUntil = null;
+      this.unlockedUntil = new Date(now.getTime() + GuardianLock.UNLOCK_MINUTES * 60000);
+      this.persist();
+      return true;
+    }
+    
+    this.state.failedAttempts += 1;
+    if (this.state.failedAttempts >= GuardianLock.MAX_ATTEMPTS) {
+      const steps = GuardianLock.LOCKOUT_MINUTES;
+      const minutes = steps[Math.min(this.state.lockouts, steps.length - 1)];
+      this.state.lockedUntil = new Date(now.getTime() + minutes * 60000).toISOString();
+      this.state.lockouts += 1;
+      this.state.failedAttempts = 0;
+    }
+    this.persist();
+    return false;
+  }
+  
+  // Requests for more time
+  
+  requestTime({ appName, minutes, reason = '' }, now = new Date()) {
+    if (!this.isEnabled) {
+      throw new GuardianError('Guardian mode is off');
+    }
+    if (typeof appName !== 'string' || !appName) {
+      throw new GuardianError('Choose an app');
+    }
+    if (!GuardianLock.REQUEST_OPTIONS.includes(minutes)) {
+      throw new GuardianError('Choose how much time to ask for');
+    }
+    if (this.getPending(now).some(request => request.appName === appName)) {
+      throw new GuardianError(`A request for ${appName} is already waiting`);
+    }
+    
+    const request = {
+      id: StateSerializer.generateId(),
+      date: DateUtils.toKey(now),
+      appName,
+      minutes,
+      reason: String(reason).trim().slice(0, 140),
+      status: 'pending',
+      requestedAt: now.toISOString(),
+      decidedAt: null
+    };
+    this.state.requests.push(request);
+    this.persist();
+    return { ...request };
+  }
+  
+  // The guardian's answer; needs the PIN to have been entered
+  decide(requestId, approved, now = new Date()) {
+    if (!this.isUnlocked(now)) {
+      throw new GuardianError('Enter the guardian PIN first');
+    }
+    
+    const request = this.state.requests.find(entry => entry.id === requestId && entry.status === 'pending');
+    if (!request) {
+      throw new GuardianError('That request has already been answered');
+    }
+    
+    request.status = approved ? 'approved' : 'denied';
+    request.decidedAt = now.toISOString();
+    this.persist();
+    return { ...request };
+  }
+  
+  // Today's requests still waiting; older ones no longer matter
+  getPending(now = new Date()) {
+    return this.getRequests(now).filter(request => request.status === 'pending');
+  }
+  
+  // Today's requests, newest first
+  getRequests(now = new Date()) {
+    const today = DateUtils.toKey(now);
+    return this.state.requests
+      .filter(request => request.date === today)
+      .slice()
+      .reverse()
+      .map(request => ({ ...request }));
+  }
+  
+  // Approved extra time for an app on a day, in seconds
+  getExtraTime(appName, date = new Date()) {
+    const key = DateUtils.toKey(date);
+    return this.state.requests
+      .filter(request => request.status === 'approved' && request.appName === appName && request.date === key)
+      .reduce((total, request) => total + request.minutes * 60, 0);
+  }
+}
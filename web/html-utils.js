@@ -0,0 +1,16 @@
+//
+//  KaiSheng HTML Utilities
+//  Escaping shared by every module that builds markup from user text
+//
+
+class HTMLUtils {
+  // Safe in element content and in quoted attribute values
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
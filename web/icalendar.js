@@ -0,0 +1,470 @@
+//
+//  KaiSheng iCalendar
+//  RFC 5545 export and import of downtime schedules, entirely offline
+//
+
+class ICalendarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ICalendarError';
+  }
+}
+
+// Each schedule is one VEVENT. Start and end are written as floating local
+// times, which is what a schedule means: 21:00 wherever the device is.
+// Recurring schedules carry RRULE:FREQ=WEEKLY;BYDAY=..., with UNTIL for an
+// end date and EXDATE for skipped dates. What the schedule blocks travels in
+// X-KAISHENG-* properties that other calendars ignore.
+//
+// Importing reads VEVENTs with a time of day: one-off events, and DAILY or
+// WEEKLY rules with an interval of 1 (BYDAY maps to recurringDays, COUNT
+// and UNTIL to endDate). UTC and TZID times are converted to local time.
+// Events that cannot be a downtime schedule are skipped with a reason.
+class ICalendar {
+  static get PRODID() {
+    return '-//KaiSheng//Downtime Schedules//EN';
+  }
+  
+  static get DAY_CODES() {
+    return { Sun: 'SU', Mon: 'MO', Tue: 'TU', Wed: 'WE', Thu: 'TH', Fri: 'FR', Sat: 'SA' };
+  }
+  
+  // Export
+  
+  static fromSchedules(schedules, now = new Date()) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${ICalendar.PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:KaiSheng Downtime',
+      ...schedules.flatMap(schedule => ICalendar.scheduleToEvent(schedule, now)),
+      'END:VCALENDAR'
+    ];
+    return lines.map(ICalendar.foldLine).join('\r\n') + '\r\n';
+  }
+  
+  static scheduleToEvent(schedule, now = new Date()) {
+    const first = ICalendar.firstOccurrence(schedule);
+    const start = SchedulePolicy.clockMinutes(schedule.startTime);
+    const end = SchedulePolicy.clockMinutes(schedule.endTime);
+    const endDay = end <= start ? DateUtils.addDays(first, 1) : first;
+    const text = ICalendar.escapeText;
+    
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${schedule.id}@kaisheng`,
+      `DTSTAMP:${ICalendar.formatUTC(now)}`,
+      `SUMMARY:${text(schedule.name)}`,
+      `DTSTART:${ICalendar.formatLocal(first, start)}`,
+      `DTEND:${ICalendar.formatLocal(endDay, end)}`,
+      `DESCRIPTION:${text(SchedulePolicy.describeTargets(schedule, AppCatalog.categoryLabel))}`
+    ];
+    
+    if (schedule.isRecurring) {
+      const days = Array.from(schedule.recurringDays).map(day => ICalendar.DAY_CODES[day]);
+      const until = schedule.endDate ? `;UNTIL=${schedule.endDate.replace(/-/g, '')}T235959` : '';
+      lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${days.join(',')}${until}`);
+      
+      if (schedule.exceptionDates.length > 0) {
+        const dates = schedule.exceptionDates.map(key => ICalendar.formatLocal(DateUtils.fromKey(key), start));
+        lines.push(`EXDATE:${dates.join(',')}`);
+      }
+    }
+    
+    lines.push(`X-KAISHENG-BLOCK-DEVICE:${schedule.blockEntireDevice ? 'TRUE' : 'FALSE'}`);
+    [
+      ['X-KAISHENG-BLOCKED-APPS', schedule.blockedApps],
+      ['X-KAISHENG-BLOCKED-CATEGORIES', schedule.blockedCategories],
+      ['X-KAISHENG-ALLOWED-APPS', schedule.allowedApps]
+    ].forEach(([name, values]) => {
+      if (values.length > 0) {
+        lines.push(`${name}:${values.map(text).join(',')}`);
+      }
+    });
+    if (!SchedulePolicy.isEnabled(schedule)) {
+      lines.push('X-KAISHENG-ENABLED:FALSE');
+    }
+    
+    lines.push('END:VEVENT');
+    return lines;
+  }
+  
+  // DTSTART must be an occurrence: the first scheduled day on or after the
+  // start date (or the day the schedule was created)
+  static firstOccurrence(schedule) {
+    if (!schedule.isRecurring) {
+      return DateUtils.fromKey(schedule.date);
+    }
+    
+    const from = DateUtils.fromKey(schedule.startDate) || DateUtils.startOfDay(schedule.createdAt || new Date());
+    for (let offset = 0; offset < 7; offset++) {
+      const day = DateUtils.addDays(from, offset);
+      if (schedule.recurringDays.has(DateUtils.dayName(day))) return day;
+    }
+    return from;
+  }
+  
+  static formatLocal(day, minutes) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${DateUtils.toKey(day).replace(/-/g, '')}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+  }
+  
+  static formatUTC(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+  
+  static escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+  
+  // Content lines are folded at 75 octets, continuing with a space
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      const limit = parts.length === 0 ? 75 : 74;
+      if (size + bytes > limit) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+  
+  static download(text) {
+    const stamp = DateUtils.toKey(new Date());
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kaisheng-downtime-${stamp}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  // Import
+  
+  // Returns { events: [{ schedule, hasTargets }], skipped: [{ name, reason }] }.
+  // Schedules are in the stored shape, ready for StateSerializer; hasTargets
+  // is false when the event did not say what to block.
+  static parse(text, now = new Date()) {
+    const lines = ICalendar.unfold(text);
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line))) {
+      throw new ICalendarError('Not an iCalendar file');
+    }
+    
+    const events = [];
+    const skipped = [];
+    let current = null;
+    
+    lines.forEach(line => {
+      if (/^BEGIN:VEVENT$/i.test(line)) {
+        current = [];
+      } else if (/^END:VEVENT$/i.test(line)) {
+        const properties = current;
+        current = null;
+        const name = ICalendar.getText(properties, 'SUMMARY') || 'Imported downtime';
+        try {
+          events.push(ICalendar.eventToSchedule(properties, name, now));
+        } catch (error) {
+          if (!(error instanceof ICalendarError)) throw error;
+          skipped.push({ name, reason: error.message });
+        }
+      } else if (current) {
+        const property = ICalendar.parseLine(line);
+        if (property) current.push(property);
+      }
+    });
+    
+    return { events, skipped };
+  }
+  
+  static unfold(text) {
+    return String(text)
+      .replace(/\r\n[ \t]/g, '')
+      .replace(/\n[ \t]/g, '')
+      .split(/\r?\n/)
+      .filter(line => line.trim());
+  }
+  
+  // NAME;PARAM=VALUE:value, with quoted parameter values allowed
+  static parseLine(line) {
+    const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/.exec(line);
+    if (!match) return null;
+    
+    const params = {};
+    (match[2].match(/;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*)/g) || []).forEach(param => {
+      const [key, ...rest] = param.slice(1).split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+  }
+  
+  static getProperty(properties, name) {
+    return properties.find(property => property.name === name) || null;
+  }
+  
+  static getText(properties, name) {
+    const property = ICalendar.getProperty(properties, name);
+    return property ? ICalendar.unescapeText(property.value).trim() : '';
+  }
+  
+  static unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+  
+  // Split a TEXT list on commas that are not escaped
+  static splitList(value) {
+    return (value.match(/(?:\\.|[^,])+/g) || []).map(item => ICalendar.unescapeText(item).trim()).filter(Boolean);
+  }
+  
+  static eventToSchedule(properties, name, now) {
+    const status = ICalendar.getText(properties, 'STATUS').toUpperCase();
+    if (status === 'CANCELLED') {
+      throw new ICalendarError('event is cancelled');
+    }
+    
+    const startProperty = ICalendar.getProperty(properties, 'DTSTART');
+    const start = startProperty && ICalendar.parseDateTime(startProperty);
+    if (!start) {
+      throw new ICalendarError('missing or invalid start');
+    }
+    if (start.isDate) {
+      throw new ICalendarError('all-day events have no downtime hours');
+    }
+    
+    const endProperty = ICalendar.getProperty(properties, 'DTEND');
+    const durationProperty = ICalendar.getProperty(properties, 'DURATION');
+    let end = null;
+    if (endProperty) {
+      const parsed = ICalendar.parseDateTime(endProperty);
+      end = parsed && !parsed.isDate ? parsed.date : null;
+    } else if (durationProperty) {
+      const duration = ICalendar.parseDuration(durationProperty.value);
+      end = duration ? new Date(start.date.getTime() + duration) : null;
+    }
+    if (!end || end <= start.date) {
+      throw new ICalendarError('missing or invalid end');
+    }
+    if (end - start.date >= 86400000) {
+      throw new ICalendarError('lasts a day or longer');
+    }
+    
+    const schedule = {
+      id: ICalendar.importId(ICalendar.getText(properties, 'UID')),
+      name,
+      startTime: StateSerializer.serializeClock(start.date),
+      endTime: StateSerializer.serializeClock(end),
+      isRecurring: false,
+      recurringDays: [],
+      date: null,
+      startDate: null,
+      endDate: null,
+      exceptionDates: [],
+      blockedApps: [],
+      blockedCategories: [],
+      allowedApps: [],
+      blockEntireDevice: false,
+      isEnabled: ICalendar.getText(properties, 'X-KAISHENG-ENABLED').toUpperCase() !== 'FALSE',
+      createdAt: new Date(now.getTime())
+    };
+    if (schedule.startTime === schedule.endTime) {
+      throw new ICalendarError('lasts a day or longer');
+    }
+    
+    const startKey = DateUtils.toKey(start.date);
+    const rule = ICalendar.getProperty(properties, 'RRULE');
+    if (rule) {
+      Object.assign(schedule, ICalendar.parseRule(rule.value, start));
+      schedule.isRecurring = true;
+      schedule.startDate = startKey;
+      schedule.exceptionDates = properties
+        .filter(property => property.name === 'EXDATE')
+        .flatMap(property => property.value.split(',').map(value => ICalendar.parseDateTime({ ...property, value })))
+        .filter(Boolean)
+        .map(exception => DateUtils.toKey(exception.date));
+      
+      if (schedule.endDate && schedule.endDate < DateUtils.toKey(now)) {
+        throw new ICalendarError('recurrence has already ended');
+      }
+    } else {
+      schedule.date = startKey;
+      if (end <= now) {
+        throw new ICalendarError('event is already over');
+      }
+    }
+    
+    // What to block, when the event came from KaiSheng
+    const blockDevice = ICalendar.getProperty(properties, 'X-KAISHENG-BLOCK-DEVICE');
+    const lists = {
+      blockedApps: ICalendar.getProperty(properties, 'X-KAISHENG-BLOCKED-APPS'),
+      blockedCategories: ICalendar.getProperty(properties, 'X-KAISHENG-BLOCKED-CATEGORIES'),
+      allowedApps: ICalendar.getProperty(properties, 'X-KAISHENG-ALLOWED-APPS')
+    };
+    Object.entries(lists).forEach(([field, property]) => {
+      if (property) schedule[field] = ICalendar.splitList(property.value);
+    });
+    schedule.blockEntireDevice = Boolean(blockDevice) && blockDevice.value.toUpperCase() === 'TRUE';
+    
+    return { schedule, hasTargets: Boolean(blockDevice) || Object.values(lists).some(Boolean) };
+  }
+  
+  // Events exported from KaiSheng keep their id so importing them again
+  // updates the same schedule
+  static importId(uid) {
+    const match = /^(.+)@kaisheng$/.exec(uid);
+    return match && StateSerializer.isUUID(match[1]) ? match[1] : StateSerializer.generateId();
+  }
+  
+  // { recurringDays, endDate } from an RRULE value
+  static parseRule(value, start) {
+    const parts = {};
+    value.split(';').forEach(part => {
+      const [key, rest] = part.split('=');
+      if (key && rest !== undefined) parts[key.toUpperCase()] = rest.toUpperCase();
+    });
+    
+    if (parts.FREQ !== 'WEEKLY' && parts.FREQ !== 'DAILY') {
+      throw new ICalendarError(`${(parts.FREQ || 'unknown').toLowerCase()} recurrence is not supported`);
+    }
+    if (parts.INTERVAL && parts.INTERVAL !== '1') {
+      throw new ICalendarError('only rules repeating every week or day are supported');
+    }
+    
+    // BYDAY is in the event's own time zone; converting the start to local
+    // time may have moved it to a neighbouring day
+    const codes = Object.entries(ICalendar.DAY_CODES);
+    const shift = start.dayShift || 0;
+    let recurringDays;
+    if (parts.FREQ === 'DAILY') {
+      recurringDays = DateUtils.DAY_NAMES.slice();
+    } else if (parts.BYDAY) {
+      recurringDays = parts.BYDAY.split(',').map(entry => {
+        if (!/^[A-Z]{2}$/.test(entry)) {
+          throw new ICalendarError(`unsupported BYDAY value ${entry}`);
+        }
+        const index = codes.findIndex(([, code]) => code === entry);
+        if (index === -1) {
+          throw new ICalendarError(`unknown day ${entry}`);
+        }
+        return codes[(index + shift + 7) % 7][0];
+      });
+    } else {
+      recurringDays = [DateUtils.dayName(start.date)];
+    }
+    
+    let endDate = null;
+    if (parts.UNTIL) {
+      const until = ICalendar.parseDateTime({ params: {}, value: parts.UNTIL });
+      if (!until) {
+        throw new ICalendarError('invalid UNTIL');
+      }
+      endDate = DateUtils.toKey(until.date);
+    } else if (parts.COUNT) {
+      endDate = ICalendar.countToEndDate(Number(parts.COUNT), start.date, recurringDays);
+    }
+    
+    return { recurringDays, endDate };
+  }
+  
+  // The day of the COUNT-th occurrence
+  static countToEndDate(count, start, recurringDays) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new ICalendarError('invalid COUNT');
+    }
+    
+    let seen = 0;
+    for (let offset = 0; offset < count * 7; offset++) {
+      const day = DateUtils.addDays(DateUtils.startOfDay(start), offset);
+      if (recurringDays.includes(DateUtils.dayName(day)) && ++seen === count) {
+        return DateUtils.toKey(day);
+      }
+    }
+    return null;
+  }
+  
+  // { date, isDate, dayShift } in local time from a DATE or DATE-TIME
+  // property, or null. Floating times are taken as local; UTC and TZID
+  // times are converted (an unknown TZID is treated as floating).
+  static parseDateTime(property) {
+    const value = property.value.trim();
+    const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+    if (dateOnly) {
+      const date = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+      return { date, isDate: true, dayShift: 0 };
+    }
+    
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+    if (!match) return null;
+    
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+    let date;
+    if (match[7]) {
+      date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    } else if (property.params.TZID) {
+      date = ICalendar.fromTimeZone([year, month - 1, day, hours, minutes, seconds], property.params.TZID);
+    }
+    date = date || new Date(year, month - 1, day, hours, minutes, seconds);
+    if (isNaN(date)) return null;
+    
+    const dayShift = DateUtils.daysBetween(new Date(year, month - 1, day), date);
+    return { date, isDate: false, dayShift };
+  }
+  
+  // The instant a wall-clock time in timeZone names, or null when the zone
+  // is unknown to this browser
+  static fromTimeZone(fields, timeZone) {
+    let format;
+    try {
+      format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch (error) {
+      return null;
+    }
+    
+    const offsetAt = (instant) => {
+      const parts = {};
+      format.formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = Number(part.value);
+      });
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    };
+    
+    // A second pass settles times next to the zone's DST changes
+    const wallClock = Date.UTC(...fields);
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+    return new Date(instant);
+  }
+  
+  // Milliseconds in a DURATION such as PT1H30M, or null
+  static parseDuration(value) {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  }
+}
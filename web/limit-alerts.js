@@ -0,0 +1,112 @@
+//
+//  KaiSheng Limit Alerts
+//  Escalating usage warnings that fire once per app per day
+//
+
+// Each limit escalates through up to three levels: the warning threshold
+// (the user's choice, or the limit's own warningThreshold), the optional
+// final warning at 95% and the limit itself. A level fires at most once per
+// app per day; when usage jumps past several levels at once only the highest
+// is announced. The fired levels are kept per day so a reload stays quiet.
+// Levels are tracked per limit.alertKey, falling back to the app name.
+class LimitAlerts {
+  // Warning choices, matching the iOS Settings picker
+  static get THRESHOLD_OPTIONS() {
+    return [70, 80, 90];
+  }
+  
+  static get FINAL_THRESHOLD() {
+    return 95;
+  }
+  
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 80;
+    this.finalWarning = options.finalWarning ?? true;
+    this.date = DateUtils.toKey(new Date());
+    this.sent = {};
+  }
+  
+  // A limit's own threshold may be any percentage the schema allows, such as
+  // 75 set on another device; THRESHOLD_OPTIONS is only what the pickers offer
+  getThreshold(limit) {
+    const own = limit.warningThreshold;
+    return Number.isInteger(own) && own > 0 && own < 100 ? own : this.threshold;
+  }
+  
+  // Levels for a limit, lowest first
+  getLevels(limit) {
+    const levels = [{ level: 'warning', percent: this.getThreshold(limit) }];
+    if (this.finalWarning) {
+      levels.push({ level: 'final', percent: LimitAlerts.FINAL_THRESHOLD });
+    }
+    levels.push({ level: 'exceeded', percent: 100 });
+    return levels;
+  }
+  
+  // Display state for a progress bar: ok, warning, danger or exceeded
+  getStatus(limit, usage, dailyLimit = limit.dailyLimit) {
+    const percent = dailyLimit > 0 ? (usage / dailyLimit) * 100 : 0;
+    if (percent >= 100) return 'exceeded';
+    if (percent >= LimitAlerts.FINAL_THRESHOLD) return 'danger';
+    if (percent >= this.getThreshold(limit)) return 'warning';
+    return 'ok';
+  }
+  
+  // Mark every level crossed by today's usage as sent and return the highest
+  // one that had not been sent yet, or null
+  check(limit, usage, dailyLimit = limit.dailyLimit, now = new Date()) {
+    this.rollover(now);
+    if (dailyLimit <= 0) return null;
+    
+    const key = limit.alertKey || limit.appName;
+    const percent = (usage / dailyLimit) * 100;
+    const sent = this.sent[key] || [];
+    const crossed = this.getLevels(limit).filter(entry => percent >= entry.percent);
+    const fresh = crossed.filter(entry => !sent.includes(entry.level));
+    if (fresh.length === 0) return null;
+    
+    this.sent[key] = Array.from(new Set([...sent, ...crossed.map(entry => entry.level)]));
+    
+    const highest = fresh[fresh.length - 1];
+    return {
+      appName: limit.appName,
+      level: highest.level,
+      threshold: highest.percent,
+      percent: Math.floor(percent),
+      remaining: Math.max(0, dailyLimit - usage)
+    };
+  }
+  
+  // Forget an app's alerts for today, e.g. when its usage is reset
+  reset(appName = null) {
+    if (appName) {
+      delete this.sent[appName];
+    } else {
+      this.sent = {};
+    }
+  }
+  
+  rollover(now = new Date()) {
+    const today = DateUtils.toKey(now);
+    if (today !== this.date) {
+      this.date = today;
+      this.sent = {};
+    }
+  }
+  
+  toJSON() {
+    return { date: this.date, sent: this.sent };
+  }
+  
+  restore(saved, now = new Date()) {
+    this.date = DateUtils.toKey(now);
+    this.sent = {};
+    if (saved && saved.date === this.date && saved.sent && typeof saved.sent === 'object') {
+      Object.entries(saved.sent).forEach(([appName, levels]) => {
+        if (Array.isArray(levels)) {
+          this.sent[appName] = levels.filter(level => typeof level === 'string');
+        }
+      });
+    }
+  }
+}
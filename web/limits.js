@@ -0,0 +1,66 @@
+//
+//  KaiSheng Limit Policy
+//  Which allowance an app limit grants on a given day
+//
+
+// A limit's dailyLimit applies every day unless weekdayLimits has an entry
+// for that day, e.g. { Sat: 7200, Sun: 7200 }. Day names follow
+// DateUtils.DAY_NAMES. Disabled limits (isEnabled === false) are kept but
+// neither counted nor enforced.
+//
+// Group limits have the same allowance fields but share one budget across
+// their members: every app in a category (kind 'category') or a fixed list
+// of apps (kind 'apps').
+class LimitPolicy {
+  // Display order for the weekday editor
+  static get WEEK_ORDER() {
+    return ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  }
+  
+  static isEnabled(limit) {
+    return limit.isEnabled !== false;
+  }
+  
+  static getEffectiveLimit(limit, date = new Date()) {
+    return LimitPolicy.getDayLimit(limit, DateUtils.dayName(date));
+  }
+  
+  static getDayLimit(limit, day) {
+    const weekdayLimit = limit.weekdayLimits ? limit.weekdayLimits[day] : undefined;
+    return Number.isFinite(weekdayLimit) && weekdayLimit > 0 ? weekdayLimit : limit.dailyLimit;
+  }
+  
+  // Whether a change stops a limit counting or allows more time on any day;
+  // those need the guardian PIN, while tightening never does
+  static isLooser(before, after) {
+    if (LimitPolicy.isEnabled(before) && !LimitPolicy.isEnabled(after)) return true;
+    return LimitPolicy.WEEK_ORDER.some(day => LimitPolicy.getDayLimit(after, day) > LimitPolicy.getDayLimit(before, day));
+  }
+  
+  static hasWeekdayLimits(limit) {
+    return Boolean(limit.weekdayLimits) && Object.keys(limit.weekdayLimits).length > 0;
+  }
+  
+  static getEnabledLimits(limits) {
+    return limits.filter(limit => LimitPolicy.isEnabled(limit));
+  }
+  
+  static isGroupMember(group, appName, category) {
+    return group.kind === 'category'
+      ? category === group.category
+      : group.apps.includes(appName);
+  }
+  
+  // Combined usage of a group's members in a list of AppUsage records
+  static getGroupUsage(group, records) {
+    return records
+      .filter(record => LimitPolicy.isGroupMember(group, record.appName, record.category))
+      .reduce((total, record) => total + record.usageTime, 0);
+  }
+  
+  static describeGroup(group) {
+    return group.kind === 'category'
+      ? `All ${group.category.toLowerCase()} apps`
+      : group.apps.join(' + ');
+  }
+}
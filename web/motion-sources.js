@@ -0,0 +1,325 @@
+//
+//  KaiSheng Motion Sources
+//  Interchangeable accelerometer backends: device sensors, simulator and trace replay
+//
+
+// Every source emits { t, x, y, z } samples (t in ms, acceleration in m/s²
+// including gravity) through handlers.onSample, and exposes now() so the
+// dashboard can measure durations in the source's own clock.
+
+class DeviceMotionSource {
+  constructor(options = {}) {
+    this.name = 'device';
+    this.options = {
+      // How long to wait for a first sample before giving up
+      detectionTimeout: 2000,
+      ...options
+    };
+    this.handler = null;
+    this.detectionTimer = null;
+    this.receivedSample = false;
+    // Bumped by every start and stop, so a start still waiting for
+    // permission can tell it has been stopped or superseded
+    this.generation = 0;
+  }
+  
+  static isSupported() {
+    return typeof DeviceMotionEvent !== 'undefined';
+  }
+  
+  async start(handlers) {
+    const generation = ++this.generation;
+    if (!DeviceMotionSource.isSupported()) {
+      handlers.onUnavailable?.('Device motion is not supported in this browser');
+      return;
+    }
+    
+    // iOS asks for permission first
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      let permission = null;
+      try {
+        permission = await DeviceMotionEvent.requestPermission();
+      } catch (error) {
+        console.warn('Motion permission request failed:', error);
+      }
+      
+      // Tracking may have been stopped while the prompt was open
+      if (generation !== this.generation) return;
+      if (permission !== null && permission !== 'granted') {
+        handlers.onUnavailable?.('Motion access denied');
+        return;
+      }
+    }
+    
+    this.handler = (event) => {
+      const acceleration = event.accelerationIncludingGravity;
+      if (!acceleration || acceleration.x === null) return;
+      
+      this.receivedSample = true;
+      handlers.onSample({
+        t: Date.now(),
+        x: acceleration.x,
+        y: acceleration.y,
+        z: acceleration.z
+      });
+    };
+    window.addEventListener('devicemotion', this.handler);
+    
+    // Desktop browsers expose the API but never deliver samples
+    this.detectionTimer = setTimeout(() => {
+      if (!this.receivedSample) {
+        this.stop();
+        handlers.onUnavailable?.('No accelerometer data received');
+      }
+    }, this.options.detectionTimeout);
+  }
+  
+  stop() {
+    this.generation++;
+    if (this.handler) {
+      window.removeEventListener('devicemotion', this.handler);
+      this.handler = null;
+    }
+    clearTimeout(this.detectionTimer);
+    this.detectionTimer = null;
+    this.receivedSample = false;
+  }
+  
+  now() {
+    return Date.now();
+  }
+}
+
+class SimulatedMotionSource {
+  constructor(options = {}) {
+    this.name = 'simulator';
+    this.options = {
+      // Chance per second of switching between walking and resting
+      switchProbability: 0.15,
+      ...options
+    };
+    this.generator = new MotionSignalGenerator(options);
+    this.timer = null;
+    this.isWalking = false;
+  }
+  
+  start(handlers) {
+    this.timer = setInterval(() => {
+      if (Math.random() < this.options.switchProbability) {
+        this.isWalking = !this.isWalking;
+      }
+      
+      const samples = this.generator.generate(Date.now() - 1000, 1000, this.isWalking);
+      samples.forEach(sample => handlers.onSample(sample));
+    }, 1000);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  now() {
+    return Date.now();
+  }
+}
+
+class ReplayMotionSource {
+  // speed is a multiplier of real time; Infinity replays synchronously,
+  // which makes walking detection deterministic in tests and demos
+  constructor(trace, options = {}) {
+    this.name = 'replay';
+    this.trace = trace;
+    this.options = {
+      speed: 1,
+      loop: false,
+      tickInterval: 50,
+      ...options
+    };
+    this.timer = null;
+    this.index = 0;
+    this.startTime = null;
+    this.wallStart = null;
+    this.offset = 0;
+  }
+  
+  start(handlers) {
+    const samples = this.trace.samples;
+    if (samples.length === 0) {
+      handlers.onEnd?.();
+      return;
+    }
+    
+    // Re-base the trace so that it starts now
+    this.index = 0;
+    this.wallStart = Date.now();
+    this.startTime = this.wallStart;
+    this.offset = this.startTime - samples[0].t;
+    
+    if (this.options.speed === Infinity) {
+      samples.forEach(sample => handlers.onSample(this.rebase(sample)));
+      handlers.onEnd?.();
+      return;
+    }
+    
+    this.timer = setInterval(() => {
+      const target = this.now() - this.offset;
+      
+      while (this.index < samples.length && samples[this.index].t <= target) {
+        handlers.onSample(this.rebase(samples[this.index]));
+        this.index++;
+      }
+      
+      if (this.index >= samples.length) {
+        if (this.options.loop) {
+          // Continue after the last sample with the trace's own spacing
+          const duration = samples[samples.length - 1].t - samples[0].t;
+          this.offset += duration + this.averageInterval();
+          this.index = 0;
+        } else {
+          this.stop();
+          handlers.onEnd?.();
+        }
+      }
+    }, this.options.tickInterval);
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  now() {
+    if (this.wallStart === null) return Date.now();
+    if (this.options.speed === Infinity) {
+      const samples = this.trace.samples;
+      return samples.length ? this.rebase(samples[samples.length - 1]).t : this.startTime;
+    }
+    return this.startTime + (Date.now() - this.wallStart) * this.options.speed;
+  }
+  
+  rebase(sample) {
+    return { t: sample.t + this.offset, x: sample.x, y: sample.y, z: sample.z };
+  }
+  
+  averageInterval() {
+    const samples = this.trace.samples;
+    if (samples.length < 2) return 20;
+    return (samples[samples.length - 1].t - samples[0].t) / (samples.length - 1);
+  }
+}
+
+// Captures the sample stream of any source so it can be saved as a trace
+class MotionRecorder {
+  constructor() {
+    this.samples = [];
+    this.isRecording = false;
+    this.startedAt = null;
+  }
+  
+  start(source) {
+    this.samples = [];
+    this.isRecording = true;
+    this.startedAt = new Date();
+    this.sourceName = source ? source.name : null;
+  }
+  
+  stop() {
+    this.isRecording = false;
+    return this.toTrace();
+  }
+  
+  record(sample) {
+    if (!this.isRecording) return;
+    this.samples.push({ t: sample.t, x: sample.x, y: sample.y, z: sample.z });
+  }
+  
+  toTrace() {
+    return {
+      format: 'kaisheng-motion-trace',
+      version: 1,
+      recordedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      source: this.sourceName,
+      units: { t: 'ms', acceleration: 'm/s^2 (including gravity)' },
+      samples: this.samples.slice()
+    };
+  }
+  
+  static toCSV(trace) {
+    const rows = trace.samples.map(sample => [sample.t, sample.x, sample.y, sample.z].join(','));
+    return ['t,x,y,z', ...rows].join('\n');
+  }
+  
+  static download(trace, format = 'json') {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const content = format === 'csv' ? MotionRecorder.toCSV(trace) : JSON.stringify(trace, null, 2);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kaisheng-motion-${stamp}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Parse a recorded JSON or CSV accelerometer trace into { samples }
+function parseMotionTrace(text) {
+  const content = String(text).trim();
+  if (!content) {
+    throw new Error('Trace file is empty');
+  }
+  
+  let samples;
+  if (content.startsWith('{') || content.startsWith('[')) {
+    const parsed = JSON.parse(content);
+    const rawSamples = Array.isArray(parsed) ? parsed : parsed.samples;
+    if (!Array.isArray(rawSamples)) {
+      throw new Error('Trace JSON has no samples array');
+    }
+    samples = rawSamples.map(sample => ({
+      t: Number(sample.t ?? sample.timestamp),
+      x: Number(sample.x),
+      y: Number(sample.y),
+      z: Number(sample.z)
+    }));
+  } else {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const header = lines[0].toLowerCase().split(',').map(column => column.trim());
+    const hasHeader = header.some(column => isNaN(Number(column)));
+    const columns = hasHeader ? header : ['t', 'x', 'y', 'z'];
+    const indexOf = (name, fallback) => {
+      const index = columns.indexOf(name);
+      return index === -1 ? columns.indexOf(fallback) : index;
+    };
+    const tIndex = indexOf('t', 'timestamp');
+    const [xIndex, yIndex, zIndex] = ['x', 'y', 'z'].map(name => columns.indexOf(name));
+    
+    if ([tIndex, xIndex, yIndex, zIndex].includes(-1)) {
+      throw new Error('Trace CSV needs t, x, y and z columns');
+    }
+    
+    samples = lines.slice(hasHeader ? 1 : 0).map(line => {
+      const values = line.split(',');
+      return {
+        t: Number(values[tIndex]),
+        x: Number(values[xIndex]),
+        y: Number(values[yIndex]),
+        z: Number(values[zIndex])
+      };
+    });
+  }
+  
+  const validSamples = samples
+    .filter(sample => [sample.t, sample.x, sample.y, sample.z].every(Number.isFinite))
+    .sort((a, b) => a.t - b.t);
+  
+  if (validSamples.length === 0) {
+    throw new Error('Trace contains no valid samples');
+  }
+  
+  return { samples: validSamples, skipped: samples.length - validSamples.length };
+}
@@ -0,0 +1,279 @@
+//
+//  KaiSheng Motion Detection
+//  Accelerometer step detection: gravity removal, smoothing and peak detection
+//
+
+class StepDetector {
+  constructor(options = {}) {
+    this.options = {
+      // Low-pass factor used to track gravity in the raw magnitude
+      gravityAlpha: 0.9,
+      // Low-pass factor used to smooth the gravity-free signal
+      smoothingAlpha: 0.35,
+      // Minimum peak height in m/s² above the gravity baseline
+      minPeakHeight: 1.0,
+      // Fraction of the recent peak envelope a new peak must reach
+      adaptiveFactor: 0.45,
+      // Valid step spacing (ms): ~4 steps/s at most, ~0.5 steps/s at least
+      minStepInterval: 250,
+      maxStepInterval: 2000,
+      // Consecutive steps needed before a walk is confirmed
+      walkingStartSteps: 4,
+      // Time without a step after which walking ends (ms)
+      walkingTimeout: 2500,
+      ...options
+    };
+    
+    this.reset();
+  }
+  
+  reset() {
+    this.gravity = null;
+    this.filtered = 0;
+    this.previous = 0;
+    this.beforePrevious = 0;
+    this.previousTime = null;
+    this.armed = true;
+    this.peakEnvelope = this.options.minPeakHeight;
+    
+    this.lastStepTime = null;
+    this.candidateSteps = [];
+    this.recentIntervals = [];
+    
+    this.isWalking = false;
+    this.stepCount = 0;
+    this.totalSteps = 0;
+    this.walkStartTime = null;
+    this.cadence = null;
+    this.walkingJustStarted = false;
+  }
+  
+  // Current detector output in the shape of state.motion
+  getState() {
+    return {
+      isWalking: this.isWalking,
+      stepCount: this.stepCount,
+      walkStartTime: this.walkStartTime,
+      currentPace: this.cadence
+    };
+  }
+  
+  // Feed one accelerometer sample ({ t, x, y, z } with t in ms).
+  // Returns an event describing what changed, or null when nothing did.
+  process(sample) {
+    if (!this.isValidSample(sample)) return null;
+    
+    const magnitude = Math.sqrt(sample.x * sample.x + sample.y * sample.y + sample.z * sample.z);
+    
+    // Remove gravity with a slow low-pass filter, then smooth out jitter
+    if (this.gravity === null) {
+      this.gravity = magnitude;
+    }
+    this.gravity = this.options.gravityAlpha * this.gravity + (1 - this.options.gravityAlpha) * magnitude;
+    const linear = magnitude - this.gravity;
+    this.filtered += this.options.smoothingAlpha * (linear - this.filtered);
+    
+    let stepDetected = false;
+    
+    // A step is a local maximum of the smoothed signal, above the adaptive
+    // threshold, separated from the previous one by a zero crossing
+    if (this.previousTime !== null) {
+      const isPeak = this.previous > this.beforePrevious && this.previous >= this.filtered;
+      const threshold = Math.max(this.options.minPeakHeight, this.peakEnvelope * this.options.adaptiveFactor);
+      
+      if (isPeak && this.armed && this.previous >= threshold) {
+        stepDetected = this.registerStep(this.previousTime, this.previous);
+      }
+    }
+    
+    if (this.filtered < 0) {
+      this.armed = true;
+    }
+    
+    // Let the envelope decay so the threshold follows softer walking
+    this.peakEnvelope = Math.max(this.options.minPeakHeight, this.peakEnvelope * 0.995);
+    
+    this.beforePrevious = this.previous;
+    this.previous = this.filtered;
+    this.previousTime = sample.t;
+    
+    const walkingEnded = this.checkTimeout(sample.t);
+    
+    return this.buildEvent(stepDetected, walkingEnded);
+  }
+  
+  // Advance the clock without a sample, so walking can end when the
+  // sensor goes quiet
+  tick(time) {
+    return this.buildEvent(false, this.checkTimeout(time));
+  }
+  
+  // Run a complete recorded stream through a fresh detector
+  static analyzeTrace(samples, options = {}) {
+    const detector = new StepDetector(options);
+    const walks = [];
+    let currentWalk = null;
+    
+    samples.forEach(sample => {
+      const event = detector.process(sample);
+      if (!event) return;
+      
+      if (event.walkingStarted) {
+        currentWalk = { startTime: detector.walkStartTime, endTime: null, steps: 0 };
+        walks.push(currentWalk);
+      }
+      if (currentWalk && detector.isWalking) {
+        currentWalk.steps = detector.stepCount;
+      }
+      if (event.walkingStopped && currentWalk) {
+        currentWalk.endTime = event.time;
+        currentWalk = null;
+      }
+    });
+    
+    return {
+      totalSteps: detector.totalSteps,
+      walks,
+      isWalking: detector.isWalking
+    };
+  }
+  
+  // Walking restrictions apply once a walk reaches stepThreshold steps
+  static isRestricting(motion, stepThreshold) {
+    return motion.isWalking && motion.stepCount >= stepThreshold;
+  }
+  
+  isValidSample(sample) {
+    return sample &&
+      Number.isFinite(sample.t) &&
+      Number.isFinite(sample.x) &&
+      Number.isFinite(sample.y) &&
+      Number.isFinite(sample.z);
+  }
+  
+  registerStep(time, height) {
+    if (this.lastStepTime !== null && time - this.lastStepTime < this.options.minStepInterval) {
+      return false;
+    }
+    
+    this.armed = false;
+    this.peakEnvelope = Math.max(this.peakEnvelope, height);
+    
+    if (this.lastStepTime !== null && time - this.lastStepTime <= this.options.maxStepInterval) {
+      this.recentIntervals.push(time - this.lastStepTime);
+      if (this.recentIntervals.length > 4) {
+        this.recentIntervals.shift();
+      }
+    } else {
+      // Too long since the last step: start a new run of candidates
+      this.candidateSteps = [];
+      this.recentIntervals = [];
+    }
+    
+    this.lastStepTime = time;
+    this.totalSteps++;
+    this.updateCadence();
+    
+    if (this.isWalking) {
+      this.stepCount++;
+      return true;
+    }
+    
+    this.candidateSteps.push(time);
+    if (this.candidateSteps.length >= this.options.walkingStartSteps) {
+      // Confirmed: the candidate steps count towards this walk
+      this.isWalking = true;
+      this.walkStartTime = this.candidateSteps[0];
+      this.stepCount = this.candidateSteps.length;
+      this.candidateSteps = [];
+      this.walkingJustStarted = true;
+    }
+    
+    return true;
+  }
+  
+  updateCadence() {
+    if (this.recentIntervals.length === 0) {
+      this.cadence = null;
+      return;
+    }
+    
+    const average = this.recentIntervals.reduce((sum, interval) => sum + interval, 0) / this.recentIntervals.length;
+    this.cadence = Math.round((1000 / average) * 100) / 100; // steps per second
+  }
+  
+  checkTimeout(time) {
+    if (this.lastStepTime === null || time - this.lastStepTime <= this.options.walkingTimeout) {
+      return false;
+    }
+    
+    this.candidateSteps = [];
+    this.recentIntervals = [];
+    this.cadence = null;
+    
+    if (!this.isWalking) return false;
+    
+    this.isWalking = false;
+    this.stepCount = 0;
+    this.walkStartTime = null;
+    return true;
+  }
+  
+  buildEvent(stepDetected, walkingStopped) {
+    const walkingStarted = this.walkingJustStarted === true;
+    this.walkingJustStarted = false;
+    
+    if (!stepDetected && !walkingStopped && !walkingStarted) {
+      return null;
+    }
+    
+    return {
+      time: this.previousTime,
+      step: stepDetected,
+      walkingStarted,
+      walkingStopped,
+      state: this.getState()
+    };
+  }
+}
+
+// Generates synthetic accelerometer samples (m/s², gravity included) that
+// look like a phone carried while walking or resting
+class MotionSignalGenerator {
+  constructor(options = {}) {
+    this.options = {
+      sampleRate: 50,
+      stepFrequency: 1.8, // steps per second
+      stepAmplitude: 3.0,
+      noise: 0.25,
+      ...options
+    };
+    this.phase = 0;
+  }
+  
+  generate(startTime, durationMs, isWalking) {
+    const samples = [];
+    const interval = 1000 / this.options.sampleRate;
+    const count = Math.round(durationMs / interval);
+    
+    for (let i = 0; i < count; i++) {
+      const t = startTime + i * interval;
+      const noise = () => (Math.random() - 0.5) * 2 * this.options.noise;
+      let vertical = 0;
+      
+      if (isWalking) {
+        this.phase += (2 * Math.PI * this.options.stepFrequency) / this.options.sampleRate;
+        vertical = this.options.stepAmplitude * Math.sin(this.phase);
+      }
+      
+      samples.push({
+        t,
+        x: noise(),
+        y: 9.81 + vertical + noise(),
+        z: noise()
+      });
+    }
+    
+    return samples;
+  }
+}
@@ -0,0 +1,224 @@
+//
+//  KaiSheng Notifications
+//  Stacked in-page toasts, a history of past alerts and browser notifications
+//
+
+// Alerts carry an optional category matching the iOS NotificationSettingsView
+// toggles; a muted category is neither shown nor delivered. Uncategorized
+// messages are direct feedback on something the user just did and always
+// show. Repeats of the same message within dedupeWindow fold into the
+// existing toast and history entry instead of stacking up.
+class NotificationCenter {
+  static get CATEGORIES() {
+    return [
+      { key: 'limits', label: 'App Limit Warnings', enabled: true },
+      { key: 'downtime', label: 'Downtime Notifications', enabled: true },
+      { key: 'walking', label: 'Walking Detection Alerts', enabled: true },
+      { key: 'summary', label: 'Daily Usage Summary', enabled: false }
+    ];
+  }
+  
+  static defaultCategories() {
+    return NotificationCenter.CATEGORIES.reduce((categories, category) => {
+      categories[category.key] = category.enabled;
+      return categories;
+    }, {});
+  }
+  
+  static get TYPES() {
+    return ['info', 'success', 'warning', 'error'];
+  }
+  
+  constructor(options = {}) {
+    this.container = options.container;
+    this.duration = options.duration ?? 4000;
+    this.dedupeWindow = options.dedupeWindow ?? 10000;
+    this.maxVisible = options.maxVisible ?? 4;
+    this.historyLimit = options.historyLimit ?? 50;
+    this.onChange = options.onChange || null;
+    
+    this.enabled = true;
+    this.categories = NotificationCenter.defaultCategories();
+    this.systemEnabled = false;
+    
+    this.history = [];
+    this.toasts = new Map();
+    this.nextId = 1;
+  }
+  
+  setPreferences({ enabled, categories, systemEnabled }) {
+    if (enabled !== undefined) this.enabled = enabled;
+    if (categories) this.categories = { ...this.categories, ...categories };
+    if (systemEnabled !== undefined) this.systemEnabled = systemEnabled;
+  }
+  
+  isMuted(category) {
+    if (!category) return false;
+    return !this.enabled || this.categories[category] === false;
+  }
+  
+  // Show a message; returns its history entry, or null when muted
+  notify(message, options = {}) {
+    const { type = 'info', category = null, now = new Date() } = options;
+    if (this.isMuted(category)) return null;
+    
+    const entry = this.findRecent(message, type, now);
+    if (entry) {
+      entry.count++;
+      entry.time = now;
+      entry.read = false;
+      this.refreshToast(entry);
+    } else {
+      const created = {
+        id: this.nextId++,
+        message,
+        type: NotificationCenter.TYPES.includes(type) ? type : 'info',
+        category,
+        time: now,
+        count: 1,
+        read: false
+      };
+      this.history.unshift(created);
+      this.history.length = Math.min(this.history.length, this.historyLimit);
+      this.showToast(created);
+      this.deliverSystem(created);
+    }
+    
+    if (this.onChange) this.onChange();
+    return entry || this.history[0];
+  }
+  
+  findRecent(message, type, now) {
+    return this.history.find(entry =>
+      entry.message === message &&
+      entry.type === type &&
+      now - entry.time < this.dedupeWindow) || null;
+  }
+  
+  // Toasts
+  
+  showToast(entry) {
+    if (!this.container) return;
+    
+    const toast = document.createElement('div');
+    toast.className = `notification notification-${entry.type}`;
+    toast.setAttribute('role', entry.type === 'error' ? 'alert' : 'status');
+    toast.innerHTML = `
+      <div class="notification-content">
+        <span class="notification-message"></span>
+        <span class="notification-count" hidden></span>
+        <button class="notification-close" aria-label="Dismiss">&times;</button>
+      </div>
+    `;
+    toast.querySelector('.notification-message').textContent = entry.message;
+    toast.querySelector('.notification-close').addEventListener('click', () => this.dismiss(entry.id));
+    
+    // Hovering keeps the toast up
+    toast.addEventListener('mouseenter', () => clearTimeout(this.toasts.get(entry.id)?.timer));
+    toast.addEventListener('mouseleave', () => this.scheduleDismiss(entry.id));
+    
+    this.container.prepend(toast);
+    this.toasts.set(entry.id, { element: toast, timer: null });
+    requestAnimationFrame(() => toast.classList.add('visible'));
+    this.scheduleDismiss(entry.id);
+    
+    // Drop the oldest toasts beyond the stack size
+    Array.from(this.toasts.keys())
+      .slice(0, Math.max(0, this.toasts.size - this.maxVisible))
+      .forEach(id => this.dismiss(id));
+  }
+  
+  // A repeat brings the toast back if it was already dismissed
+  refreshToast(entry) {
+    if (!this.toasts.has(entry.id)) {
+      this.showToast(entry);
+    }
+    const toast = this.toasts.get(entry.id);
+    if (!toast) return;
+    
+    const count = toast.element.querySelector('.notification-count');
+    count.hidden = entry.count < 2;
+    count.textContent = `×${entry.count}`;
+    this.scheduleDismiss(entry.id);
+  }
+  
+  scheduleDismiss(id) {
+    const toast = this.toasts.get(id);
+    if (!toast) return;
+    
+    clearTimeout(toast.timer);
+    toast.timer = setTimeout(() => this.dismiss(id), this.duration);
+  }
+  
+  dismiss(id) {
+    const toast = this.toasts.get(id);
+    if (!toast) return;
+    
+    clearTimeout(toast.timer);
+    this.toasts.delete(id);
+    toast.element.classList.remove('visible');
+    setTimeout(() => toast.element.remove(), 300);
+  }
+  
+  dismissAll() {
+    Array.from(this.toasts.keys()).forEach(id => this.dismiss(id));
+  }
+  
+  // History
+  
+  getHistory() {
+    return this.history.map(entry => ({ ...entry }));
+  }
+  
+  getUnreadCount() {
+    return this.history.filter(entry => !entry.read).length;
+  }
+  
+  markAllRead() {
+    this.history.forEach(entry => {
+      entry.read = true;
+    });
+    if (this.onChange) this.onChange();
+  }
+  
+  clearHistory() {
+    this.history = [];
+    if (this.onChange) this.onChange();
+  }
+  
+  // Browser notifications, only while the dashboard is in the background
+  
+  static isSystemSupported() {
+    return typeof Notification !== 'undefined';
+  }
+  
+  async requestSystemPermission() {
+    if (!NotificationCenter.isSystemSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    
+    try {
+      return await Notification.requestPermission();
+    } catch (error) {
+      console.warn('Failed to request notification permission:', error);
+      return 'denied';
+    }
+  }
+  
+  deliverSystem(entry) {
+    if (!this.systemEnabled || !document.hidden) return;
+    if (!NotificationCenter.isSystemSupported() || Notification.permission !== 'granted') return;
+    
+    try {
+      const notification = new Notification('KaiSheng', {
+        body: entry.message,
+        tag: `kaisheng-${entry.category || entry.type}`
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    } catch (error) {
+      console.warn('Failed to show browser notification:', error);
+    }
+  }
+}
@@ -0,0 +1,144 @@
+//
+//  KaiSheng Overrides
+//  Time-bounded emergency override sessions with a daily cap and an audit log
+//
+
+class OverrideError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OverrideError';
+  }
+}
+
+// A session lifts every block for its duration. Sessions are never deleted
+// when they end, so the log shows when limits were bypassed and why:
+//   { id, date, reason, duration, startedAt, endsAt, endedAt, endedEarly }
+// with date as the local 'YYYY-MM-DD' day key and duration in seconds.
+class OverrideManager {
+  // Duration choices offered when starting an override, in minutes
+  static get DURATION_OPTIONS() {
+    return [5, 15, 30, 60];
+  }
+  
+  // Daily cap choices offered in Settings
+  static get CAP_OPTIONS() {
+    return [1, 2, 3, 5];
+  }
+  
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.maxPerDay = options.maxPerDay ?? 3;
+    this.sessions = [];
+    this.loadIssues = [];
+  }
+  
+  async load(now = new Date()) {
+    this.sessions = [];
+    this.loadIssues = [];
+    try {
+      const { items, issues } = StateSerializer.deserializeList('override', await this.storage.loadOverrides());
+      this.sessions = items.sort((a, b) => a.startedAt - b.startedAt);
+      this.loadIssues = issues;
+      
+      // Sessions that ran out while the dashboard was closed end at their deadline
+      this.expire(now);
+    } catch (error) {
+      console.warn('Failed to load overrides:', error);
+    }
+    return this;
+  }
+  
+  persist(session) {
+    if (this.storage) {
+      this.storage.saveOverride(StateSerializer.serializeOverride(session));
+    }
+  }
+  
+  getActive(now = new Date()) {
+    return this.sessions.find(session => !session.endedAt && session.endsAt > now) || null;
+  }
+  
+  // Seconds left in the active session, 0 when none is running
+  getRemaining(now = new Date()) {
+    const session = this.getActive(now);
+    return session ? Math.ceil((session.endsAt - now) / 1000) : 0;
+  }
+  
+  getSessionsOn(date = new Date()) {
+    const key = DateUtils.toKey(date);
+    return this.sessions.filter(session => session.date === key);
+  }
+  
+  getRemainingToday(now = new Date()) {
+    return Math.max(0, this.maxPerDay - this.getSessionsOn(now).length);
+  }
+  
+  // Why a new session cannot start right now, or null if it can
+  checkCanStart(now = new Date()) {
+    if (this.getActive(now)) {
+      return 'An override is already running';
+    }
+    if (this.getRemainingToday(now) === 0) {
+      return `Daily override limit of ${this.maxPerDay} reached`;
+    }
+    return null;
+  }
+  
+  start({ duration, reason }, now = new Date()) {
+    const problem = this.checkCanStart(now);
+    if (problem) {
+      throw new OverrideError(problem);
+    }
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new OverrideError('Choose how long the override should last');
+    }
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      throw new OverrideError('Please give a reason for the override');
+    }
+    
+    const session = {
+      id: StateSerializer.generateId(),
+      date: DateUtils.toKey(now),
+      reason: reason.trim(),
+      duration,
+      startedAt: new Date(now.getTime()),
+      endsAt: new Date(now.getTime() + duration * 1000),
+      endedAt: null,
+      endedEarly: false
+    };
+    
+    this.sessions.push(session);
+    this.persist(session);
+    return session;
+  }
+  
+  // End the active session before its deadline
+  end(now = new Date()) {
+    const session = this.getActive(now);
+    if (!session) return null;
+    
+    session.endedAt = new Date(now.getTime());
+    session.endedEarly = true;
+    this.persist(session);
+    return session;
+  }
+  
+  // Close sessions whose deadline has passed; returns the ones closed
+  expire(now = new Date()) {
+    const expired = this.sessions.filter(session => !session.endedAt && session.endsAt <= now);
+    expired.forEach(session => {
+      session.endedAt = new Date(session.endsAt.getTime());
+      this.persist(session);
+    });
+    return expired;
+  }
+  
+  // Newest first, optionally limited to days on or after a day key
+  getLog(sinceKey = null) {
+    return this.sessions
+      .filter(session => !sinceKey || session.date >= sinceKey)
+      .slice()
+      .reverse()
+      .map(session => ({ ...session }));
+  }
+}
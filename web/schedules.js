@@ -0,0 +1,231 @@
+//
+//  KaiSheng Schedule Policy
+//  What a downtime schedule blocks while it is active
+//
+
+// A schedule either blocks chosen targets or the whole device:
+//   blockEntireDevice false: every app in blockedApps, plus every app whose
+//     category is in blockedCategories
+//   blockEntireDevice true: everything except the critical apps and the
+//     schedule's own allowedApps
+// Critical apps (EnforcementEngine.CRITICAL_APPS) are never blocked.
+//
+// When several schedules are active at once an app is blocked if any of them
+// blocks it: the stricter rule always wins, so an allow-list only exempts
+// apps from its own schedule's device-wide block. The schedule shown as in
+// effect is the first by compareByPrecedence, like Android's mostRestrictive.
+// Disabled schedules (isEnabled === false) are kept but never run.
+//
+// Start and end are wall-clock times: 21:00 means 21:00 local time on each
+// day, whatever the UTC offset, so overnight spans stretch or shrink by an
+// hour across a DST change. Saved schedules keep them as 'HH:MM' and the
+// dashboard re-reads them when the time zone changes, like Android's
+// handleTimezoneChange. Every check takes the time to evaluate as now.
+//
+// Recurring schedules run on their recurringDays, optionally only between
+// startDate and endDate and never on exceptionDates. One-off schedules
+// (isRecurring false) run once, on date. All dates are 'YYYY-MM-DD' day keys
+// of the day an occurrence starts.
+class SchedulePolicy {
+  static get MINUTES_PER_WEEK() {
+    return 7 * 1440;
+  }
+  
+  static isEnabled(schedule) {
+    return schedule.isEnabled !== false;
+  }
+  
+  static blocksApp(schedule, appName, category) {
+    if (EnforcementEngine.isCriticalApp(appName)) return false;
+    
+    if (schedule.blockEntireDevice) {
+      return !(schedule.allowedApps || []).includes(appName);
+    }
+    return schedule.blockedApps.includes(appName) ||
+      (schedule.blockedCategories || []).includes(category);
+  }
+  
+  // One line for the schedule list, e.g. "Blocks Social Media, YouTube"
+  static describeTargets(schedule, categoryLabel = (category) => category) {
+    if (schedule.blockEntireDevice) {
+      const allowed = schedule.allowedApps || [];
+      return allowed.length > 0
+        ? `Blocks everything except ${allowed.join(', ')}`
+        : 'Blocks entire device';
+    }
+    
+    const targets = [
+      ...(schedule.blockedCategories || []).map(categoryLabel),
+      ...schedule.blockedApps
+    ];
+    return targets.length > 0 ? `Blocks ${targets.join(', ')}` : 'Blocks nothing';
+  }
+  
+  // Whole-device blocks first, then the one blocking more, then the oldest
+  static compareByPrecedence(a, b) {
+    const targets = (schedule) => schedule.blockedApps.length + (schedule.blockedCategories || []).length;
+    return (Number(b.blockEntireDevice) - Number(a.blockEntireDevice)) ||
+      (targets(b) - targets(a)) ||
+      (a.createdAt - b.createdAt);
+  }
+  
+  // Timing
+  
+  // Minutes after local midnight of a schedule's start or end time
+  static clockMinutes(date) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+  
+  // A wall-clock time on a calendar day. Times skipped by a DST jump land
+  // where the gap ends (02:30 becomes 03:00); times repeated when clocks go
+  // back take their first pass.
+  static atClock(day, minutes) {
+    const date = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60);
+    if (SchedulePolicy.clockMinutes(date) === minutes) return date;
+    
+    // JavaScript moves a skipped time on by the whole jump (02:30 becomes
+    // 03:30), so step back to the first minute after the gap
+    let resolved = date;
+    for (;;) {
+      const earlier = new Date(resolved.getTime() - 60000);
+      if (earlier.getDate() !== date.getDate() || SchedulePolicy.clockMinutes(earlier) < minutes) break;
+      resolved = earlier;
+    }
+    return resolved;
+  }
+  
+  // Whether an occurrence starts on day
+  static runsOn(schedule, day) {
+    const key = DateUtils.toKey(day);
+    if (!schedule.isRecurring) {
+      return schedule.date === key;
+    }
+    if (schedule.startDate && key < schedule.startDate) return false;
+    if (schedule.endDate && key > schedule.endDate) return false;
+    if ((schedule.exceptionDates || []).includes(key)) return false;
+    return schedule.recurringDays.has(DateUtils.dayName(day));
+  }
+  
+  // The occurrence starting on day as { start, end }, or null if the
+  // schedule does not start that day. Overnight spans end the next day.
+  // A span reaching into a DST gap keeps only the part after the gap; one
+  // wholly inside it does not run that day.
+  static getOccurrenceOn(schedule, day) {
+    if (!SchedulePolicy.runsOn(schedule, day)) return null;
+    
+    const startMinutes = SchedulePolicy.clockMinutes(schedule.startTime);
+    const endMinutes = SchedulePolicy.clockMinutes(schedule.endTime);
+    if (startMinutes === endMinutes) return null;
+    
+    const start = SchedulePolicy.atClock(day, startMinutes);
+    const end = SchedulePolicy.atClock(endMinutes < startMinutes ? DateUtils.addDays(day, 1) : day, endMinutes);
+    return end > start ? { start, end } : null;
+  }
+  
+  // The occurrence running at now, or null. An overnight span belongs to the
+  // day it starts on: Fri 21:00-07:00 runs until Saturday 07:00 and is not
+  // running at Friday 03:00.
+  static getOccurrenceAt(schedule, now = new Date()) {
+    if (!SchedulePolicy.isEnabled(schedule)) return null;
+    
+    const today = DateUtils.startOfDay(now);
+    for (const offset of [0, -1]) {
+      const occurrence = SchedulePolicy.getOccurrenceOn(schedule, DateUtils.addDays(today, offset));
+      if (occurrence && occurrence.start <= now && now < occurrence.end) {
+        return occurrence;
+      }
+    }
+    return null;
+  }
+  
+  static isActiveAt(schedule, now = new Date()) {
+    return SchedulePolicy.getOccurrenceAt(schedule, now) !== null;
+  }
+  
+  // The first occurrence starting after now, looking up to a year ahead
+  static getNextOccurrence(schedule, now = new Date()) {
+    const today = DateUtils.startOfDay(now);
+    const lastKey = schedule.isRecurring ? schedule.endDate : schedule.date;
+    
+    for (let offset = 0; offset <= 366; offset++) {
+      const day = DateUtils.addDays(today, offset);
+      if (lastKey && DateUtils.toKey(day) > lastKey) break;
+      
+      const occurrence = SchedulePolicy.getOccurrenceOn(schedule, day);
+      if (occurrence && occurrence.start > now) return occurrence;
+    }
+    return null;
+  }
+  
+  // The next occurrence of any enabled schedule starting after now, as
+  // { schedule, start, end }
+  static getNext(schedules, now = new Date()) {
+    let next = null;
+    schedules.filter(SchedulePolicy.isEnabled).forEach(schedule => {
+      const occurrence = SchedulePolicy.getNextOccurrence(schedule, now);
+      if (occurrence && (!next || occurrence.start < next.start)) {
+        next = { schedule, ...occurrence };
+      }
+    });
+    return next;
+  }
+  
+  // A one-off or date-range schedule that will not run again
+  static hasEnded(schedule, now = new Date()) {
+    const lastKey = schedule.isRecurring ? schedule.endDate : schedule.date;
+    if (!lastKey || lastKey > DateUtils.toKey(now)) return false;
+    
+    const lastDay = DateUtils.fromKey(lastKey);
+    const occurrence = SchedulePolicy.getOccurrenceOn(schedule, lastDay);
+    return !occurrence || occurrence.end <= now;
+  }
+  
+  // The windows a recurring schedule covers in a week, in minutes from Sunday 00:00.
+  // Overnight windows run on into the next day.
+  static getWeeklyWindows(schedule) {
+    const start = SchedulePolicy.clockMinutes(schedule.startTime);
+    let length = SchedulePolicy.clockMinutes(schedule.endTime) - start;
+    if (length < 0) length += 1440;
+    
+    return Array.from(schedule.recurringDays)
+      .map(day => DateUtils.DAY_NAMES.indexOf(day))
+      .filter(index => index >= 0 && length > 0)
+      .map(index => ({ start: index * 1440 + start, end: index * 1440 + start + length }));
+  }
+  
+  // Whether two schedules can ever run at the same minute. Skipped dates
+  // are ignored, so a holiday exception does not hide a clash.
+  static overlaps(a, b) {
+    if (!a.isRecurring || !b.isRecurring) {
+      // Compare the one-off against the other's occurrences around it
+      const [once, other] = a.isRecurring ? [b, a] : [a, b];
+      const day = DateUtils.fromKey(once.date);
+      const event = day && SchedulePolicy.getOccurrenceOn(once, day);
+      if (!event) return false;
+      
+      return [-1, 0, 1].some(offset => {
+        const occurrence = SchedulePolicy.getOccurrenceOn({ ...other, exceptionDates: [] }, DateUtils.addDays(day, offset));
+        return occurrence && occurrence.start < event.end && event.start < occurrence.end;
+      });
+    }
+    
+    // Recurring schedules must share part of their date ranges first
+    if ((a.endDate && b.startDate && a.endDate < b.startDate) ||
+        (b.endDate && a.startDate && b.endDate < a.startDate)) {
+      return false;
+    }
+    
+    const week = SchedulePolicy.MINUTES_PER_WEEK;
+    const windows = SchedulePolicy.getWeeklyWindows(a);
+    return SchedulePolicy.getWeeklyWindows(b).some(theirs => windows.some(ours =>
+      // Saturday-night windows wrap into Sunday morning
+      [-week, 0, week].some(shift => ours.start < theirs.end + shift && theirs.start + shift < ours.end)));
+  }
+  
+  // Enabled schedules that overlap schedule
+  static findOverlaps(schedule, schedules) {
+    return schedules.filter(other => other.id !== schedule.id &&
+      SchedulePolicy.isEnabled(other) &&
+      SchedulePolicy.overlaps(schedule, other));
+  }
+}
@@ -0,0 +1,153 @@
+//
+//  KaiSheng Schema Validator
+//  Checks values against the shared JSON Schema of the app data models
+//
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+// Supports the parts of JSON Schema that app-data-models.schema.json uses:
+// type, enum, const, required, properties, additionalProperties,
+// propertyNames, items, uniqueItems, minLength, pattern, minimum, maximum,
+// exclusiveMinimum, oneOf, format 'date-time' and local $refs. The sync
+// server loads this file too, so it stays free of browser APIs.
+class SchemaValidator {
+  constructor(schema) {
+    if (!schema || typeof schema !== 'object' || !schema.$defs) {
+      throw new SchemaError('Schema has no $defs');
+    }
+    this.schema = schema;
+  }
+  
+  static isType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'boolean': return typeof value === 'boolean';
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: throw new SchemaError(`Unsupported type ${type}`);
+    }
+  }
+  
+  static isDateTime(value) {
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value));
+  }
+  
+  // Problems with value as the named $defs model, each as 'path message';
+  // empty when it conforms
+  validate(model, value) {
+    const definition = this.schema.$defs[model];
+    if (!definition) {
+      throw new SchemaError(`Unknown model ${model}`);
+    }
+    
+    const errors = [];
+    this.check(definition, value, model, errors);
+    return errors;
+  }
+  
+  resolve(ref) {
+    const match = /^#\/\$defs\/(.+)$/.exec(ref);
+    if (!match || !this.schema.$defs[match[1]]) {
+      throw new SchemaError(`Cannot resolve ${ref}`);
+    }
+    return this.schema.$defs[match[1]];
+  }
+  
+  check(schema, value, path, errors) {
+    if (schema.$ref) {
+      this.check(this.resolve(schema.$ref), value, path, errors);
+    }
+    
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => SchemaValidator.isType(value, type))) {
+        errors.push(`${path} must be ${types.join(' or ')}`);
+        return;
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push(`${path} must be ${schema.const}`);
+    }
+    
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(option => {
+        const optionErrors = [];
+        this.check(option, value, path, optionErrors);
+        return optionErrors.length === 0;
+      }).length;
+      if (matches !== 1) {
+        errors.push(`${path} must match exactly one allowed form`);
+      }
+    }
+    
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && Array.from(value).length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} is not in the expected format`);
+      }
+      if (schema.format === 'date-time' && !SchemaValidator.isDateTime(value)) {
+        errors.push(`${path} must be an ISO date and time`);
+      }
+    }
+    
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push(`${path} must be more than ${schema.exclusiveMinimum}`);
+      }
+    }
+    
+    if (Array.isArray(value)) {
+      if (schema.items) {
+        value.forEach((item, index) => this.check(schema.items, item, `${path}[${index}]`, errors));
+      }
+      if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+        errors.push(`${path} must not repeat items`);
+      }
+    } else if (value !== null && typeof value === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${path}.${key} is missing`);
+      });
+      
+      const properties = schema.properties || {};
+      Object.entries(value).forEach(([key, item]) => {
+        if (schema.propertyNames) {
+          const nameErrors = [];
+          this.check(schema.propertyNames, key, `${path}.${key}`, nameErrors);
+          if (nameErrors.length > 0) errors.push(`${path}.${key} is not an allowed key`);
+        }
+        
+        if (properties[key]) {
+          this.check(properties[key], item, `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not part of the model`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          this.check(schema.additionalProperties, item, `${path}.${key}`, errors);
+        }
+      });
+    }
+  }
+}
+
+// The sync server loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SchemaError, SchemaValidator };
+}
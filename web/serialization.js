@@ -0,0 +1,635 @@
+//
+//  KaiSheng Serialization
+//  Encodes the dashboard's domain objects for storage and validates them on load
+//
+
+class SerializationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SerializationError';
+  }
+}
+
+// Stored shapes only contain JSON types: Dates become ISO strings and Sets
+// become arrays, so every backend round-trips them the same way. Loading
+// validates each entry, repairs what it can and drops what it cannot;
+// every repair or drop is reported as an issue.
+//
+// Limits, usage and schedules are stored in the shapes defined by
+// app-data-models.schema.json, shared with the sync server and the native
+// apps. Once useSchema() is given a validator, decoded entries whose
+// stored shape breaks the schema are dropped too.
+class StateSerializer {
+  static get CATEGORIES() {
+    return ['SOCIAL', 'ENTERTAINMENT', 'PRODUCTIVITY', 'GAMES', 'UTILITIES', 'OTHER'];
+  }
+  
+  // Decoder types and the schema models their stored shapes follow
+  static get SCHEMA_MODELS() {
+    return {
+      limit: { model: 'AppLimit', serialize: StateSerializer.serializeLimit },
+      usage: { model: 'AppUsage', serialize: StateSerializer.serializeUsage },
+      schedule: { model: 'DowntimeSchedule', serialize: StateSerializer.serializeSchedule }
+    };
+  }
+  
+  static useSchema(validator) {
+    StateSerializer.schemaValidator = validator;
+  }
+  
+  // Throws when a decoded item would be stored in a shape the schema rejects
+  static checkSchema(type, item) {
+    const mapping = StateSerializer.SCHEMA_MODELS[type];
+    const validator = StateSerializer.schemaValidator;
+    if (!mapping || !validator) return item;
+    
+    const errors = validator.validate(mapping.model, mapping.serialize(item));
+    if (errors.length > 0) {
+      throw new SerializationError(`does not match the ${mapping.model} schema: ${errors.join('; ')}`);
+    }
+    return item;
+  }
+  
+  // Encoding
+  
+  static serializeDate(date) {
+    return date instanceof Date && !isNaN(date) ? date.toISOString() : null;
+  }
+  
+  static serializeLimit(limit) {
+    return {
+      ...limit,
+      createdAt: StateSerializer.serializeDate(limit.createdAt)
+    };
+  }
+  
+  // Wall-clock 'HH:MM', so a schedule keeps its local times in a new time zone
+  static serializeClock(date) {
+    return date instanceof Date && !isNaN(date)
+      ? `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+      : null;
+  }
+  
+  static serializeSchedule(schedule) {
+    return {
+      ...schedule,
+      startTime: StateSerializer.serializeClock(schedule.startTime),
+      endTime: StateSerializer.serializeClock(schedule.endTime),
+      recurringDays: Array.from(schedule.recurringDays || []),
+      exceptionDates: Array.from(schedule.exceptionDates || []),
+      blockedApps: Array.from(schedule.blockedApps || []),
+      blockedCategories: Array.from(schedule.blockedCategories || []),
+      allowedApps: Array.from(schedule.allowedApps || []),
+      createdAt: StateSerializer.serializeDate(schedule.createdAt)
+    };
+  }
+  
+  static serializeGroupLimit(group) {
+    return {
+      ...group,
+      apps: Array.from(group.apps || []),
+      createdAt: StateSerializer.serializeDate(group.createdAt)
+    };
+  }
+  
+  static serializeUsage(record) {
+    return { ...record };
+  }
+  
+  static serializeOverride(session) {
+    return {
+      ...session,
+      startedAt: StateSerializer.serializeDate(session.startedAt),
+      endsAt: StateSerializer.serializeDate(session.endsAt),
+      endedAt: StateSerializer.serializeDate(session.endedAt)
+    };
+  }
+  
+  static serializeFocusSession(session) {
+    return {
+      ...session,
+      blockedCategories: Array.from(session.blockedCategories || []),
+      startedAt: StateSerializer.serializeDate(session.startedAt),
+      endsAt: StateSerializer.serializeDate(session.endsAt),
+      endedAt: StateSerializer.serializeDate(session.endedAt)
+    };
+  }
+  
+  // Decoding
+  
+  // Accepts Dates, ISO strings, epoch numbers and 'HH:MM' times of day
+  static parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value) ? null : new Date(value.getTime());
+    }
+    if (typeof value === 'number') {
+      const date = new Date(value);
+      return isNaN(date) ? null : date;
+    }
+    if (typeof value === 'string') {
+      const time = /^(\d{1,2}):(\d{2})$/.exec(value);
+      if (time && Number(time[1]) < 24 && Number(time[2]) < 60) {
+        const date = new Date();
+        date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+        return date;
+      }
+      const date = new Date(value);
+      return isNaN(date) ? null : date;
+    }
+    return null;
+  }
+  
+  static requireString(value, field) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new SerializationError(`missing ${field}`);
+    }
+    return value;
+  }
+  
+  static deserializeLimit(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const appName = StateSerializer.requireString(raw.appName, 'appName');
+    const dailyLimit = Number(raw.dailyLimit);
+    if (!Number.isFinite(dailyLimit) || dailyLimit <= 0) {
+      throw new SerializationError('invalid dailyLimit');
+    }
+    
+    let category = raw.category;
+    if (!StateSerializer.CATEGORIES.includes(category)) {
+      category = 'OTHER';
+      repairs.push('category reset to OTHER');
+    }
+    
+    let createdAt = StateSerializer.parseDate(raw.createdAt);
+    if (!createdAt) {
+      createdAt = new Date();
+      repairs.push('createdAt reset');
+    }
+    
+    let id = raw.id;
+    if (typeof id !== 'string' || !id) {
+      id = StateSerializer.generateId();
+      repairs.push('id regenerated');
+    }
+    
+    // Optional per-limit warning percentage; null follows the user setting
+    let warningThreshold = raw.warningThreshold ?? null;
+    if (warningThreshold !== null && !(Number.isInteger(warningThreshold) && warningThreshold > 0 && warningThreshold < 100)) {
+      warningThreshold = null;
+      repairs.push('warning threshold reset');
+    }
+    
+    return {
+      id,
+      appName,
+      dailyLimit,
+      category,
+      warningThreshold,
+      weekdayLimits: StateSerializer.deserializeWeekdayLimits(raw.weekdayLimits, repairs),
+      isEnabled: raw.isEnabled !== false,
+      createdAt
+    };
+  }
+  
+  // Per-weekday allowances override dailyLimit on those days
+  static deserializeWeekdayLimits(raw, repairs) {
+    const weekdayLimits = {};
+    if (raw && typeof raw === 'object') {
+      Object.entries(raw).forEach(([day, seconds]) => {
+        if (DateUtils.DAY_NAMES.includes(day) && Number.isFinite(seconds) && seconds > 0) {
+          weekdayLimits[day] = seconds;
+        } else {
+          repairs.push(`weekday limit for ${day} removed`);
+        }
+      });
+    } else if (raw !== undefined) {
+      repairs.push('weekday limits reset');
+    }
+    return weekdayLimits;
+  }
+  
+  // Group limits share one budget across a category or a set of apps
+  static deserializeGroupLimit(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const name = StateSerializer.requireString(raw.name, 'name');
+    const dailyLimit = Number(raw.dailyLimit);
+    if (!Number.isFinite(dailyLimit) || dailyLimit <= 0) {
+      throw new SerializationError('invalid dailyLimit');
+    }
+    
+    let scope;
+    if (raw.kind === 'category') {
+      if (!StateSerializer.CATEGORIES.includes(raw.category)) {
+        throw new SerializationError('unknown category');
+      }
+      scope = { kind: 'category', category: raw.category, apps: [] };
+    } else if (raw.kind === 'apps') {
+      const apps = Array.isArray(raw.apps) ? raw.apps.filter(app => typeof app === 'string' && app) : [];
+      if (apps.length === 0) {
+        throw new SerializationError('no member apps');
+      }
+      if (apps.length !== raw.apps.length) {
+        repairs.push('invalid member apps removed');
+      }
+      scope = { kind: 'apps', category: null, apps };
+    } else {
+      throw new SerializationError('unknown group kind');
+    }
+    
+    let warningThreshold = raw.warningThreshold ?? null;
+    if (warningThreshold !== null && !(Number.isInteger(warningThreshold) && warningThreshold > 0 && warningThreshold < 100)) {
+      warningThreshold = null;
+      repairs.push('warning threshold reset');
+    }
+    
+    let id = raw.id;
+    if (typeof id !== 'string' || !id) {
+      id = StateSerializer.generateId();
+      repairs.push('id regenerated');
+    }
+    
+    return {
+      id,
+      name,
+      ...scope,
+      dailyLimit,
+      weekdayLimits: StateSerializer.deserializeWeekdayLimits(raw.weekdayLimits, repairs),
+      warningThreshold,
+      isEnabled: raw.isEnabled !== false,
+      createdAt: StateSerializer.parseDate(raw.createdAt) || new Date()
+    };
+  }
+  
+  static deserializeSchedule(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const name = StateSerializer.requireString(raw.name, 'name');
+    const startTime = StateSerializer.parseDate(raw.startTime);
+    const endTime = StateSerializer.parseDate(raw.endTime);
+    if (!startTime || !endTime) {
+      throw new SerializationError('invalid start or end time');
+    }
+    
+    // A Set that went through JSON.stringify comes back as {}
+    let recurringDays;
+    if (raw.recurringDays instanceof Set || Array.isArray(raw.recurringDays)) {
+      const validDays = Array.from(raw.recurringDays).filter(day => DateUtils.DAY_NAMES.includes(day));
+      if (validDays.length !== Array.from(raw.recurringDays).length) {
+        repairs.push('unknown days removed');
+      }
+      recurringDays = new Set(validDays);
+    } else {
+      recurringDays = new Set();
+      repairs.push('days could not be restored');
+    }
+    
+    let blockedApps = raw.blockedApps;
+    if (!Array.isArray(blockedApps)) {
+      blockedApps = [];
+      repairs.push('blocked apps reset');
+    }
+    
+    // Added after the first schedules were saved; missing means none
+    let blockedCategories = raw.blockedCategories ?? [];
+    if (!Array.isArray(blockedCategories)) {
+      blockedCategories = [];
+      repairs.push('blocked categories reset');
+    } else if (blockedCategories.some(category => !StateSerializer.CATEGORIES.includes(category))) {
+      blockedCategories = blockedCategories.filter(category => StateSerializer.CATEGORIES.includes(category));
+      repairs.push('unknown categories removed');
+    }
+    
+    let allowedApps = raw.allowedApps ?? [];
+    if (!Array.isArray(allowedApps)) {
+      allowedApps = [];
+      repairs.push('allowed apps reset');
+    }
+    
+    // One-off schedules need their day; recurring ones may be limited to a
+    // date range and skip exception dates
+    const isRecurring = raw.isRecurring !== false;
+    const date = isRecurring ? null : raw.date;
+    if (!isRecurring && !DateUtils.fromKey(date)) {
+      throw new SerializationError('invalid date');
+    }
+    
+    const dateOrNull = (value, field) => {
+      if (value === null || value === undefined) return null;
+      if (DateUtils.fromKey(value)) return value;
+      repairs.push(`${field} removed`);
+      return null;
+    };
+    const startDate = isRecurring ? dateOrNull(raw.startDate, 'start date') : null;
+    let endDate = isRecurring ? dateOrNull(raw.endDate, 'end date') : null;
+    if (startDate && endDate && endDate < startDate) {
+      endDate = null;
+      repairs.push('end date removed');
+    }
+    
+    let exceptionDates = raw.exceptionDates ?? [];
+    if (!Array.isArray(exceptionDates)) {
+      exceptionDates = [];
+      repairs.push('skipped dates reset');
+    } else if (exceptionDates.some(key => !DateUtils.fromKey(key))) {
+      exceptionDates = exceptionDates.filter(key => DateUtils.fromKey(key));
+      repairs.push('invalid skipped dates removed');
+    }
+    
+    // Schedule ids are UUIDs on every platform, synced in lowercase
+    let id = typeof raw.id === 'string' ? raw.id.toLowerCase() : raw.id;
+    if (!StateSerializer.isUUID(id)) {
+      id = StateSerializer.generateId();
+      repairs.push('id regenerated');
+    } else if (id !== raw.id) {
+      repairs.push('id lowercased');
+    }
+    
+    return {
+      id,
+      name,
+      startTime,
+      endTime,
+      isRecurring,
+      recurringDays,
+      date,
+      startDate,
+      endDate,
+      exceptionDates: isRecurring ? Array.from(new Set(exceptionDates)).sort() : [],
+      blockedApps: blockedApps.filter(app => typeof app === 'string'),
+      blockedCategories,
+      allowedApps: allowedApps.filter(app => typeof app === 'string'),
+      blockEntireDevice: Boolean(raw.blockEntireDevice),
+      isEnabled: raw.isEnabled !== false,
+      createdAt: StateSerializer.parseDate(raw.createdAt) || new Date()
+    };
+  }
+  
+  static deserializeUsage(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const appName = StateSerializer.requireString(raw.appName, 'appName');
+    if (!DateUtils.fromKey(raw.date)) {
+      throw new SerializationError('invalid date');
+    }
+    
+    let usageTime = Number(raw.usageTime);
+    if (!Number.isFinite(usageTime) || usageTime < 0) {
+      usageTime = 0;
+      repairs.push('usage reset to 0');
+    }
+    
+    let category = raw.category;
+    if (!StateSerializer.CATEGORIES.includes(category)) {
+      category = 'OTHER';
+      repairs.push('category reset to OTHER');
+    }
+    
+    return {
+      id: typeof raw.id === 'string' && raw.id ? raw.id : `${raw.date}-${appName}`,
+      appName,
+      date: raw.date,
+      usageTime,
+      category,
+      isLimitExceeded: Boolean(raw.isLimitExceeded)
+    };
+  }
+  
+  static deserializeOverride(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const id = StateSerializer.requireString(raw.id, 'id');
+    const startedAt = StateSerializer.parseDate(raw.startedAt);
+    const endsAt = StateSerializer.parseDate(raw.endsAt);
+    if (!startedAt || !endsAt || endsAt < startedAt) {
+      throw new SerializationError('invalid start or end time');
+    }
+    
+    let reason = raw.reason;
+    if (typeof reason !== 'string') {
+      reason = '';
+      repairs.push('reason missing');
+    }
+    
+    let endedAt = null;
+    if (raw.endedAt !== null && raw.endedAt !== undefined) {
+      endedAt = StateSerializer.parseDate(raw.endedAt);
+      if (!endedAt) {
+        endedAt = endsAt;
+        repairs.push('end time reset');
+      }
+    }
+    
+    return {
+      id,
+      date: DateUtils.fromKey(raw.date) ? raw.date : DateUtils.toKey(startedAt),
+      reason,
+      duration: Math.round((endsAt - startedAt) / 1000),
+      startedAt,
+      endsAt,
+      endedAt,
+      endedEarly: Boolean(raw.endedEarly)
+    };
+  }
+  
+  static deserializeFocusSession(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const id = StateSerializer.requireString(raw.id, 'id');
+    const startedAt = StateSerializer.parseDate(raw.startedAt);
+    if (!startedAt) {
+      throw new SerializationError('invalid start time');
+    }
+    
+    const whole = (value, min) => Number.isInteger(value) && value >= min;
+    if (!whole(raw.workMinutes, 1) || !whole(raw.breakMinutes, 0) || !whole(raw.cycles, 1)) {
+      throw new SerializationError('invalid intervals');
+    }
+    // No break follows the last work interval
+    const minutes = raw.cycles * raw.workMinutes + (raw.cycles - 1) * raw.breakMinutes;
+    const endsAt = new Date(startedAt.getTime() + minutes * 60000);
+    
+    let blockedCategories = raw.blockedCategories;
+    if (!Array.isArray(blockedCategories)) {
+      blockedCategories = [];
+      repairs.push('blocked categories reset');
+    } else if (blockedCategories.some(category => !StateSerializer.CATEGORIES.includes(category))) {
+      blockedCategories = blockedCategories.filter(category => StateSerializer.CATEGORIES.includes(category));
+      repairs.push('unknown categories removed');
+    }
+    
+    let status = raw.status;
+    if (!['active', 'completed', 'abandoned'].includes(status)) {
+      status = 'abandoned';
+      repairs.push('status reset');
+    }
+    
+    let endedAt = null;
+    if (status !== 'active') {
+      endedAt = StateSerializer.parseDate(raw.endedAt);
+      if (!endedAt) {
+        endedAt = endsAt;
+        repairs.push('end time reset');
+      }
+    }
+    
+    let completedCycles = raw.completedCycles;
+    if (!whole(completedCycles, 0) || completedCycles > raw.cycles) {
+      completedCycles = status === 'completed' ? raw.cycles : 0;
+      repairs.push('completed cycles reset');
+    }
+    
+    return {
+      id,
+      date: DateUtils.fromKey(raw.date) ? raw.date : DateUtils.toKey(startedAt),
+      workMinutes: raw.workMinutes,
+      breakMinutes: raw.breakMinutes,
+      cycles: raw.cycles,
+      blockedCategories,
+      startedAt,
+      endsAt,
+      endedAt,
+      status,
+      completedCycles
+    };
+  }
+  
+  // Catalog entries; websites are keyed by their bare domain
+  static deserializeCatalogEntry(raw, repairs = []) {
+    if (!raw || typeof raw !== 'object') {
+      throw new SerializationError('not an object');
+    }
+    
+    const name = StateSerializer.requireString(raw.name, 'name').trim();
+    
+    let kind = raw.kind;
+    if (kind !== 'app' && kind !== 'website') {
+      kind = 'app';
+      repairs.push('kind reset to app');
+    }
+    
+    let category = raw.category;
+    if (!StateSerializer.CATEGORIES.includes(category)) {
+      category = 'OTHER';
+      repairs.push('category reset to OTHER');
+    }
+    
+    let domain = null;
+    if (kind === 'website') {
+      domain = String(raw.domain || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#]/)[0];
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        throw new SerializationError('invalid domain');
+      }
+    }
+    
+    let icon = typeof raw.icon === 'string' ? raw.icon.trim() : null;
+    if (icon && !/^(https?:|data:image\/)/.test(icon) && Array.from(icon).length > 2) {
+      icon = null;
+      repairs.push('icon reset');
+    }
+    
+    let id = raw.id;
+    if (typeof id !== 'string' || !id) {
+      id = StateSerializer.generateId();
+      repairs.push('id regenerated');
+    }
+    
+    return {
+      id,
+      name,
+      kind,
+      category,
+      icon: icon || null,
+      domain,
+      isBuiltIn: Boolean(raw.isBuiltIn)
+    };
+  }
+  
+  // Settings are validated one key at a time against their expected type
+  static deserializeSettings(raw, defaults) {
+    const settings = {};
+    const issues = [];
+    
+    Object.entries(raw || {}).forEach(([key, value]) => {
+      if (!(key in defaults)) return;
+      
+      const expected = defaults[key];
+      const isValid = expected === null
+        ? true
+        : typeof expected === 'object'
+          ? value !== null && typeof value === 'object' && !Array.isArray(value)
+          : typeof value === typeof expected;
+      
+      if (isValid) {
+        settings[key] = value;
+      } else {
+        issues.push({ type: 'setting', name: key, problem: `expected ${typeof expected}`, action: 'reset' });
+      }
+    });
+    
+    return { settings, issues };
+  }
+  
+  // Decode a stored list, keeping every entry that can be recovered
+  static deserializeList(type, rawList) {
+    const decoders = {
+      limit: StateSerializer.deserializeLimit,
+      group: StateSerializer.deserializeGroupLimit,
+      schedule: StateSerializer.deserializeSchedule,
+      usage: StateSerializer.deserializeUsage,
+      override: StateSerializer.deserializeOverride,
+      focus: StateSerializer.deserializeFocusSession,
+      catalog: StateSerializer.deserializeCatalogEntry
+    };
+    const decode = decoders[type];
+    const items = [];
+    const issues = [];
+    
+    (Array.isArray(rawList) ? rawList : []).forEach(raw => {
+      const label = raw && (raw.name || raw.appName || raw.id) || 'unknown entry';
+      const repairs = [];
+      
+      try {
+        items.push(StateSerializer.checkSchema(type, decode(raw, repairs)));
+        if (repairs.length > 0) {
+          issues.push({ type, name: label, problem: repairs.join(', '), action: 'repaired' });
+        }
+      } catch (error) {
+        if (!(error instanceof SerializationError)) throw error;
+        issues.push({ type, name: label, problem: error.message, action: 'dropped' });
+      }
+    });
+    
+    return { items, issues };
+  }
+  
+  static isUUID(value) {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value);
+  }
+  
+  static generateId() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+      const r = Math.random() * 16 | 0;
+      const v = c === 'x' ? r : (r & 0x3 | 0x8);
+      return v.toString(16);
+    });
+  }
+}
@@ -0,0 +1,173 @@
+//
+//  KaiSheng Usage Stats
+//  Aggregates AppUsage-shaped records by app, category, day and week
+//
+
+class UsageStats {
+  // records: [{ date: 'YYYY-MM-DD', appName, category, usageTime }] (seconds)
+  static aggregate(records, options = {}) {
+    const {
+      limits = [],
+      groupLimits = [],
+      today = new Date(),
+      days = 7,
+      weeks = 8,
+      warningPercent = 80,
+      getLimitFor = (limit) => limit.dailyLimit
+    } = options;
+    
+    const todayKey = DateUtils.toKey(today);
+    const periodStart = DateUtils.addDays(DateUtils.startOfDay(today), -(days - 1));
+    const previousStart = DateUtils.addDays(periodStart, -days);
+    const periodStartKey = DateUtils.toKey(periodStart);
+    const previousStartKey = DateUtils.toKey(previousStart);
+    
+    // Index usage by day, and by app within each day
+    const dayTotals = new Map();
+    const appDayTotals = new Map();
+    const dayRecords = new Map();
+    records.forEach(record => {
+      dayTotals.set(record.date, (dayTotals.get(record.date) || 0) + record.usageTime);
+      dayRecords.set(record.date, [...(dayRecords.get(record.date) || []), record]);
+      
+      const key = `${record.appName}|${record.date}`;
+      appDayTotals.set(key, (appDayTotals.get(key) || 0) + record.usageTime);
+    });
+    
+    const inPeriod = record => record.date >= periodStartKey && record.date <= todayKey;
+    const inPrevious = record => record.date >= previousStartKey && record.date < periodStartKey;
+    const periodRecords = records.filter(inPeriod);
+    const sum = list => list.reduce((total, record) => total + record.usageTime, 0);
+    
+    const byDay = [];
+    for (let i = 0; i < days; i++) {
+      const date = DateUtils.addDays(periodStart, i);
+      const key = DateUtils.toKey(date);
+      byDay.push({
+        date: key,
+        label: days <= 7 ? DateUtils.dayName(date) : DateUtils.formatShort(date),
+        total: dayTotals.get(key) || 0,
+        isToday: key === todayKey
+      });
+    }
+    
+    const currentWeek = DateUtils.startOfWeek(today);
+    const byWeek = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+      const weekStart = DateUtils.addDays(currentWeek, -7 * i);
+      const weekEndKey = DateUtils.toKey(DateUtils.addDays(weekStart, 6));
+      const weekStartKey = DateUtils.toKey(weekStart);
+      const total = records
+        .filter(record => record.date >= weekStartKey && record.date <= weekEndKey)
+        .reduce((value, record) => value + record.usageTime, 0);
+      byWeek.push({ weekStart: weekStartKey, label: DateUtils.formatShort(weekStart), total });
+    }
+    
+    const appTotals = new Map();
+    periodRecords.forEach(record => {
+      const entry = appTotals.get(record.appName) ||
+        { appName: record.appName, category: record.category, total: 0, today: 0 };
+      entry.total += record.usageTime;
+      if (record.date === todayKey) {
+        entry.today += record.usageTime;
+      }
+      appTotals.set(record.appName, entry);
+    });
+    const byApp = Array.from(appTotals.values()).sort((a, b) => b.total - a.total);
+    
+    const periodTotal = sum(periodRecords);
+    const categoryTotals = new Map();
+    periodRecords.forEach(record => {
+      const category = record.category || 'OTHER';
+      categoryTotals.set(category, (categoryTotals.get(category) || 0) + record.usageTime);
+    });
+    const byCategory = Array.from(categoryTotals.entries())
+      .map(([category, total]) => ({
+        category,
+        total,
+        share: periodTotal > 0 ? total / periodTotal : 0
+      }))
+      .sort((a, b) => b.total - a.total);
+    
+    const activeDays = byDay.filter(day => day.total > 0).length;
+    const previousTotal = sum(records.filter(inPrevious));
+    
+    // usageOn(dayKey) returns undefined for days with nothing tracked
+    const complianceOf = (limit, usageOn) => {
+      let daysTracked = 0;
+      let daysWithinLimit = 0;
+      
+      for (let i = 0; i < days; i++) {
+        const date = DateUtils.addDays(periodStart, i);
+        const usage = usageOn(DateUtils.toKey(date));
+        if (usage === undefined) continue;
+        
+        daysTracked++;
+        if (usage <= getLimitFor(limit, date)) {
+          daysWithinLimit++;
+        }
+      }
+      
+      const todayLimit = getLimitFor(limit, today);
+      const todayUsage = usageOn(todayKey) || 0;
+      const percentUsed = todayLimit > 0 ? (todayUsage / todayLimit) * 100 : 0;
+      
+      return {
+        id: limit.id,
+        dailyLimit: todayLimit,
+        todayUsage,
+        percentUsed,
+        daysTracked,
+        daysWithinLimit,
+        rate: daysTracked > 0 ? daysWithinLimit / daysTracked : null,
+        status: percentUsed >= 100 ? 'exceeded' : percentUsed >= (limit.warningThreshold || warningPercent) ? 'warning' : 'ok'
+      };
+    };
+    
+    const compliance = limits.map(limit => ({
+      appName: limit.appName,
+      ...complianceOf(limit, key => appDayTotals.get(`${limit.appName}|${key}`))
+    }));
+    
+    const groupCompliance = groupLimits.map(group => ({
+      name: group.name,
+      members: LimitPolicy.describeGroup(group),
+      ...complianceOf(group, key => dayRecords.has(key) ? LimitPolicy.getGroupUsage(group, dayRecords.get(key)) : undefined)
+    }));
+    
+    return {
+      generatedAt: new Date(),
+      period: { from: periodStartKey, to: todayKey, days },
+      totals: {
+        today: dayTotals.get(todayKey) || 0,
+        period: periodTotal,
+        allTime: sum(records)
+      },
+      averages: {
+        daily: activeDays > 0 ? periodTotal / activeDays : 0,
+        weekly: byWeek.length > 0 ? byWeek.reduce((total, week) => total + week.total, 0) / byWeek.length : 0
+      },
+      trend: UsageStats.trend(periodTotal, previousTotal),
+      byDay,
+      byWeek,
+      byApp,
+      byCategory,
+      compliance,
+      groupCompliance
+    };
+  }
+  
+  // Compare a period with the one before it
+  static trend(current, previous) {
+    if (previous === 0) {
+      return { current, previous, change: null, direction: current > 0 ? 'up' : 'flat' };
+    }
+    
+    const change = ((current - previous) / previous) * 100;
+    let direction = 'flat';
+    if (change > 5) direction = 'up';
+    if (change < -5) direction = 'down';
+    
+    return { current, previous, change, direction };
+  }
+}
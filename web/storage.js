@@ -0,0 +1,443 @@
+//
+//  KaiSheng Storage
+//  Versioned IndexedDB persistence with schema migrations and a localStorage fallback
+//
+
+// Object stores and their keys, with the schema version that introduced
+// them. Add stores with the next DB_VERSION as their version; add to
+// MIGRATIONS when stored data changes.
+const STORAGE_STORES = {
+  limits: { version: 1, keyPath: 'id' },
+  schedules: { version: 1, keyPath: 'id' },
+  usageHistory: { version: 1, keyPath: ['date', 'appName'], indexes: { date: 'date', appName: 'appName' } },
+  settings: { version: 1, keyPath: 'key' },
+  meta: { version: 1, keyPath: 'key' },
+  overrides: { version: 2, keyPath: 'id', indexes: { date: 'date' } },
+  groupLimits: { version: 3, keyPath: 'id' },
+  catalog: { version: 4, keyPath: 'id' },
+  focusSessions: { version: 5, keyPath: 'id', indexes: { date: 'date' } }
+};
+
+function storageKeyOf(storeName, value) {
+  const keyPath = STORAGE_STORES[storeName].keyPath;
+  return Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath];
+}
+
+class IndexedDBBackend {
+  constructor(name, version, options = {}) {
+    this.name = name;
+    this.version = version;
+    this.type = 'indexeddb';
+    this.db = null;
+    // Another tab holds the database open on an older version
+    this.onBlocked = options.onBlocked || null;
+    // Another tab upgraded the database; this one can no longer use it
+    this.onVersionChange = options.onVersionChange || null;
+  }
+  
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+  
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+      
+      request.onupgradeneeded = (event) => {
+        IndexedDBBackend.upgradeDatabase(request.result, event.oldVersion);
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Another tab is upgrading the schema; let it proceed, and tell this
+        // tab it has to reload before it can save again
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.onVersionChange?.();
+        };
+        resolve(this);
+      };
+      request.onerror = () => reject(request.error);
+      // The upgrade goes ahead once the other tabs close the database, so
+      // keep waiting for onsuccess rather than falling back to localStorage
+      request.onblocked = () => this.onBlocked?.();
+    });
+  }
+  
+  // Create every store added after the version the profile is on
+  static upgradeDatabase(db, oldVersion) {
+    Object.entries(STORAGE_STORES)
+      .filter(([, config]) => config.version > oldVersion)
+      .forEach(([storeName, config]) => {
+        const store = db.createObjectStore(storeName, { keyPath: config.keyPath });
+        Object.entries(config.indexes || {}).forEach(([indexName, keyPath]) => {
+          store.createIndex(indexName, keyPath);
+        });
+      });
+  }
+  
+  transaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      let result;
+      
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+      
+      const request = work(transaction);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+    });
+  }
+  
+  get(storeName, key) {
+    return this.transaction(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+  }
+  
+  getAll(storeName) {
+    return this.transaction(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+  }
+  
+  put(storeName, value) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      tx.objectStore(storeName).put(value);
+    });
+  }
+  
+  putAll(storeName, values) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      values.forEach(value => store.put(value));
+    });
+  }
+  
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      tx.objectStore(storeName).delete(key);
+    });
+  }
+  
+  // Replace the whole store atomically
+  replaceAll(storeName, values) {
+    return this.transaction(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      store.clear();
+      values.forEach(value => store.put(value));
+    });
+  }
+}
+
+// Same interface over localStorage, one JSON map per object store
+class LocalStorageBackend {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.type = 'localstorage';
+  }
+  
+  open() {
+    return Promise.resolve(this);
+  }
+  
+  storageKey(storeName) {
+    return `${this.prefix}:${storeName}`;
+  }
+  
+  readStore(storeName) {
+    const saved = localStorage.getItem(this.storageKey(storeName));
+    return saved ? JSON.parse(saved) : {};
+  }
+  
+  writeStore(storeName, entries) {
+    localStorage.setItem(this.storageKey(storeName), JSON.stringify(entries));
+  }
+  
+  mapKey(key) {
+    return Array.isArray(key) ? key.join('|') : String(key);
+  }
+  
+  async get(storeName, key) {
+    return this.readStore(storeName)[this.mapKey(key)];
+  }
+  
+  async getAll(storeName) {
+    return Object.values(this.readStore(storeName));
+  }
+  
+  async put(storeName, value) {
+    return this.putAll(storeName, [value]);
+  }
+  
+  async putAll(storeName, values) {
+    const entries = this.readStore(storeName);
+    values.forEach(value => {
+      entries[this.mapKey(storageKeyOf(storeName, value))] = value;
+    });
+    this.writeStore(storeName, entries);
+  }
+  
+  async delete(storeName, key) {
+    const entries = this.readStore(storeName);
+    delete entries[this.mapKey(key)];
+    this.writeStore(storeName, entries);
+  }
+  
+  async replaceAll(storeName, values) {
+    this.writeStore(storeName, {});
+    return this.putAll(storeName, values);
+  }
+}
+
+class KaiShengStorage {
+  static get DB_NAME() {
+    return 'kaisheng';
+  }
+  
+  static get DB_VERSION() {
+    return 5;
+  }
+  
+  // Data migrations, run in order once per profile
+  static get MIGRATIONS() {
+    return [
+      {
+        version: 1,
+        description: 'Split the legacy kaisheng-state blob into object stores',
+        migrate: (storage) => storage.importLegacyState()
+      }
+    ];
+  }
+  
+  constructor(options = {}) {
+    this.backend = null;
+    this.writeQueue = Promise.resolve();
+    this.onBlocked = options.onBlocked || null;
+    this.onVersionChange = options.onVersionChange || null;
+  }
+  
+  async open() {
+    if (this.backend) return this;
+    
+    if (IndexedDBBackend.isSupported()) {
+      try {
+        this.backend = await new IndexedDBBackend(KaiShengStorage.DB_NAME, KaiShengStorage.DB_VERSION, {
+          onBlocked: this.onBlocked,
+          onVersionChange: this.onVersionChange
+        }).open();
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+      }
+    }
+    
+    if (!this.backend) {
+      this.backend = await new LocalStorageBackend(KaiShengStorage.DB_NAME).open();
+    }
+    
+    await this.runMigrations();
+    return this;
+  }
+  
+  get type() {
+    return this.backend ? this.backend.type : null;
+  }
+  
+  async runMigrations() {
+    const record = await this.backend.get('meta', 'schemaVersion');
+    let version = record ? record.value : 0;
+    
+    for (const migration of KaiShengStorage.MIGRATIONS) {
+      if (migration.version <= version) continue;
+      
+      await migration.migrate(this);
+      version = migration.version;
+      await this.backend.put('meta', { key: 'schemaVersion', value: version, migratedAt: new Date().toISOString() });
+      console.log(`[KaiSheng] Storage migrated to v${version}: ${migration.description}`);
+    }
+  }
+  
+  // Writes are serialized so that a later save never lands before an earlier one
+  enqueue(write) {
+    this.writeQueue = this.writeQueue
+      .then(write)
+      .catch(error => console.warn('Failed to write to storage:', error));
+    return this.writeQueue;
+  }
+  
+  flush() {
+    return this.writeQueue;
+  }
+  
+  // Domain API
+  
+  loadLimits() {
+    return this.backend.getAll('limits');
+  }
+  
+  saveLimits(limits) {
+    return this.enqueue(() => this.backend.replaceAll('limits', limits));
+  }
+  
+  loadGroupLimits() {
+    return this.backend.getAll('groupLimits');
+  }
+  
+  saveGroupLimits(groups) {
+    return this.enqueue(() => this.backend.replaceAll('groupLimits', groups));
+  }
+  
+  loadCatalog() {
+    return this.backend.getAll('catalog');
+  }
+  
+  saveCatalog(entries) {
+    return this.enqueue(() => this.backend.replaceAll('catalog', entries));
+  }
+  
+  loadSchedules() {
+    return this.backend.getAll('schedules');
+  }
+  
+  saveSchedules(schedules) {
+    return this.enqueue(() => this.backend.replaceAll('schedules', schedules));
+  }
+  
+  async loadSettings() {
+    const rows = await this.backend.getAll('settings');
+    return rows.reduce((settings, row) => {
+      settings[row.key] = row.value;
+      return settings;
+    }, {});
+  }
+  
+  saveSettings(settings) {
+    const rows = Object.entries(settings).map(([key, value]) => ({ key, value }));
+    return this.enqueue(() => this.backend.putAll('settings', rows));
+  }
+  
+  loadUsageHistory() {
+    return this.backend.getAll('usageHistory');
+  }
+  
+  saveUsageRecords(records) {
+    return this.enqueue(() => this.backend.putAll('usageHistory', records));
+  }
+  
+  deleteUsageRecords(records) {
+    return this.enqueue(async () => {
+      for (const record of records) {
+        await this.backend.delete('usageHistory', [record.date, record.appName]);
+      }
+    });
+  }
+  
+  // Usage synced from other devices, as { [deviceId]: records }
+  async loadDeviceUsage() {
+    const record = await this.backend.get('meta', 'deviceUsage');
+    return record ? record.value : null;
+  }
+  
+  saveDeviceUsage(devices) {
+    return this.enqueue(() => this.backend.put('meta', { key: 'deviceUsage', value: devices }));
+  }
+  
+  loadOverrides() {
+    return this.backend.getAll('overrides');
+  }
+  
+  saveOverride(session) {
+    return this.enqueue(() => this.backend.put('overrides', session));
+  }
+  
+  loadFocusSessions() {
+    return this.backend.getAll('focusSessions');
+  }
+  
+  saveFocusSession(session) {
+    return this.enqueue(() => this.backend.put('focusSessions', session));
+  }
+  
+  // Sync server settings, cursor and offline queue, kept as one record
+  async loadSyncState() {
+    const record = await this.backend.get('meta', 'sync');
+    return record ? record.value : null;
+  }
+  
+  saveSyncState(state) {
+    return this.enqueue(() => this.backend.put('meta', { key: 'sync', value: state }));
+  }
+  
+  async loadGuardianState() {
+    const record = await this.backend.get('meta', 'guardian');
+    return record ? record.value : null;
+  }
+  
+  saveGuardianState(state) {
+    return this.enqueue(() => this.backend.put('meta', { key: 'guardian', value: state }));
+  }
+  
+  // Migration 1: older dashboards kept everything in one localStorage blob,
+  // with today's usage as a usageTime counter on each limit, and history
+  // in its own kaisheng-usage-history blob
+  async importLegacyState() {
+    let legacyState = null;
+    let legacyHistory = null;
+    
+    try {
+      legacyState = JSON.parse(localStorage.getItem('kaisheng-state') || 'null');
+      legacyHistory = JSON.parse(localStorage.getItem('kaisheng-usage-history') || 'null');
+    } catch (error) {
+      console.warn('Legacy state is unreadable, skipping import:', error);
+    }
+    
+    const usageRecords = [];
+    if (legacyHistory && legacyHistory.days) {
+      Object.values(legacyHistory.days).forEach(day => {
+        Object.values(day).forEach(record => usageRecords.push(record));
+      });
+    }
+    
+    if (legacyState) {
+      const today = DateUtils.toKey(new Date());
+      const limits = (legacyState.appLimits || []).map(limit => {
+        const { usageTime, ...rest } = limit;
+        const hasToday = usageRecords.some(record => record.date === today && record.appName === limit.appName);
+        if (usageTime > 0 && !hasToday) {
+          usageRecords.push({
+            id: `${today}-${limit.appName}`,
+            appName: limit.appName,
+            date: today,
+            usageTime,
+            category: limit.category || 'OTHER',
+            isLimitExceeded: usageTime >= limit.dailyLimit
+          });
+        }
+        return rest;
+      });
+      
+      await this.backend.replaceAll('limits', limits);
+      await this.backend.replaceAll('schedules', legacyState.downtimeSchedules || []);
+      
+      const settings = {};
+      ['theme', 'notifications', 'historyRetention'].forEach(key => {
+        if (legacyState[key] !== undefined) settings[key] = legacyState[key];
+      });
+      if (legacyState.motion) {
+        settings.motion = {
+          stepThreshold: legacyState.motion.stepThreshold,
+          source: legacyState.motion.source
+        };
+      }
+      await this.backend.putAll('settings', Object.entries(settings).map(([key, value]) => ({ key, value })));
+    }
+    
+    if (usageRecords.length > 0) {
+      await this.backend.putAll('usageHistory', usageRecords);
+    }
+    
+    // The data now lives in the object stores; free the localStorage quota
+    localStorage.removeItem('kaisheng-state');
+    localStorage.removeItem('kaisheng-usage-history');
+  }
+}
@@ -0,0 +1,88 @@
+//
+//  KaiSheng Service Worker
+//  Precaches the dashboard so it loads, and keeps enforcing, while offline
+//
+
+// Bump CACHE_VERSION whenever a precached file changes; the dashboard then
+// sees a waiting worker and offers to reload. Keep PRECACHE_URLS in step
+// with the files dashboard.html links to.
+const CACHE_PREFIX = 'kaisheng-';
+const CACHE_VERSION = 'v8';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  'dashboard.html',
+  'manifest.webmanifest',
+  'app-data-models.schema.json',
+  'icons/icon.svg',
+  'styles.css',
+  'html-utils.js',
+  'date-utils.js',
+  'notifications.js',
+  'motion.js',
+  'motion-sources.js',
+  'charts.js',
+  'limits.js',
+  'stats.js',
+  'serialization.js',
+  'schema-validator.js',
+  'app-catalog.js',
+  'storage.js',
+  'usage-history.js',
+  'enforcement.js',
+  'schedules.js',
+  'icalendar.js',
+  'limit-alerts.js',
+  'overrides.js',
+  'focus.js',
+  'backup.js',
+  'sync.js',
+  'guardian.js',
+  'dashboard.js'
+];
+
+// A new version waits until the page says so, so a dashboard that is open
+// never runs old scripts against a new cache. Precaching bypasses the HTTP
+// cache, which could still hold copies from the previous version.
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+// Drop caches from earlier versions, then take over open dashboards
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Pages and scripts both come from this version's cache, so a page and its
+// scripts always belong to the same deploy until the update is accepted.
+// The browser still checks for a new worker on every navigation. Anything
+// not precached goes to the network.
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  
+  const isPage = request.mode === 'navigate';
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => isPage
+        ? cache.match(request, { ignoreSearch: true }).then(page => page || cache.match('dashboard.html'))
+        : cache.match(request))
+      .then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,280 @@
+//
+//  KaiSheng Sync
+//  Keeps limits, schedules and usage in step with a self-hosted sync server
+//
+
+class SyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncError';
+  }
+}
+
+// The server (server/sync-server.js) keeps the latest write of each record.
+// The client works out what changed by comparing the dashboard's state with
+// what it last sent or received: track() queues every record that differs,
+// stamped with the time it noticed, and removed records as deletions. The
+// queue is saved with the rest of the sync state, so changes made offline
+// go out when the connection returns. sync() sends the queue and applies
+// what other devices changed since the last sync.
+//
+// Records are keyed the same way on every device: limits by app, schedules
+// by id. Usage is each device's own, keyed by day, app and device, so
+// devices never overwrite each other's totals; the dashboard adds them up.
+// Usage is never deleted remotely, so a short history retention here
+// doesn't trim other devices' history.
+class SyncClient {
+  static get COLLECTIONS() {
+    return {
+      limits: { keyOf: (limit) => limit.appName, syncDeletes: true },
+      schedules: { keyOf: (schedule) => schedule.id, syncDeletes: true },
+      usage: { keyOf: (record, deviceId) => `${record.date}|${record.appName}|${deviceId}`, syncDeletes: false }
+    };
+  }
+  
+  // How often to sync while the dashboard is open
+  static get INTERVAL() {
+    return 5 * 60000;
+  }
+  
+  static get TIMEOUT() {
+    return 15000;
+  }
+  
+  static emptyState() {
+    return {
+      deviceId: StateSerializer.generateId(),
+      serverUrl: '',
+      token: '',
+      cursor: 0,
+      lastSyncedAt: null,
+      queue: [],
+      known: {}
+    };
+  }
+  
+  // Same rule as the server: later updatedAt wins, device id breaks ties
+  static isNewer(change, record) {
+    if (change.updatedAt !== record.updatedAt) return change.updatedAt > record.updatedAt;
+    return change.deviceId > record.deviceId;
+  }
+  
+  // Short hash of a record, so known changes are cheap to keep
+  static fingerprint(data) {
+    const text = JSON.stringify(data);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+  
+  // getSnapshot returns { limits, schedules, usage } as serialized records,
+  // with only this device's own usage; applyChanges receives the same keys
+  // with lists of server records
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.getSnapshot = options.getSnapshot;
+    this.applyChanges = options.applyChanges;
+    this.state = SyncClient.emptyState();
+    this.applying = false;
+    this.syncing = null;
+  }
+  
+  get isConfigured() {
+    return Boolean(this.state.serverUrl);
+  }
+  
+  get pendingCount() {
+    return this.state.queue.length;
+  }
+  
+  async load() {
+    try {
+      const saved = this.storage ? await this.storage.loadSyncState() : null;
+      if (saved) {
+        this.state = { ...SyncClient.emptyState(), ...saved };
+      }
+    } catch (error) {
+      console.warn('Failed to load sync state:', error);
+    }
+    return this;
+  }
+  
+  persist() {
+    if (this.storage) {
+      this.storage.saveSyncState(this.state);
+    }
+  }
+  
+  // An empty URL turns sync off. A different server starts from scratch,
+  // so everything here is sent to it on the next sync.
+  configure({ serverUrl, token }) {
+    const url = serverUrl.trim().replace(/\/+$/, '');
+    if (url && !/^https?:\/\/[^/]+/.test(url)) {
+      throw new SyncError('Server URL must start with http:// or https://');
+    }
+    
+    if (url !== this.state.serverUrl) {
+      this.state = { ...this.state, cursor: 0, lastSyncedAt: null, queue: [], known: {} };
+    }
+    this.state.serverUrl = url;
+    this.state.token = token.trim();
+    this.persist();
+  }
+  
+  // Queue every record that changed since it was last synced; returns how
+  // many were queued
+  track(now = new Date()) {
+    if (!this.isConfigured || this.applying) return 0;
+    
+    const snapshot = this.getSnapshot();
+    const updatedAt = now.toISOString();
+    const seen = new Set();
+    let queued = 0;
+    
+    Object.entries(SyncClient.COLLECTIONS).forEach(([collection, config]) => {
+      (snapshot[collection] || []).forEach(data => {
+        const key = config.keyOf(data, this.state.deviceId);
+        const id = `${collection}|${key}`;
+        const fingerprint = SyncClient.fingerprint(data);
+        seen.add(id);
+        if (this.state.known[id] === fingerprint) return;
+        
+        this.enqueue({ collection, key, data, deleted: false, updatedAt });
+        this.state.known[id] = fingerprint;
+        queued++;
+      });
+    });
+    
+    Object.keys(this.state.known)
+      .filter(id => !seen.has(id))
+      .forEach(id => {
+        const [collection, ...rest] = id.split('|');
+        if (SyncClient.COLLECTIONS[collection].syncDeletes) {
+          this.enqueue({ collection, key: rest.join('|'), data: null, deleted: true, updatedAt });
+          queued++;
+        }
+        delete this.state.known[id];
+      });
+    
+    if (queued > 0) this.persist();
+    return queued;
+  }
+  
+  // Only the latest change to a record is kept
+  enqueue(change) {
+    this.state.queue = this.state.queue
+      .filter(entry => entry.collection !== change.collection || entry.key !== change.key)
+      .concat(change);
+  }
+  
+  // Remember the current state as synced, without queueing it
+  adopt() {
+    const snapshot = this.getSnapshot();
+    this.state.known = {};
+    Object.entries(SyncClient.COLLECTIONS).forEach(([collection, config]) => {
+      (snapshot[collection] || []).forEach(data => {
+        this.state.known[`${collection}|${config.keyOf(data, this.state.deviceId)}`] = SyncClient.fingerprint(data);
+      });
+    });
+  }
+  
+  // Send the queue and apply what other devices changed; calls made while
+  // a sync is running share it. Resolves to { sent, received, rejected }.
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.run().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+  
+  async run() {
+    if (!this.isConfigured) {
+      throw new SyncError('Set up a sync server first');
+    }
+    
+    this.track();
+    const sent = this.state.queue.slice();
+    const response = await this.request('/api/sync', {
+      deviceId: this.state.deviceId,
+      since: this.state.cursor,
+      changes: sent.map(({ collection, key, data, deleted, updatedAt }) => ({ collection, key, data, deleted, updatedAt }))
+    });
+    
+    // Changes made while the request was out stay queued
+    this.track();
+    this.state.queue = this.state.queue.filter(change => !sent.includes(change));
+    
+    const rejected = response.results.filter(result => result.error);
+    rejected.forEach(result => {
+      console.warn(`Sync server rejected ${result.collection} "${result.key}": ${result.error}`);
+    });
+    
+    // Where another device's newer write won, the result carries the winner
+    const pending = new Map(this.state.queue.map(change => [`${change.collection}|${change.key}`, change]));
+    const incoming = [...response.changes, ...response.results.filter(result => result.record).map(result => result.record)]
+      .filter(record => SyncClient.COLLECTIONS[record.collection])
+      .filter(record => {
+        const change = pending.get(`${record.collection}|${record.key}`);
+        return !change || !SyncClient.isNewer({ ...change, deviceId: this.state.deviceId }, record);
+      });
+    
+    if (incoming.length > 0) {
+      // Older local changes to the same records lost; don't send them again
+      const replaced = new Set(incoming.map(record => `${record.collection}|${record.key}`));
+      this.state.queue = this.state.queue.filter(change => !replaced.has(`${change.collection}|${change.key}`));
+      
+      const changes = { limits: [], schedules: [], usage: [] };
+      incoming.forEach(record => changes[record.collection].push(record));
+      
+      this.applying = true;
+      try {
+        this.applyChanges(changes);
+      } finally {
+        this.applying = false;
+      }
+      this.adopt();
+    }
+    
+    this.state.cursor = response.revision;
+    this.state.lastSyncedAt = new Date().toISOString();
+    this.persist();
+    return { sent: sent.length - rejected.length, received: incoming.length, rejected: rejected.length };
+  }
+  
+  async request(path, body) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SyncClient.TIMEOUT);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.state.token) {
+      headers.Authorization = `Bearer ${this.state.token}`;
+    }
+    
+    let response;
+    try {
+      response = await fetch(`${this.state.serverUrl}${path}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new SyncError(error.name === 'AbortError' ? 'The sync server did not answer in time' : 'Could not reach the sync server');
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new SyncError(payload && payload.error ? `Sync failed: ${payload.error}` : `Sync failed with status ${response.status}`);
+    }
+    if (!payload || !Number.isInteger(payload.revision) || !Array.isArray(payload.results) || !Array.isArray(payload.changes)) {
+      throw new SyncError('The sync server sent an unexpected answer');
+    }
+    return payload;
+  }
+}
@@ -0,0 +1,39 @@
+//
+//  KaiSheng App Catalog Tests
+//  Which catalog imports move existing apps to another category
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { AppCatalog, CatalogError } = loadScripts('date-utils.js', 'serialization.js', 'html-utils.js', 'app-catalog.js');
+
+test('an import that moves an existing app to another category is reported', () => {
+  const catalog = new AppCatalog();
+  const text = JSON.stringify([
+    { name: 'tiktok', category: 'PRODUCTIVITY' },
+    { name: 'YouTube', category: 'ENTERTAINMENT' },
+    { name: 'Duolingo', category: 'PRODUCTIVITY' }
+  ]);
+  
+  assert.deepEqual(catalog.getRecategorized(text), ['TikTok']);
+  assert.equal(catalog.getCategory('TikTok'), 'SOCIAL');
+});
+
+test('an unknown category counts as a move to OTHER, as importing it would', () => {
+  const catalog = new AppCatalog();
+  const text = JSON.stringify({ apps: [{ name: 'Roblox', category: 'Educational' }, { name: 'Maps', icon: 'M' }] });
+  
+  assert.deepEqual(catalog.getRecategorized(text), ['Roblox']);
+  catalog.importJSON(text);
+  assert.equal(catalog.getCategory('Roblox'), 'OTHER');
+  assert.equal(catalog.getCategory('Maps'), 'UTILITIES');
+});
+
+test('files that are not a catalog are rejected before anything changes', () => {
+  const catalog = new AppCatalog();
+  
+  assert.throws(() => catalog.getRecategorized('{ not json'), CatalogError);
+  assert.throws(() => catalog.getRecategorized('{"apps": 3}'), /list of apps/);
+});
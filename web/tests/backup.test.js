@@ -0,0 +1,149 @@
+//
+//  KaiSheng Backup Tests
+//  What a merge or replace import would change, and which files are refused
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { StateBackup, BackupError, AppCatalog } = loadScripts(
+  'date-utils.js', 'serialization.js', 'html-utils.js', 'app-catalog.js', 'backup.js'
+);
+
+const createdAt = new Date('2024-03-01T09:00:00.000Z');
+const settingsDefaults = { theme: 'dark', historyRetention: 30 };
+
+const limit = (appName, dailyLimit) => ({
+  id: `limit-${appName}`, appName, dailyLimit, category: 'OTHER', warningThreshold: null, weekdayLimits: {}, isEnabled: true, createdAt
+});
+const usage = (date, appName, usageTime) => ({
+  id: `${date}-${appName}`, appName, date, usageTime, category: 'OTHER', isLimitExceeded: false
+});
+const schedule = (id, name) => ({
+  id,
+  name,
+  startTime: new Date(2024, 2, 4, 21, 0),
+  endTime: new Date(2024, 2, 5, 7, 0),
+  isRecurring: true,
+  recurringDays: new Set(['Mon']),
+  date: null,
+  startDate: null,
+  endDate: null,
+  exceptionDates: [],
+  blockedApps: [],
+  blockedCategories: [],
+  allowedApps: [],
+  blockEntireDevice: true,
+  isEnabled: true,
+  createdAt
+});
+const app = (name, category, isBuiltIn = false) => ({
+  id: isBuiltIn ? `builtin:${name.toLowerCase()}` : `custom-${name}`, name, kind: 'app', category, icon: null, domain: null, isBuiltIn
+});
+
+const current = {
+  limits: [limit('YouTube', 3600), limit('TikTok', 1800)],
+  groups: [],
+  schedules: [schedule('5e4d3c2b-1a09-4f8e-8d7c-6b5a49382716', 'Bedtime')],
+  usage: [usage('2024-03-04', 'YouTube', 600), usage('2024-03-04', 'TikTok', 300)],
+  catalog: [app('YouTube', 'ENTERTAINMENT', true), app('Homework Helper', 'EDUCATION'), app('Old Game', 'GAMES')]
+};
+
+// A backup file as another device would have exported it
+function backupText(state, fields = {}) {
+  return JSON.stringify({
+    ...StateBackup.create({ groups: [], settings: { theme: 'light' }, ...state }, createdAt),
+    ...fields
+  });
+}
+
+const file = backupText({
+  limits: [limit('YouTube', 5400), limit('Netflix', 3600)],
+  schedules: [schedule('0b6c3f0e-5d1a-4c7b-9e2f-8a4d6b1c2e3f', 'School')],
+  usage: [usage('2024-03-04', 'YouTube', 900), usage('2024-03-05', 'YouTube', 1200)],
+  catalog: [app('Roblox', 'GAMES'), app('homework helper', 'PRODUCTIVITY')]
+});
+
+const counts = (plan) => Object.fromEntries(plan.summary.map(({ label, added, updated, removed }) => [label, [added, updated, removed]]));
+
+test('a backup parses back into the shapes the dashboard holds', () => {
+  const backup = StateBackup.parse(file, settingsDefaults);
+  
+  assert.deepEqual(backup.issues, []);
+  assert.equal(backup.exportedAt.getTime(), createdAt.getTime());
+  assert.deepEqual(backup.limits.map(entry => [entry.appName, entry.dailyLimit]), [['YouTube', 5400], ['Netflix', 3600]]);
+  assert.ok(backup.schedules[0].recurringDays instanceof Set);
+  assert.ok(backup.schedules[0].startTime instanceof Date);
+  assert.deepEqual(backup.settings, { theme: 'light' });
+});
+
+test('merge keeps what is here, adds the file\'s entries and lets the file\'s copy win', () => {
+  const plan = StateBackup.plan(current, StateBackup.parse(file, settingsDefaults), 'merge');
+  
+  assert.deepEqual(counts(plan), {
+    'App limits': [1, 1, 0],
+    'Shared limits': [0, 0, 0],
+    'Downtime schedules': [1, 0, 0],
+    'Usage records': [1, 1, 0],
+    'Catalog apps': [1, 1, 0]
+  });
+  assert.deepEqual(plan.result.limits.map(entry => [entry.appName, entry.dailyLimit]), [['YouTube', 5400], ['TikTok', 1800], ['Netflix', 3600]]);
+  assert.deepEqual(plan.result.usage.map(record => record.usageTime), [900, 300, 1200]);
+  assert.deepEqual(plan.result.schedules.map(entry => entry.name), ['Bedtime', 'School']);
+  assert.deepEqual(plan.result.settings, { theme: 'light' });
+});
+
+test('replace swaps each section for the file\'s copy', () => {
+  const plan = StateBackup.plan(current, StateBackup.parse(file, settingsDefaults), 'replace');
+  
+  assert.deepEqual(counts(plan), {
+    'App limits': [1, 1, 1],
+    'Shared limits': [0, 0, 0],
+    'Downtime schedules': [1, 0, 1],
+    'Usage records': [1, 1, 1],
+    'Catalog apps': [1, 1, 1]
+  });
+  assert.deepEqual(plan.result.limits.map(entry => entry.appName), ['YouTube', 'Netflix']);
+  assert.deepEqual(plan.result.schedules.map(entry => entry.name), ['School']);
+});
+
+test('replacing the catalog never removes a built-in app', () => {
+  const plan = StateBackup.plan(current, StateBackup.parse(file, settingsDefaults), 'replace');
+  const [catalogSummary] = plan.summary.filter(section => section.label === 'Catalog apps');
+  // Only the custom app the file lacks; YouTube is not in the file either
+  assert.equal(catalogSummary.removed, 1);
+  
+  // The built-ins come back when the planned catalog is restored
+  const catalog = new AppCatalog();
+  catalog.restore(plan.result.catalog);
+  assert.equal(catalog.getCategory('YouTube'), 'ENTERTAINMENT');
+  assert.equal(catalog.getCategory('Roblox'), 'GAMES');
+  assert.equal(catalog.getCategory('Homework Helper'), 'PRODUCTIVITY');
+  assert.equal(catalog.find('Old Game'), null);
+});
+
+test('sections missing from the file are left alone', () => {
+  const backup = StateBackup.parse(JSON.stringify({ format: 'kaisheng-backup', version: 1, appLimits: [] }), settingsDefaults);
+  const plan = StateBackup.plan(current, backup, 'replace');
+  
+  assert.deepEqual(counts(plan), { 'App limits': [0, 0, 2] });
+  assert.deepEqual(plan.result.limits, []);
+  ['groups', 'schedules', 'usage', 'catalog', 'settings'].forEach(key => assert.equal(plan.result[key], null, key));
+  assert.throws(() => StateBackup.plan(current, backup, 'overwrite'), BackupError);
+});
+
+test('files from a newer version or another app are refused', () => {
+  const refuses = (text, pattern) => assert.throws(() => StateBackup.parse(text, settingsDefaults), error => {
+    assert.ok(error instanceof BackupError);
+    assert.match(error.message, pattern);
+    return true;
+  });
+  
+  refuses(backupText({ limits: [], schedules: [], usage: [], catalog: [] }, { version: StateBackup.VERSION + 1 }), /newer version/);
+  refuses(backupText({ limits: [], schedules: [], usage: [], catalog: [] }, { version: '1' }), /no valid version/);
+  refuses(JSON.stringify({ format: 'screen-time-export', version: 1, appLimits: [] }), /Not a KaiSheng backup/);
+  refuses(JSON.stringify([limit('YouTube', 3600)]), /Not a KaiSheng backup/);
+  refuses('{ "format": "kaisheng-backup"', /not valid JSON/);
+  refuses(JSON.stringify({ format: 'kaisheng-backup', version: 1, appLimits: {} }), /App limits in the backup are not a list/);
+});
@@ -0,0 +1,189 @@
+//
+//  KaiSheng iCalendar Tests
+//  Exported schedules import unchanged, and other calendars' events map to local times
+//
+
+// The zone has to be set before anything reads the clock
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, throughJSON } = require('./load-scripts');
+
+const { StateSerializer, ICalendar, ICalendarError } = loadScripts(
+  'date-utils.js', 'serialization.js', 'html-utils.js', 'schedules.js', 'app-catalog.js', 'icalendar.js'
+);
+
+// Before every event below, so none of them counts as over
+const now = new Date(2024, 2, 1, 12, 0);
+
+// A calendar from another app around the given VEVENT lines
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', 'BEGIN:VEVENT', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+}
+
+function parseOne(text) {
+  const { events, skipped } = ICalendar.parse(text, now);
+  assert.deepEqual(skipped, []);
+  assert.equal(events.length, 1);
+  return events[0].schedule;
+}
+
+const bedtime = {
+  id: '7a1c9e2d-4b3f-4e8a-9c6d-2f1e0b9a8c7d',
+  name: 'Bedtime; no phones, no tablets, no games — école et maison, 就寝時間 for everyone',
+  startTime: new Date(2024, 2, 4, 21, 30),
+  endTime: new Date(2024, 2, 5, 7, 0),
+  isRecurring: true,
+  recurringDays: new Set(['Mon', 'Wed', 'Fri']),
+  date: null,
+  startDate: '2024-03-04',
+  endDate: '2024-06-28',
+  exceptionDates: ['2024-03-11', '2024-04-01'],
+  blockedApps: ['YouTube', 'Roblox, Inc.'],
+  blockedCategories: ['GAMES', 'SOCIAL'],
+  allowedApps: ['Phone'],
+  blockEntireDevice: false,
+  isEnabled: true,
+  createdAt: new Date('2024-03-01T09:00:00.000Z')
+};
+
+test('an exported schedule imports unchanged, keeping its id', () => {
+  const text = ICalendar.fromSchedules([bedtime], now);
+  const { events, skipped } = ICalendar.parse(text, now);
+  
+  assert.deepEqual(skipped, []);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].hasTargets, true);
+  
+  const { createdAt, ...expected } = throughJSON(StateSerializer.serializeSchedule(bedtime));
+  const { createdAt: importedAt, ...imported } = events[0].schedule;
+  assert.deepEqual({ ...imported, recurringDays: [...imported.recurringDays].sort() }, { ...expected, recurringDays: ['Fri', 'Mon', 'Wed'] });
+  assert.equal(importedAt.getTime(), now.getTime());
+});
+
+test('long lines are folded at 75 octets and unfolded on import', () => {
+  const text = ICalendar.fromSchedules([bedtime], now);
+  const lines = text.split('\r\n');
+  
+  assert.ok(lines.some(line => line.startsWith(' ')), 'nothing was folded');
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(ICalendar.unfold(text).includes(`SUMMARY:${ICalendar.escapeText(bedtime.name)}`));
+  
+  // A multi-byte character is never split across lines
+  const folded = ICalendar.foldLine(`SUMMARY:${'就'.repeat(40)}`).split('\r\n');
+  assert.deepEqual(folded.map(line => Buffer.byteLength(line)), [74, 55]);
+});
+
+test('only ids KaiSheng exported are kept; other UIDs get a new one', () => {
+  const event = (uid) => parseOne(calendar(`UID:${uid}`, 'DTSTART:20240304T210000', 'DTEND:20240304T220000'));
+  
+  assert.equal(event(`${bedtime.id}@kaisheng`).id, bedtime.id);
+  [`${bedtime.id.toUpperCase()}@kaisheng`, 'bedtime@kaisheng', `${bedtime.id}@example.com`].forEach(uid => {
+    const id = event(uid).id;
+    assert.ok(StateSerializer.isUUID(id), uid);
+    assert.notEqual(id, bedtime.id, uid);
+  });
+});
+
+test('UTC times are converted to local time, moving BYDAY with them', () => {
+  // Monday 02:00 UTC is Sunday 21:00 in New York
+  const schedule = parseOne(calendar(
+    'DTSTART:20240304T020000Z',
+    'DTEND:20240304T030000Z',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,TH'
+  ));
+  
+  assert.deepEqual([schedule.startTime, schedule.endTime], ['21:00', '22:00']);
+  assert.deepEqual(schedule.recurringDays, ['Sun', 'Wed']);
+  assert.equal(schedule.startDate, '2024-03-03');
+});
+
+test('TZID times are converted from their own zone', () => {
+  // Monday 09:00 in Tokyo is Sunday 19:00 in New York
+  const schedule = parseOne(calendar(
+    'DTSTART;TZID=Asia/Tokyo:20240304T090000',
+    'DTEND;TZID=Asia/Tokyo:20240304T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,SA'
+  ));
+  
+  assert.deepEqual([schedule.startTime, schedule.endTime], ['19:00', '20:00']);
+  assert.deepEqual(schedule.recurringDays, ['Sun', 'Fri']);
+  
+  // An unknown zone is read as floating local time
+  const floating = parseOne(calendar('DTSTART;TZID="Nowhere/Special":20240304T090000', 'DTEND:20240304T100000'));
+  assert.deepEqual([floating.date, floating.startTime], ['2024-03-04', '09:00']);
+});
+
+test('a TZID event across midnight keeps its days when the start stays on the same day', () => {
+  // 22:00-06:30 in London is 17:00-01:30 in New York, still Monday evening
+  const schedule = parseOne(calendar(
+    'DTSTART;TZID=Europe/London:20240304T220000',
+    'DTEND;TZID=Europe/London:20240305T063000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,TU'
+  ));
+  
+  assert.deepEqual([schedule.startTime, schedule.endTime], ['17:00', '01:30']);
+  assert.deepEqual(schedule.recurringDays, ['Mon', 'Tue']);
+  assert.equal(schedule.startDate, '2024-03-04');
+});
+
+test('a TZID event across midnight there may start the next day here', () => {
+  // 23:00-01:00 in Los Angeles is 02:00-04:00 the next morning in New York
+  const schedule = parseOne(calendar(
+    'DTSTART;TZID=America/Los_Angeles:20240304T230000',
+    'DTEND;TZID=America/Los_Angeles:20240305T010000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,FR'
+  ));
+  
+  assert.deepEqual([schedule.startTime, schedule.endTime], ['02:00', '04:00']);
+  assert.deepEqual(schedule.recurringDays, ['Tue', 'Sat']);
+  assert.equal(schedule.startDate, '2024-03-05');
+});
+
+test('COUNT and UNTIL become the end date', () => {
+  const rule = (value) => parseOne(calendar('DTSTART:20240304T210000', 'DTEND:20240304T220000', `RRULE:${value}`));
+  
+  // Mon 4, Wed 6, Mon 11
+  assert.equal(rule('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3').endDate, '2024-03-11');
+  assert.equal(rule('FREQ=DAILY;COUNT=10').endDate, '2024-03-13');
+  assert.equal(rule('FREQ=WEEKLY;BYDAY=MO;UNTIL=20240331T235959').endDate, '2024-03-31');
+  // Early on 1 April in UTC is still 31 March here
+  assert.equal(rule('FREQ=WEEKLY;BYDAY=MO;UNTIL=20240401T035959Z').endDate, '2024-03-31');
+  assert.equal(rule('FREQ=WEEKLY').recurringDays[0], 'Mon');
+  
+  const { skipped } = ICalendar.parse(calendar('DTSTART:20240304T210000', 'DTEND:20240304T220000', 'RRULE:FREQ=WEEKLY;COUNT=0'), now);
+  assert.deepEqual(skipped.map(entry => entry.reason), ['invalid COUNT']);
+});
+
+test('EXDATE values become exception dates in local time', () => {
+  const schedule = parseOne(calendar(
+    'DTSTART;TZID=Asia/Tokyo:20240305T090000',
+    'DTEND;TZID=Asia/Tokyo:20240305T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=TU',
+    'EXDATE;TZID=Asia/Tokyo:20240312T090000,20240319T090000',
+    'EXDATE:20240402'
+  ));
+  
+  assert.deepEqual(schedule.recurringDays, ['Mon']);
+  assert.deepEqual(schedule.exceptionDates, ['2024-03-11', '2024-03-18', '2024-04-02']);
+});
+
+test('events that cannot be a downtime schedule are skipped with a reason', () => {
+  const text = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20240304', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Monthly', 'DTSTART:20240304T210000', 'DTEND:20240304T220000', 'RRULE:FREQ=MONTHLY', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Past', 'DTSTART:20240201T210000', 'DTEND:20240201T220000', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n');
+  
+  const { events, skipped } = ICalendar.parse(text, now);
+  assert.equal(events.length, 0);
+  assert.deepEqual(skipped, [
+    { name: 'Holiday', reason: 'all-day events have no downtime hours' },
+    { name: 'Monthly', reason: 'monthly recurrence is not supported' },
+    { name: 'Past', reason: 'event is already over' }
+  ]);
+  assert.throws(() => ICalendar.parse('BEGIN:VEVENT\nEND:VEVENT', now), ICalendarError);
+});
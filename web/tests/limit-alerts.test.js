@@ -0,0 +1,35 @@
+//
+//  KaiSheng Limit Alerts Tests
+//  Which percentage a limit warns at
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { LimitAlerts } = loadScripts('date-utils.js', 'limit-alerts.js');
+
+const limit = { appName: 'YouTube', dailyLimit: 3600, warningThreshold: null };
+
+test('a limit without its own threshold warns at the one from Settings', () => {
+  const alerts = new LimitAlerts({ threshold: 90 });
+  assert.equal(alerts.getThreshold(limit), 90);
+  assert.equal(alerts.getStatus(limit, 3000), 'ok');
+});
+
+test('a limit\'s own threshold is honoured, even one the pickers do not offer', () => {
+  const alerts = new LimitAlerts({ threshold: 90 });
+  const synced = { ...limit, warningThreshold: 75 };
+  const now = new Date(2024, 2, 4, 12, 0);
+  
+  assert.equal(alerts.getThreshold(synced), 75);
+  assert.equal(alerts.getStatus(synced, 2700), 'warning');
+  assert.equal(alerts.check(synced, 2700, 3600, now).level, 'warning');
+});
+
+test('a threshold outside 1-99 falls back to the one from Settings', () => {
+  const alerts = new LimitAlerts({ threshold: 80 });
+  [0, 100, 150, 72.5, '75'].forEach(warningThreshold => {
+    assert.equal(alerts.getThreshold({ ...limit, warningThreshold }), 80, String(warningThreshold));
+  });
+});
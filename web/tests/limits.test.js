@@ -0,0 +1,40 @@
+//
+//  KaiSheng Limit Policy Tests
+//  Which limit edits loosen a limit and so need the guardian PIN
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const { LimitPolicy } = loadScripts('date-utils.js', 'limits.js');
+
+const limit = { appName: 'YouTube', dailyLimit: 3600, weekdayLimits: { Sat: 7200 }, isEnabled: true };
+
+test('raising the daily limit or a day\'s limit loosens it', () => {
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, dailyLimit: 5400 }), true);
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, weekdayLimits: { Sat: 9000 } }), true);
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, weekdayLimits: { Sat: 7200, Sun: 5400 } }), true);
+});
+
+test('removing a day\'s lower limit loosens it', () => {
+  const weekdays = { ...limit, dailyLimit: 7200, weekdayLimits: { Mon: 1800 } };
+  assert.equal(LimitPolicy.isLooser(weekdays, { ...weekdays, weekdayLimits: {} }), true);
+});
+
+test('disabling loosens, enabling does not', () => {
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, isEnabled: false }), true);
+  assert.equal(LimitPolicy.isLooser({ ...limit, isEnabled: false }, limit), false);
+});
+
+test('tightening or leaving the allowance alone does not', () => {
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, dailyLimit: 1800 }), false);
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, weekdayLimits: {} }), false);
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, warningThreshold: 90 }), false);
+});
+
+test('a weekday limit equal to the daily limit is no change', () => {
+  assert.equal(LimitPolicy.getDayLimit(limit, 'Sat'), 7200);
+  assert.equal(LimitPolicy.getDayLimit(limit, 'Mon'), 3600);
+  assert.equal(LimitPolicy.isLooser(limit, { ...limit, dailyLimit: 7200, weekdayLimits: { Mon: 3600, Tue: 3600, Wed: 3600, Thu: 3600, Fri: 3600, Sun: 3600 } }), false);
+});
@@ -0,0 +1,36 @@
+//
+//  KaiSheng Test Helpers
+//  Loads the dashboard's classic scripts for the node:test suites
+//
+//  Run the suites from the repository root with: node --test web/tests/
+//
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WEB_DIR = path.join(__dirname, '..');
+const loaded = new Set();
+
+// Runs each script in this realm, the way dashboard.html's <script> tags
+// do, so their top-level classes share one global scope. Returns those
+// bindings by name: const { DateUtils } = loadScripts('date-utils.js')
+function loadScripts(...files) {
+  files.forEach(file => {
+    if (loaded.has(file)) return;
+    const filename = path.join(WEB_DIR, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    loaded.add(file);
+  });
+  
+  return new Proxy({}, {
+    get: (target, name) => vm.runInThisContext(String(name))
+  });
+}
+
+// Plain JSON copy, the way every storage backend hands values back
+function throughJSON(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { WEB_DIR, loadScripts, throughJSON };
@@ -0,0 +1,95 @@
+//
+//  KaiSheng Motion Tests
+//  A recorded walk replayed through the step detector, as the dashboard runs it
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./load-scripts');
+
+const { StepDetector, ReplayMotionSource, MotionRecorder, parseMotionTrace } = loadScripts('motion.js', 'motion-sources.js');
+
+// 50 Hz, gravity on y: 2 s still, an 8 s walk of 15 steps, 4 s still,
+// 3 shuffling steps, 3 s still. One row has an unreadable x.
+const csv = fs.readFileSync(path.join(__dirname, 'fixtures', 'walk-trace.csv'), 'utf8');
+const recordedAt = 1709546400000;
+
+// Replays the trace synchronously into a fresh detector, keeping the
+// dashboard's state.motion and whether it restricts apps after each event
+function replay(trace, stepThreshold) {
+  const detector = new StepDetector();
+  const source = new ReplayMotionSource(trace, { speed: Infinity });
+  const motion = { isWalking: false, stepCount: 0, walkStartTime: null, currentPace: null };
+  const events = [];
+  const handle = (event) => {
+    if (!event) return;
+    Object.assign(motion, event.state);
+    events.push({ ...event, restricted: StepDetector.isRestricting(motion, stepThreshold) });
+  };
+  
+  let ended = false;
+  source.start({
+    onSample: (sample) => handle(detector.process(sample)),
+    onEnd: () => {
+      ended = true;
+      handle(detector.tick(source.now() + detector.options.walkingTimeout + 1));
+    }
+  });
+  
+  assert.equal(ended, true);
+  // Times relative to the start of the recording
+  const at = (time) => time - source.offset - recordedAt;
+  return { detector, events, at };
+}
+
+test('the CSV trace parses, skipping the unreadable row', () => {
+  const trace = parseMotionTrace(csv);
+  
+  assert.equal(trace.samples.length, 935);
+  assert.equal(trace.skipped, 1);
+  assert.deepEqual(trace.samples[0], { t: recordedAt, x: 0.298, y: 9.695, z: 1.034 });
+  assert.ok(trace.samples.every((sample, index) => index === 0 || sample.t > trace.samples[index - 1].t));
+});
+
+test('a recording saved as JSON replays the same samples', () => {
+  const trace = parseMotionTrace(csv);
+  const recorder = new MotionRecorder();
+  recorder.start({ name: 'replay' });
+  trace.samples.forEach(sample => recorder.record(sample));
+  
+  assert.deepEqual(parseMotionTrace(JSON.stringify(recorder.stop())).samples, trace.samples);
+  assert.deepEqual(parseMotionTrace(MotionRecorder.toCSV(recorder.toTrace())).samples, trace.samples);
+});
+
+test('the replayed walk is counted step by step and starts and stops once', () => {
+  const { detector, events, at } = replay(parseMotionTrace(csv), 5);
+  const started = events.filter(event => event.walkingStarted);
+  const stopped = events.filter(event => event.walkingStopped);
+  
+  assert.equal(detector.totalSteps, 18);
+  assert.equal(events.filter(event => event.step).length, 18);
+  
+  // Walking is confirmed on the fourth step, dated from the first
+  assert.equal(started.length, 1);
+  assert.equal(started[0].state.stepCount, 4);
+  assert.equal(at(started[0].state.walkStartTime), 2120);
+  
+  // and ends 2.5 s after the last of its 15 steps, before the shuffle
+  assert.equal(stopped.length, 1);
+  assert.equal(at(stopped[0].time), 12420);
+  assert.equal(Math.max(...events.map(event => event.state.stepCount)), 15);
+  assert.equal(detector.isWalking, false);
+});
+
+test('apps are restricted from the threshold step until walking stops', () => {
+  const { events } = replay(parseMotionTrace(csv), 5);
+  const restricted = events.filter(event => event.restricted);
+  
+  assert.deepEqual(restricted.map(event => event.state.stepCount), [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+  assert.equal(events[events.length - 1].restricted, false);
+  
+  // The walk never reaches a higher threshold
+  assert.equal(replay(parseMotionTrace(csv), 20).events.some(event => event.restricted), false);
+});
@@ -0,0 +1,168 @@
+//
+//  KaiSheng Schedule Timing Tests
+//  Occurrences across midnight, DST changes and time zone moves, on a fixed clock
+//
+
+// The zone has to be set before anything reads the clock
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, throughJSON } = require('./load-scripts');
+
+const { DateUtils, StateSerializer, SchedulePolicy } = loadScripts('date-utils.js', 'serialization.js', 'schedules.js');
+
+// Local times in the current zone. New York springs forward on
+// 2024-03-10 (02:00 becomes 03:00) and falls back on 2024-11-03
+// (02:00 becomes 01:00).
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+const clock = (text) => {
+  const [hours, minutes] = text.split(':').map(Number);
+  return at(2024, 1, 15, hours, minutes);
+};
+
+function schedule(start, end, overrides = {}) {
+  return {
+    id: '5e4d3c2b-1a09-4f8e-8d7c-6b5a49382716',
+    name: 'Test',
+    startTime: clock(start),
+    endTime: clock(end),
+    isRecurring: true,
+    recurringDays: new Set(DateUtils.DAY_NAMES),
+    exceptionDates: [],
+    blockedApps: [],
+    blockEntireDevice: true,
+    isEnabled: true,
+    createdAt: new Date(0),
+    ...overrides
+  };
+}
+
+const iso = (occurrence) => occurrence && [occurrence.start.toISOString(), occurrence.end.toISOString()];
+const hoursLong = (occurrence) => (occurrence.end - occurrence.start) / 3600000;
+
+test('a daytime span runs from start up to, not including, its end', () => {
+  const school = schedule('09:00', '17:00');
+  
+  assert.deepEqual(iso(SchedulePolicy.getOccurrenceOn(school, at(2024, 1, 15))), ['2024-01-15T14:00:00.000Z', '2024-01-15T22:00:00.000Z']);
+  assert.equal(SchedulePolicy.isActiveAt(school, at(2024, 1, 15, 8, 59)), false);
+  assert.equal(SchedulePolicy.isActiveAt(school, at(2024, 1, 15, 9, 0)), true);
+  assert.equal(SchedulePolicy.isActiveAt(school, at(2024, 1, 15, 17, 0)), false);
+});
+
+test('an overnight span belongs to the day it starts on', () => {
+  const fridayNight = schedule('21:00', '07:00', { recurringDays: new Set(['Fri']) });
+  
+  // 2024-01-19 is a Friday
+  assert.equal(SchedulePolicy.isActiveAt(fridayNight, at(2024, 1, 19, 3, 0)), false);
+  assert.equal(SchedulePolicy.isActiveAt(fridayNight, at(2024, 1, 19, 21, 0)), true);
+  assert.equal(SchedulePolicy.isActiveAt(fridayNight, at(2024, 1, 20, 6, 59)), true);
+  assert.equal(SchedulePolicy.isActiveAt(fridayNight, at(2024, 1, 20, 7, 0)), false);
+  assert.equal(SchedulePolicy.getOccurrenceOn(fridayNight, at(2024, 1, 20)), null);
+});
+
+test('skipped dates and date ranges stop an overnight span from starting', () => {
+  const bedtime = schedule('22:00', '06:00', { startDate: '2024-01-10', endDate: '2024-01-20', exceptionDates: ['2024-01-15'] });
+  
+  assert.equal(SchedulePolicy.isActiveAt(bedtime, at(2024, 1, 9, 23, 0)), false);
+  assert.equal(SchedulePolicy.isActiveAt(bedtime, at(2024, 1, 15, 23, 0)), false);
+  assert.equal(SchedulePolicy.isActiveAt(bedtime, at(2024, 1, 16, 2, 0)), false);
+  assert.equal(SchedulePolicy.isActiveAt(bedtime, at(2024, 1, 21, 2, 0)), true);
+  assert.equal(SchedulePolicy.isActiveAt(bedtime, at(2024, 1, 21, 23, 0)), false);
+  assert.equal(SchedulePolicy.hasEnded(bedtime, at(2024, 1, 21, 6, 0)), true);
+});
+
+test('an overnight span shrinks by an hour when clocks spring forward', () => {
+  const bedtime = schedule('22:00', '07:00');
+  const occurrence = SchedulePolicy.getOccurrenceOn(bedtime, at(2024, 3, 9));
+  
+  assert.deepEqual(iso(occurrence), ['2024-03-10T03:00:00.000Z', '2024-03-10T11:00:00.000Z']);
+  assert.equal(hoursLong(occurrence), 8);
+});
+
+test('an overnight span stretches by an hour when clocks fall back', () => {
+  const bedtime = schedule('22:00', '07:00');
+  const occurrence = SchedulePolicy.getOccurrenceOn(bedtime, at(2024, 11, 2));
+  
+  assert.deepEqual(iso(occurrence), ['2024-11-03T02:00:00.000Z', '2024-11-03T12:00:00.000Z']);
+  assert.equal(hoursLong(occurrence), 10);
+});
+
+test('a start skipped by spring forward begins where the gap ends', () => {
+  const early = schedule('02:30', '03:15');
+  const occurrence = SchedulePolicy.getOccurrenceOn(early, at(2024, 3, 10));
+  
+  // 03:00 EDT to 03:15 EDT
+  assert.deepEqual(iso(occurrence), ['2024-03-10T07:00:00.000Z', '2024-03-10T07:15:00.000Z']);
+  assert.equal(SchedulePolicy.isActiveAt(early, at(2024, 3, 10, 3, 5)), true);
+  
+  // Other days are untouched
+  assert.deepEqual(iso(SchedulePolicy.getOccurrenceOn(early, at(2024, 3, 11))), ['2024-03-11T06:30:00.000Z', '2024-03-11T07:15:00.000Z']);
+});
+
+test('a span wholly inside the spring-forward gap does not run that day', () => {
+  const skipped = schedule('02:30', '03:00');
+  
+  assert.equal(SchedulePolicy.getOccurrenceOn(skipped, at(2024, 3, 10)), null);
+  assert.deepEqual(
+    iso(SchedulePolicy.getNextOccurrence(skipped, at(2024, 3, 9, 23, 0))),
+    ['2024-03-11T06:30:00.000Z', '2024-03-11T07:00:00.000Z']
+  );
+});
+
+test('a span ending inside the spring-forward gap ends when the gap does', () => {
+  const occurrence = SchedulePolicy.getOccurrenceOn(schedule('01:30', '02:30'), at(2024, 3, 10));
+  
+  // 01:30 EST to 03:00 EDT: half an hour of real time
+  assert.deepEqual(iso(occurrence), ['2024-03-10T06:30:00.000Z', '2024-03-10T07:00:00.000Z']);
+});
+
+test('repeated times take their first pass when clocks fall back', () => {
+  // 01:00 EDT to 01:30 EDT
+  assert.deepEqual(
+    iso(SchedulePolicy.getOccurrenceOn(schedule('01:00', '01:30'), at(2024, 11, 3))),
+    ['2024-11-03T05:00:00.000Z', '2024-11-03T05:30:00.000Z']
+  );
+  
+  // 01:30 EDT to 02:00 EST runs through the repeated hour
+  const occurrence = SchedulePolicy.getOccurrenceOn(schedule('01:30', '02:00'), at(2024, 11, 3));
+  assert.deepEqual(iso(occurrence), ['2024-11-03T05:30:00.000Z', '2024-11-03T07:00:00.000Z']);
+  assert.equal(hoursLong(occurrence), 1.5);
+});
+
+test('no occurrence ends before it starts on either DST day', () => {
+  const times = Array.from({ length: 96 }, (_, index) => {
+    const minutes = index * 15;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  });
+  
+  [at(2024, 3, 9), at(2024, 3, 10), at(2024, 11, 2), at(2024, 11, 3)].forEach(day => {
+    times.forEach(start => times.forEach(end => {
+      const occurrence = SchedulePolicy.getOccurrenceOn(schedule(start, end), day);
+      if (occurrence) {
+        assert.ok(occurrence.end > occurrence.start, `${start}-${end} on ${DateUtils.toKey(day)}`);
+      }
+    }));
+  });
+});
+
+test('re-reading saved schedules after a time zone change keeps their wall-clock times', (t) => {
+  t.after(() => {
+    process.env.TZ = 'America/New_York';
+  });
+  
+  const bedtime = schedule('22:00', '06:00');
+  const saved = throughJSON(StateSerializer.serializeSchedule(bedtime));
+  
+  process.env.TZ = 'Asia/Tokyo';
+  assert.equal(DateUtils.timeZone(), 'Asia/Tokyo');
+  
+  // The Dates in memory still hold New York instants, which read as noon here
+  assert.equal(SchedulePolicy.clockMinutes(bedtime.startTime), 12 * 60);
+  
+  const [reloaded] = StateSerializer.deserializeList('schedule', [saved]).items;
+  assert.equal(SchedulePolicy.clockMinutes(reloaded.startTime), 22 * 60);
+  assert.deepEqual(iso(SchedulePolicy.getOccurrenceOn(reloaded, at(2024, 1, 15))), ['2024-01-15T13:00:00.000Z', '2024-01-15T21:00:00.000Z']);
+  assert.equal(SchedulePolicy.isActiveAt(reloaded, at(2024, 1, 15, 23, 0)), true);
+  assert.equal(SchedulePolicy.isActiveAt(reloaded, at(2024, 1, 16, 12, 0)), false);
+});
@@ -0,0 +1,191 @@
+//
+//  KaiSheng Schema Conformance Tests
+//  Stored shapes match app-data-models.schema.json, and so do the native fields they map to
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { WEB_DIR, loadScripts, throughJSON } = require('./load-scripts');
+
+const { DateUtils, StateSerializer, SerializationError, SchemaValidator } = loadScripts('date-utils.js', 'serialization.js', 'schema-validator.js');
+const { COLLECTIONS, SyncServerError, SyncStore } = require('../../server/sync-server');
+
+const schema = JSON.parse(fs.readFileSync(path.join(WEB_DIR, 'app-data-models.schema.json'), 'utf8'));
+const validator = new SchemaValidator(schema);
+
+const limit = {
+  id: 'limit-1',
+  appName: 'YouTube',
+  dailyLimit: 3600,
+  category: 'ENTERTAINMENT',
+  warningThreshold: 80,
+  weekdayLimits: { Sat: 7200 },
+  isEnabled: true,
+  createdAt: new Date('2024-03-04T09:15:00.000Z')
+};
+const usage = {
+  id: '2024-03-04-YouTube',
+  appName: 'YouTube',
+  date: '2024-03-04',
+  usageTime: 1800,
+  category: 'ENTERTAINMENT',
+  isLimitExceeded: false
+};
+const schedule = {
+  id: StateSerializer.generateId(),
+  name: 'Bedtime',
+  startTime: new Date(2024, 2, 4, 21, 30),
+  endTime: new Date(2024, 2, 5, 7, 0),
+  isRecurring: true,
+  recurringDays: new Set(['Mon', 'Fri']),
+  date: null,
+  startDate: '2024-03-01',
+  endDate: null,
+  exceptionDates: ['2024-03-08'],
+  blockedApps: ['YouTube'],
+  blockedCategories: ['GAMES'],
+  allowedApps: [],
+  blockEntireDevice: false,
+  isEnabled: true,
+  createdAt: new Date('2024-03-04T09:15:00.000Z')
+};
+
+// Each decoder type with a conforming entry and the model it is stored as
+const samples = Object.entries(StateSerializer.SCHEMA_MODELS).map(([type, { model, serialize }]) => ({
+  type,
+  model,
+  serialize,
+  entry: { limit, usage, schedule }[type]
+}));
+
+test('every stored model is defined by the schema', () => {
+  assert.deepEqual(samples.map(sample => sample.model).sort(), ['AppLimit', 'AppUsage', 'DowntimeSchedule']);
+  Object.values(COLLECTIONS).forEach(({ model }) => assert.ok(schema.$defs[model], model));
+});
+
+test('serialized entries conform, before and after a decode', () => {
+  samples.forEach(({ type, model, serialize, entry }) => {
+    const stored = throughJSON(serialize(entry));
+    assert.deepEqual(validator.validate(model, stored), [], type);
+    
+    const { items, issues } = StateSerializer.deserializeList(type, [stored]);
+    assert.deepEqual(issues, [], type);
+    assert.deepEqual(validator.validate(model, throughJSON(serialize(items[0]))), [], type);
+  });
+});
+
+test('decoding with the schema keeps conforming entries', (t) => {
+  StateSerializer.useSchema(validator);
+  t.after(() => StateSerializer.useSchema(null));
+  
+  samples.forEach(({ type, serialize, entry }) => {
+    const { items, issues } = StateSerializer.deserializeList(type, [throughJSON(serialize(entry))]);
+    assert.equal(items.length, 1, type);
+    assert.deepEqual(issues, [], type);
+  });
+});
+
+test('the schema rejects shapes the models do not allow', () => {
+  const rejects = (model, value, pattern) => {
+    const errors = validator.validate(model, value);
+    assert.ok(errors.some(error => pattern.test(error)), `${model}: ${errors.join('; ') || 'no errors'}`);
+  };
+  const storedLimit = throughJSON(StateSerializer.serializeLimit(limit));
+  const storedSchedule = throughJSON(StateSerializer.serializeSchedule(schedule));
+  
+  rejects('AppLimit', { ...storedLimit, dailyLimit: 0 }, /dailyLimit/);
+  rejects('AppLimit', { ...storedLimit, category: 'Social Media' }, /category/);
+  rejects('AppLimit', { ...storedLimit, weekdayLimits: { Someday: 60 } }, /weekdayLimits/);
+  rejects('AppLimit', { ...storedLimit, extra: true }, /extra/);
+  rejects('AppUsage', { ...usage, usageTime: -1 }, /usageTime/);
+  rejects('AppUsage', { ...usage, date: '2024-03-04T00:00:00.000Z' }, /date/);
+  rejects('DowntimeSchedule', { ...storedSchedule, startTime: '9:30' }, /startTime/);
+  rejects('DowntimeSchedule', { ...storedSchedule, recurringDays: ['Mon', 'Mon'] }, /recurringDays/);
+  rejects('DowntimeSchedule', { ...storedSchedule, id: 'bedtime' }, /id/);
+  rejects('DowntimeSchedule', { ...storedSchedule, id: storedSchedule.id.toUpperCase() }, /id/);
+});
+
+test('once in use, decoded entries are checked against the schema', (t) => {
+  StateSerializer.useSchema(validator);
+  t.after(() => StateSerializer.useSchema(null));
+  
+  assert.equal(StateSerializer.checkSchema('usage', usage), usage);
+  assert.throws(() => StateSerializer.checkSchema('usage', { ...usage, source: 'tablet' }), SerializationError);
+  assert.throws(() => StateSerializer.checkSchema('schedule', { ...schedule, id: 'bedtime' }), /DowntimeSchedule schema/);
+});
+
+test('the sync server accepts what the dashboard stores and rejects the rest', () => {
+  const store = new SyncStore(null);
+  const change = (data, key) => ({ key, data, deleted: false, updatedAt: '2024-03-04T10:00:00.000Z', deviceId: 'laptop' });
+  const storedSchedule = throughJSON(StateSerializer.serializeSchedule(schedule));
+  
+  assert.equal(store.apply('limits', change(throughJSON(StateSerializer.serializeLimit(limit)), 'YouTube')).applied, true);
+  assert.equal(store.apply('usage', change(usage, '2024-03-04|YouTube|laptop')).applied, true);
+  assert.equal(store.apply('schedules', change(storedSchedule, storedSchedule.id)).applied, true);
+  assert.throws(() => store.apply('schedules', change({ ...storedSchedule, id: 'bedtime' }, 'bedtime')), SyncServerError);
+  assert.throws(() => store.apply('usage', change({ ...usage, usageTime: '30' })), SyncServerError);
+});
+
+// The native apps hold Dates and UUIDs where the JSON has strings; these
+// follow the mappings the schema describes. The Android and iOS encoders
+// write fixtures/native-models.json, and the Android unit tests check it.
+
+test('the native models\' fixture conforms and decodes here unchanged', () => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'native-models.json'), 'utf8'));
+  
+  Object.entries(fixture).forEach(([model, value]) => {
+    assert.deepEqual(validator.validate(model, value), [], model);
+  });
+  
+  const [decodedUsage] = StateSerializer.deserializeList('usage', [fixture.AppUsage]).items;
+  assert.deepEqual(StateSerializer.serializeUsage(decodedUsage), fixture.AppUsage);
+  
+  const { items: [decodedSchedule], issues } = StateSerializer.deserializeList('schedule', [fixture.DowntimeSchedule]);
+  assert.deepEqual(issues, []);
+  const stored = StateSerializer.serializeSchedule(decodedSchedule);
+  Object.entries(fixture.DowntimeSchedule).forEach(([field, value]) => {
+    assert.deepEqual(field === 'recurringDays' ? [...stored[field]].sort() : stored[field], value, field);
+  });
+});
+
+test('native schedule times map to local HH:MM on the current day', () => {
+  // A native Date from any day; only its local hour and minute count
+  const nativeStart = new Date(2023, 6, 1, 22, 30, 45);
+  const clock = StateSerializer.serializeClock(nativeStart);
+  assert.equal(clock, '22:30');
+  assert.deepEqual(validator.validate('DowntimeSchedule', { ...throughJSON(StateSerializer.serializeSchedule(schedule)), startTime: clock }), []);
+  
+  const decoded = StateSerializer.parseDate(clock);
+  assert.equal(DateUtils.toKey(decoded), DateUtils.toKey(new Date()));
+  assert.deepEqual([decoded.getHours(), decoded.getMinutes(), decoded.getSeconds()], [22, 30, 0]);
+});
+
+test('native usage dates map to their local day', () => {
+  // Late in the evening, so a UTC conversion would land on the next day
+  const nativeDate = new Date(2024, 2, 4, 23, 45);
+  const date = DateUtils.toKey(nativeDate);
+  assert.equal(date, '2024-03-04');
+  assert.deepEqual(validator.validate('AppUsage', { ...usage, date }), []);
+  
+  const decoded = DateUtils.fromKey(date);
+  assert.equal(decoded.getTime(), new Date(2024, 2, 4).getTime());
+});
+
+test('schedule ids are UUIDs, synced in lowercase', () => {
+  // java.util.UUID.toString() is lowercase, Swift's uuidString uppercase
+  const uuid = '9f86d081-884c-4d63-9b2f-0a1e5c7d3b42';
+  const stored = throughJSON(StateSerializer.serializeSchedule(schedule));
+  
+  assert.ok(StateSerializer.isUUID(StateSerializer.generateId()));
+  assert.deepEqual(validator.validate('DowntimeSchedule', { ...stored, id: uuid }), []);
+  
+  const swift = StateSerializer.deserializeList('schedule', [{ ...stored, id: uuid.toUpperCase() }]);
+  assert.equal(swift.items[0].id, uuid);
+  assert.match(swift.issues[0].problem, /id lowercased/);
+  
+  const legacy = StateSerializer.deserializeList('schedule', [{ ...stored, id: 'bedtime' }]);
+  assert.ok(StateSerializer.isUUID(legacy.items[0].id));
+  assert.match(legacy.issues[0].problem, /id regenerated/);
+});
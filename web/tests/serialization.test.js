@@ -0,0 +1,264 @@
+//
+//  KaiSheng Serialization Tests
+//  Every persisted type survives encode, JSON storage and decode unchanged
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, throughJSON } = require('./load-scripts');
+
+const { StateSerializer, SerializationError } = loadScripts('date-utils.js', 'serialization.js');
+
+const createdAt = new Date('2024-03-04T09:15:00.000Z');
+
+function roundTrip(serialize, deserialize, value) {
+  const repairs = [];
+  const decoded = deserialize(throughJSON(serialize(value)), repairs);
+  assert.deepEqual(repairs, []);
+  return decoded;
+}
+
+test('limits round-trip', () => {
+  const limit = {
+    id: 'limit-1',
+    appName: 'YouTube',
+    dailyLimit: 5400,
+    category: 'ENTERTAINMENT',
+    warningThreshold: 75,
+    weekdayLimits: { Sat: 7200, Sun: 10800 },
+    isEnabled: false,
+    createdAt
+  };
+  
+  assert.deepEqual(roundTrip(StateSerializer.serializeLimit, StateSerializer.deserializeLimit, limit), limit);
+});
+
+test('group limits round-trip, by category and by apps', () => {
+  const byCategory = {
+    id: 'group-1',
+    name: 'Social',
+    kind: 'category',
+    category: 'SOCIAL',
+    apps: [],
+    dailyLimit: 3600,
+    weekdayLimits: {},
+    warningThreshold: null,
+    isEnabled: true,
+    createdAt
+  };
+  const byApps = { ...byCategory, id: 'group-2', name: 'Video', kind: 'apps', category: null, apps: ['YouTube', 'Netflix'] };
+  
+  [byCategory, byApps].forEach(group => {
+    assert.deepEqual(roundTrip(StateSerializer.serializeGroupLimit, StateSerializer.deserializeGroupLimit, group), group);
+  });
+});
+
+test('schedules round-trip with their Sets and times of day', () => {
+  const startTime = new Date(2024, 2, 4, 22, 30);
+  const endTime = new Date(2024, 2, 5, 7, 0);
+  const schedule = {
+    id: '0b6c3f0e-5d1a-4c7b-9e2f-8a4d6b1c2e3f',
+    name: 'Bedtime',
+    startTime,
+    endTime,
+    isRecurring: true,
+    recurringDays: new Set(['Mon', 'Tue', 'Wed']),
+    date: null,
+    startDate: '2024-03-01',
+    endDate: '2024-06-30',
+    exceptionDates: ['2024-04-01'],
+    blockedApps: ['YouTube'],
+    blockedCategories: ['GAMES'],
+    allowedApps: ['Phone'],
+    blockEntireDevice: false,
+    isEnabled: true,
+    createdAt
+  };
+  
+  const decoded = roundTrip(StateSerializer.serializeSchedule, StateSerializer.deserializeSchedule, schedule);
+  
+  // Times are stored as wall-clock HH:MM and come back on today's date
+  assert.equal(StateSerializer.serializeClock(decoded.startTime), '22:30');
+  assert.equal(StateSerializer.serializeClock(decoded.endTime), '07:00');
+  assert.ok(decoded.recurringDays instanceof Set);
+  assert.deepEqual(decoded.recurringDays, schedule.recurringDays);
+  assert.deepEqual(
+    { ...decoded, startTime: null, endTime: null },
+    { ...schedule, startTime: null, endTime: null }
+  );
+});
+
+test('one-off schedules keep their day', () => {
+  const schedule = {
+    id: '7f3e2d1c-0b9a-4876-a543-210fedcba987',
+    name: 'Exam',
+    startTime: new Date(2024, 4, 10, 9, 0),
+    endTime: new Date(2024, 4, 10, 12, 0),
+    isRecurring: false,
+    recurringDays: new Set(),
+    date: '2024-05-10',
+    blockedApps: [],
+    blockEntireDevice: true,
+    createdAt
+  };
+  
+  const decoded = roundTrip(StateSerializer.serializeSchedule, StateSerializer.deserializeSchedule, schedule);
+  assert.equal(decoded.isRecurring, false);
+  assert.equal(decoded.date, '2024-05-10');
+  assert.equal(decoded.blockEntireDevice, true);
+  assert.equal(decoded.recurringDays.size, 0);
+});
+
+test('usage records round-trip', () => {
+  const record = {
+    id: '2024-03-04-YouTube',
+    appName: 'YouTube',
+    date: '2024-03-04',
+    usageTime: 1234,
+    category: 'ENTERTAINMENT',
+    isLimitExceeded: true
+  };
+  
+  assert.deepEqual(roundTrip(StateSerializer.serializeUsage, StateSerializer.deserializeUsage, record), record);
+});
+
+test('overrides round-trip, running and ended', () => {
+  const startedAt = new Date('2024-03-04T18:00:00.000Z');
+  const running = {
+    id: 'override-1',
+    date: '2024-03-04',
+    reason: 'Homework video',
+    duration: 900,
+    startedAt,
+    endsAt: new Date(startedAt.getTime() + 900000),
+    endedAt: null,
+    endedEarly: false
+  };
+  const ended = { ...running, id: 'override-2', endedAt: new Date(startedAt.getTime() + 300000), endedEarly: true };
+  
+  [running, ended].forEach(session => {
+    assert.deepEqual(roundTrip(StateSerializer.serializeOverride, StateSerializer.deserializeOverride, session), session);
+  });
+});
+
+test('catalog entries round-trip', () => {
+  const app = { id: 'app-1', name: 'Duolingo', kind: 'app', category: 'PRODUCTIVITY', icon: '🦉', domain: null, isBuiltIn: false };
+  const website = { id: 'site-1', name: 'Reddit', kind: 'website', category: 'SOCIAL', icon: null, domain: 'reddit.com', isBuiltIn: true };
+  
+  [app, website].forEach(entry => {
+    assert.deepEqual(roundTrip(entry => ({ ...entry }), StateSerializer.deserializeCatalogEntry, entry), entry);
+  });
+});
+
+test('focus sessions round-trip', () => {
+  const startedAt = new Date('2024-03-04T14:00:00.000Z');
+  const session = {
+    id: 'focus-1',
+    date: '2024-03-04',
+    workMinutes: 25,
+    breakMinutes: 5,
+    cycles: 2,
+    blockedCategories: ['SOCIAL', 'GAMES'],
+    startedAt,
+    // Two work intervals and the one break between them
+    endsAt: new Date(startedAt.getTime() + 55 * 60000),
+    endedAt: new Date(startedAt.getTime() + 55 * 60000),
+    status: 'completed',
+    completedCycles: 2
+  };
+  
+  assert.deepEqual(roundTrip(StateSerializer.serializeFocusSession, StateSerializer.deserializeFocusSession, session), session);
+});
+
+test('settings round-trip against their defaults', () => {
+  const defaults = {
+    theme: 'dark',
+    notifications: true,
+    historyRetention: 30,
+    notificationCategories: { limits: true },
+    limitAlerts: null
+  };
+  const saved = {
+    theme: 'light',
+    notifications: false,
+    historyRetention: 90,
+    notificationCategories: { limits: false, downtime: true },
+    limitAlerts: { date: '2024-03-04', fired: ['YouTube:75'] }
+  };
+  
+  const { settings, issues } = StateSerializer.deserializeSettings(throughJSON(saved), defaults);
+  assert.deepEqual(settings, saved);
+  assert.deepEqual(issues, []);
+});
+
+test('settings of the wrong type are reset and unknown keys ignored', () => {
+  const defaults = { theme: 'dark', historyRetention: 30, notificationCategories: {} };
+  const { settings, issues } = StateSerializer.deserializeSettings(
+    { theme: 42, historyRetention: 7, notificationCategories: [], removedSetting: true },
+    defaults
+  );
+  
+  assert.deepEqual(settings, { historyRetention: 7 });
+  assert.deepEqual(issues.map(issue => [issue.name, issue.action]), [['theme', 'reset'], ['notificationCategories', 'reset']]);
+});
+
+test('repairable entries are kept and reported', () => {
+  const { items, issues } = StateSerializer.deserializeList('limit', [
+    { appName: 'YouTube', dailyLimit: 3600, category: 'Entertainment', warningThreshold: 150, createdAt: 'not a date' }
+  ]);
+  
+  assert.equal(items.length, 1);
+  assert.equal(items[0].category, 'OTHER');
+  assert.equal(items[0].warningThreshold, null);
+  assert.ok(items[0].createdAt instanceof Date);
+  assert.equal(typeof items[0].id, 'string');
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].action, 'repaired');
+  assert.match(issues[0].problem, /category reset to OTHER/);
+  assert.match(issues[0].problem, /id regenerated/);
+});
+
+test('a Set that went through JSON.stringify is repaired to no days', () => {
+  const { items, issues } = StateSerializer.deserializeList('schedule', [
+    { id: '3c9d8e7f-6a5b-4c3d-8e2f-1a0b9c8d7e6f', name: 'Old', startTime: '22:00', endTime: '07:00', recurringDays: {}, blockedApps: [] }
+  ]);
+  
+  assert.equal(items[0].recurringDays.size, 0);
+  assert.match(issues[0].problem, /days could not be restored/);
+});
+
+test('unrecoverable entries are dropped without losing the rest', () => {
+  const { items, issues } = StateSerializer.deserializeList('limit', [
+    { id: 'a', appName: 'YouTube', dailyLimit: 3600, category: 'ENTERTAINMENT', createdAt },
+    { id: 'b', appName: 'TikTok', dailyLimit: -5, category: 'SOCIAL' },
+    { id: 'c', dailyLimit: 600 },
+    null
+  ]);
+  
+  assert.deepEqual(items.map(item => item.id), ['a']);
+  assert.deepEqual(issues.map(issue => [issue.name, issue.action, issue.problem]), [
+    ['TikTok', 'dropped', 'invalid dailyLimit'],
+    ['c', 'dropped', 'missing appName'],
+    ['unknown entry', 'dropped', 'not an object']
+  ]);
+});
+
+test('drop paths of the other types', () => {
+  const dropped = (type, raw) => StateSerializer.deserializeList(type, [raw]).issues[0];
+  
+  assert.equal(dropped('group', { name: 'G', dailyLimit: 60, kind: 'apps', apps: [] }).problem, 'no member apps');
+  assert.equal(dropped('schedule', { name: 'S', startTime: 'later', endTime: '07:00' }).problem, 'invalid start or end time');
+  assert.equal(dropped('schedule', { name: 'S', startTime: '09:00', endTime: '10:00', isRecurring: false, date: '2024-02-30' }).problem, 'invalid date');
+  assert.equal(dropped('usage', { appName: 'YouTube', date: '2024-3-4', usageTime: 5 }).problem, 'invalid date');
+  assert.equal(dropped('override', { id: 'o', startedAt: '2024-03-04T10:00:00Z', endsAt: '2024-03-04T09:00:00Z' }).problem, 'invalid start or end time');
+  assert.equal(dropped('focus', { id: 'f', startedAt: createdAt.toISOString(), workMinutes: 0, breakMinutes: 5, cycles: 1 }).problem, 'invalid intervals');
+  assert.equal(dropped('catalog', { name: 'Bad', kind: 'website', domain: 'not a domain' }).problem, 'invalid domain');
+});
+
+test('a stored list that is not an array decodes to nothing', () => {
+  assert.deepEqual(StateSerializer.deserializeList('usage', { broken: true }), { items: [], issues: [] });
+});
+
+test('decoders throw SerializationError for input that is not an entry', () => {
+  assert.throws(() => StateSerializer.deserializeLimit('YouTube'), SerializationError);
+});
@@ -0,0 +1,71 @@
+//
+//  KaiSheng Sync Server Tests
+//  Which browsers and hosts may reach a server with and without a token
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { SyncStore, createSyncServer } = require('../../server/sync-server');
+
+// Starts a server on a free loopback port for the test
+async function start(t, options) {
+  const server = createSyncServer({ store: new SyncStore(null), ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return server.address().port;
+}
+
+function send(port, { method = 'GET', path = '/api/limits', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port, method, path, headers }, response => {
+      response.resume();
+      response.on('end', () => resolve(response));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+test('without a token, other web pages can neither read nor write', async (t) => {
+  const port = await start(t, { origins: ['http://localhost:8000'] });
+  
+  const page = await send(port, { headers: { Origin: 'https://example.com' } });
+  assert.equal(page.statusCode, 403);
+  assert.equal(page.headers['access-control-allow-origin'], undefined);
+  
+  const preflight = await send(port, { method: 'OPTIONS', path: '/api/sync', headers: { Origin: 'https://example.com' } });
+  assert.equal(preflight.statusCode, 403);
+  assert.equal(preflight.headers['access-control-allow-origin'], undefined);
+});
+
+test('without a token, the listed dashboard origin is echoed back', async (t) => {
+  const port = await start(t, { origins: ['http://localhost:8000'] });
+  
+  const preflight = await send(port, { method: 'OPTIONS', path: '/api/sync', headers: { Origin: 'http://localhost:8000' } });
+  assert.equal(preflight.statusCode, 204);
+  assert.equal(preflight.headers['access-control-allow-origin'], 'http://localhost:8000');
+  
+  const read = await send(port, { headers: { Origin: 'http://localhost:8000' } });
+  assert.equal(read.statusCode, 200);
+});
+
+test('without a token, requests for other host names are refused', async (t) => {
+  const port = await start(t, {});
+  
+  assert.equal((await send(port, { headers: { Host: 'attacker.example' } })).statusCode, 403);
+  assert.equal((await send(port, { headers: { Host: `localhost:${port}` } })).statusCode, 200);
+  assert.equal((await send(port, { headers: { Host: `[::1]:${port}` } })).statusCode, 200);
+});
+
+test('with a token, any origin may try but only the token gets in', async (t) => {
+  const port = await start(t, { token: 'secret' });
+  const Origin = 'https://dashboard.example';
+  
+  const preflight = await send(port, { method: 'OPTIONS', headers: { Origin } });
+  assert.equal(preflight.statusCode, 204);
+  assert.equal(preflight.headers['access-control-allow-origin'], '*');
+  
+  assert.equal((await send(port, { headers: { Origin } })).statusCode, 401);
+  assert.equal((await send(port, { headers: { Origin, Authorization: 'Bearer secret' } })).statusCode, 200);
+});
@@ -0,0 +1,105 @@
+//
+//  KaiSheng Usage History Tests
+//  Usage from every device adds up without overwriting this device's own
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, throughJSON } = require('./load-scripts');
+
+const { UsageHistoryStore, StateSerializer } = loadScripts('date-utils.js', 'serialization.js', 'usage-history.js');
+
+const day = new Date(2024, 2, 4, 12, 0);
+
+// Keeps what the store saves, the way KaiShengStorage would
+function createStorage() {
+  return {
+    usage: [],
+    deviceUsage: null,
+    loadUsageHistory() { return this.usage; },
+    saveUsageRecords(records) {
+      const keys = new Set(records.map(record => `${record.date}|${record.appName}`));
+      this.usage = [...this.usage.filter(record => !keys.has(`${record.date}|${record.appName}`)), ...throughJSON(records)];
+    },
+    deleteUsageRecords(records) {
+      const keys = new Set(records.map(record => `${record.date}|${record.appName}`));
+      this.usage = this.usage.filter(record => !keys.has(`${record.date}|${record.appName}`));
+    },
+    loadDeviceUsage() { return this.deviceUsage; },
+    saveDeviceUsage(devices) { this.deviceUsage = throughJSON(devices); }
+  };
+}
+
+const synced = (appName, usageTime) => ({ id: `2024-03-04-${appName}`, appName, date: '2024-03-04', usageTime, category: 'ENTERTAINMENT', isLimitExceeded: false });
+
+test('usage from other devices adds to this device\'s own', () => {
+  const history = new UsageHistoryStore({ storage: createStorage(), retentionDays: 0 });
+  history.addUsage('YouTube', 600, { category: 'ENTERTAINMENT', date: day });
+  
+  history.setDeviceUsage('tablet', [synced('YouTube', 900)]);
+  history.setDeviceUsage('laptop', [synced('YouTube', 300), synced('Netflix', 1200)]);
+  
+  assert.equal(history.getUsage('YouTube', day), 1800);
+  assert.equal(history.getUsage('Netflix', day), 1200);
+  assert.equal(history.getDayTotal(day), 3000);
+  assert.deepEqual(history.loadAppUsageHistory('YouTube').map(record => record.usageTime), [1800]);
+  
+  // Only this device's own seconds are synced out
+  assert.deepEqual(history.getOwnRecords().map(record => [record.appName, record.usageTime]), [['YouTube', 600]]);
+});
+
+test('a newer total from a device replaces its older one', () => {
+  const history = new UsageHistoryStore({ storage: createStorage(), retentionDays: 0 });
+  history.setDeviceUsage('tablet', [synced('YouTube', 900)]);
+  history.setDeviceUsage('tablet', [synced('YouTube', 1500)]);
+  
+  assert.equal(history.getUsage('YouTube', day), 1500);
+});
+
+test('the limit is exceeded by the combined total', () => {
+  const history = new UsageHistoryStore({ storage: createStorage(), retentionDays: 0 });
+  history.setDeviceUsage('tablet', [synced('YouTube', 3000)]);
+  
+  const record = history.addUsage('YouTube', 600, { category: 'ENTERTAINMENT', dailyLimit: 3600, date: day });
+  assert.equal(record.usageTime, 600);
+  assert.equal(record.isLimitExceeded, true);
+});
+
+test('other devices\' usage is kept apart when saved and reloaded', async () => {
+  const storage = createStorage();
+  const history = new UsageHistoryStore({ storage, retentionDays: 0 });
+  history.addUsage('YouTube', 600, { category: 'ENTERTAINMENT', date: day });
+  history.setDeviceUsage('tablet', [synced('YouTube', 900)]);
+  
+  const reloaded = new UsageHistoryStore({ storage, retentionDays: 0 });
+  await reloaded.load();
+  
+  assert.deepEqual(reloaded.loadIssues, []);
+  assert.equal(reloaded.getUsage('YouTube', day), 1500);
+  assert.deepEqual(reloaded.getOwnRecords().map(record => record.usageTime), [600]);
+  assert.deepEqual(storage.usage.map(StateSerializer.deserializeUsage).map(record => record.usageTime), [600]);
+});
+
+test('pruning and clearing a day cover every device', () => {
+  const history = new UsageHistoryStore({ storage: createStorage(), retentionDays: 7 });
+  history.setDeviceUsage('tablet', [synced('YouTube', 900), { ...synced('YouTube', 60), date: '2024-01-01' }]);
+  
+  assert.equal(history.prune(day), 1);
+  assert.deepEqual(history.getAllRecords().map(record => record.date), ['2024-03-04']);
+  
+  history.clearDay(day);
+  assert.equal(history.getUsage('YouTube', day), 0);
+});
+
+test('restoring a backup of own usage leaves synced usage counted once', () => {
+  const history = new UsageHistoryStore({ storage: createStorage(), retentionDays: 0 });
+  history.addUsage('YouTube', 600, { category: 'ENTERTAINMENT', date: day });
+  history.setDeviceUsage('tablet', [synced('YouTube', 900)]);
+  
+  // Backups are made from, and restored into, this device's own records
+  const backup = throughJSON(history.getOwnRecords().map(StateSerializer.serializeUsage));
+  history.replaceRecords(StateSerializer.deserializeList('usage', backup).items);
+  
+  assert.equal(history.getUsage('YouTube', day), 1500);
+  assert.deepEqual(history.getOwnRecords().map(record => record.usageTime), [600]);
+});
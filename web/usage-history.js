@@ -0,0 +1,248 @@
+//
+//  KaiSheng Usage History
+//  Per-day usage records keyed by date and app, mirroring the native AppDataStorage
+//
+
+// Records follow the native AppUsage model:
+//   { id, appName, date, usageTime, category, isLimitExceeded }
+// with date stored as a local 'YYYY-MM-DD' day key and usageTime in seconds.
+//
+// Usage synced from other devices is kept apart, per device, and added to
+// this device's own when read, so every device counts towards the same
+// limits without overwriting each other's totals. Only this device's own
+// records are counted up locally and sent to the sync server.
+
+class UsageHistoryStore {
+  // Retention choices offered in Settings, in days (0 keeps everything)
+  static get RETENTION_OPTIONS() {
+    return [7, 30, 90, 0];
+  }
+  
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.retentionDays = options.retentionDays ?? 30;
+    this.days = {};
+    // { [deviceId]: { [date]: { [appName]: record } } }
+    this.devices = {};
+    this.loadIssues = [];
+  }
+  
+  async load() {
+    this.days = {};
+    this.devices = {};
+    this.loadIssues = [];
+    try {
+      const { items, issues } = StateSerializer.deserializeList('usage', await this.storage.loadUsageHistory());
+      items.forEach(record => {
+        this.days[record.date] = this.days[record.date] || {};
+        this.days[record.date][record.appName] = record;
+      });
+      
+      // Repaired records are written back in their cleaned-up form
+      this.loadIssues = issues;
+      if (issues.some(issue => issue.action === 'repaired')) {
+        this.persist(items);
+      }
+      
+      Object.entries(await this.storage.loadDeviceUsage() || {}).forEach(([deviceId, records]) => {
+        const device = StateSerializer.deserializeList('usage', records);
+        this.setDeviceUsage(deviceId, device.items, { persist: false });
+        this.loadIssues.push(...device.issues);
+      });
+    } catch (error) {
+      console.warn('Failed to load usage history:', error);
+    }
+    return this;
+  }
+  
+  persist(records) {
+    if (this.storage && records.length > 0) {
+      this.storage.saveUsageRecords(records.map(StateSerializer.serializeUsage));
+    }
+  }
+  
+  persistRemoval(records) {
+    if (this.storage && records.length > 0) {
+      this.storage.deleteUsageRecords(records);
+    }
+  }
+  
+  persistDevices() {
+    if (this.storage) {
+      const devices = {};
+      Object.entries(this.devices).forEach(([deviceId, days]) => {
+        devices[deviceId] = UsageHistoryStore.flatten(days).map(StateSerializer.serializeUsage);
+      });
+      this.storage.saveDeviceUsage(devices);
+    }
+  }
+  
+  static flatten(days) {
+    return Object.keys(days)
+      .sort()
+      .flatMap(key => Object.values(days[key]).map(record => ({ ...record })));
+  }
+  
+  // This device's records for a day with every other device's added in
+  mergeDay(key) {
+    const merged = {};
+    [this.days, ...Object.values(this.devices)].forEach(days => {
+      Object.values(days[key] || {}).forEach(record => {
+        const total = merged[record.appName];
+        merged[record.appName] = total
+          ? { ...total, usageTime: total.usageTime + record.usageTime, isLimitExceeded: total.isLimitExceeded || record.isLimitExceeded }
+          : { ...record };
+      });
+    });
+    return merged;
+  }
+  
+  dayKeys() {
+    const keys = new Set(Object.keys(this.days));
+    Object.values(this.devices).forEach(days => Object.keys(days).forEach(key => keys.add(key)));
+    return Array.from(keys).sort();
+  }
+  
+  // AppDataStorage contract
+  
+  saveDailyUsage(usage, date) {
+    const key = DateUtils.toKey(date);
+    this.persistRemoval(Object.values(this.days[key] || {}));
+    this.days[key] = {};
+    usage.forEach(entry => {
+      this.days[key][entry.appName] = this.normalize(entry, key);
+    });
+    this.persist(Object.values(this.days[key]));
+  }
+  
+  loadDailyUsage(date) {
+    return Object.values(this.mergeDay(DateUtils.toKey(date)));
+  }
+  
+  saveAppUsageHistory(usage) {
+    const key = typeof usage.date === 'string' ? usage.date : DateUtils.toKey(usage.date);
+    this.days[key] = this.days[key] || {};
+    this.days[key][usage.appName] = this.normalize(usage, key);
+    this.persist([this.days[key][usage.appName]]);
+  }
+  
+  loadAppUsageHistory(appName) {
+    return this.dayKeys()
+      .map(key => this.mergeDay(key)[appName])
+      .filter(Boolean);
+  }
+  
+  // Dashboard helpers
+  
+  // Across every device
+  getUsage(appName, date = new Date()) {
+    const record = this.mergeDay(DateUtils.toKey(date))[appName];
+    return record ? record.usageTime : 0;
+  }
+  
+  // Add seconds of usage for an app; dailyLimit updates isLimitExceeded
+  addUsage(appName, seconds, options = {}) {
+    const { category = 'OTHER', dailyLimit = null, date = new Date() } = options;
+    const key = DateUtils.toKey(date);
+    
+    this.days[key] = this.days[key] || {};
+    const record = this.days[key][appName] || this.normalize({ appName, category, usageTime: 0 }, key);
+    record.usageTime = Math.max(0, record.usageTime + seconds);
+    record.category = category;
+    this.days[key][appName] = record;
+    if (dailyLimit !== null) {
+      record.isLimitExceeded = this.getUsage(appName, date) >= dailyLimit;
+    }
+    
+    this.persist([record]);
+    return { ...record };
+  }
+  
+  setUsage(appName, seconds, options = {}) {
+    const current = this.getUsage(appName, options.date);
+    return this.addUsage(appName, seconds - current, options);
+  }
+  
+  getDayTotal(date = new Date()) {
+    return this.loadDailyUsage(date).reduce((total, record) => total + record.usageTime, 0);
+  }
+  
+  // Other devices' usage for the day is cleared here too, until they sync
+  // a newer total
+  clearDay(date = new Date()) {
+    const key = DateUtils.toKey(date);
+    this.persistRemoval(Object.values(this.days[key] || {}));
+    delete this.days[key];
+    Object.values(this.devices).forEach(days => delete days[key]);
+    this.persistDevices();
+  }
+  
+  // Flat list of every record with all devices combined, for stats and export
+  getAllRecords() {
+    return this.dayKeys().flatMap(key => Object.values(this.mergeDay(key)));
+  }
+  
+  // This device's own records, which are what it syncs
+  getOwnRecords() {
+    return UsageHistoryStore.flatten(this.days);
+  }
+  
+  // Replace what a device last synced for the days its records cover
+  setDeviceUsage(deviceId, records, options = {}) {
+    const days = this.devices[deviceId] = this.devices[deviceId] || {};
+    records.forEach(record => {
+      days[record.date] = days[record.date] || {};
+      days[record.date][record.appName] = this.normalize(record, record.date);
+    });
+    if (options.persist !== false) {
+      this.persistDevices();
+    }
+  }
+  
+  // Swap this device's own history for records, as after restoring a
+  // backup. Backups hold only a device's own usage, so synced usage from
+  // other devices stays as it is and is not counted twice.
+  replaceRecords(records) {
+    this.persistRemoval(this.getOwnRecords());
+    this.days = {};
+    records.forEach(record => {
+      this.days[record.date] = this.days[record.date] || {};
+      this.days[record.date][record.appName] = { ...record };
+    });
+    this.persist(this.getOwnRecords());
+  }
+  
+  setRetention(days) {
+    this.retentionDays = days;
+    this.prune();
+  }
+  
+  // Drop days older than the retention window; returns how many were removed
+  prune(now = new Date()) {
+    if (!this.retentionDays) return 0;
+    
+    const cutoff = DateUtils.toKey(DateUtils.addDays(DateUtils.startOfDay(now), -(this.retentionDays - 1)));
+    const expired = this.dayKeys().filter(key => key < cutoff);
+    expired.forEach(key => {
+      this.persistRemoval(Object.values(this.days[key] || {}));
+      delete this.days[key];
+      Object.values(this.devices).forEach(days => delete days[key]);
+    });
+    if (expired.length > 0) {
+      this.persistDevices();
+    }
+    
+    return expired.length;
+  }
+  
+  normalize(entry, key) {
+    return {
+      id: entry.id || `${key}-${entry.appName}`,
+      appName: entry.appName,
+      date: key,
+      usageTime: Math.max(0, Number(entry.usageTime) || 0),
+      category: entry.category || 'OTHER',
+      isLimitExceeded: Boolean(entry.isLimitExceeded)
+    };
+  }
+}